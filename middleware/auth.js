@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Charity = require('../models/Charity');
+const CharityMember = require('../models/CharityMember');
 
 const auth = async (req, res, next) => {
   try {
@@ -11,13 +12,22 @@ const auth = async (req, res, next) => {
     }
     
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose) {
+      return res.status(401).json({ error: 'Invalid token.' });
+    }
+    
     const user = await User.findById(decoded.userId).select('-password -refreshTokens');
     
     if (!user || !user.isActive) {
       return res.status(401).json({ error: 'Invalid token or user not active.' });
     }
     
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ error: 'Password was changed. Please log in again.' });
+    }
+    
     req.user = user;
+    req.auth = decoded;
     next();
   } catch (error) {
     res.status(400).json({ error: 'Invalid token.' });
@@ -30,33 +40,78 @@ const requireAdmin = async (req, res, next) => {
     if (req.user.accountType !== 'admin') {
       return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
     }
+    
+    // Optional policy: admins must have 2FA enabled and have used it to log in
+    if (process.env.ADMIN_2FA_REQUIRED === 'true' && !(req.user.twoFactor?.enabled && req.auth?.mfa)) {
+      return res.status(403).json({
+        error: 'Access denied. Two-factor authentication is required for admin access.',
+        details: req.user.twoFactor?.enabled
+          ? 'Please log in again using your authenticator code.'
+          : 'Enable two-factor authentication via /api/auth/2fa/setup and log in again.'
+      });
+    }
     next();
   } catch (error) {
     res.status(500).json({ error: 'Authorization check failed' });
   }
 };
 
-// Middleware to check if user is charity owner or admin
-const authorizeCharityOwner = async (req, res, next) => {
+// Middleware to check if user has verified their email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (req.user.accountType === 'admin' || req.user.emailVerified) {
+    return next();
+  }
+  
+  res.status(403).json({
+    error: 'Access denied. Please verify your email address first.',
+    details: 'Check your inbox for the verification link or request a new one.'
+  });
+};
+
+// Middleware that authenticates the request if a token is present, for
+// routes that are public but show more to signed-in users
+const optionalAuth = (req, res, next) => {
+  if (!req.header('Authorization')) {
+    return next();
+  }
+  return auth(req, res, next);
+};
+
+// Attach the user's role on a charity (req.charityRole) and a permission check
+// (req.charityCan). Platform admins may do everything.
+const loadCharityRole = async (req, charity) => {
+  const isAdmin = req.user?.accountType === 'admin';
+  const role = req.user ? await CharityMember.getRole(charity, req.user._id) : null;
+  
+  req.charity = charity;
+  req.charityRole = role;
+  req.charityCan = (permission) => isAdmin || CharityMember.roleHasPermission(role, permission);
+};
+
+// Middleware to check the user's role on the charity (req.params.id) grants a permission
+const authorizeCharity = (permission) => async (req, res, next) => {
   try {
-    const charityId = req.params.id;
-    const charity = await Charity.findById(charityId);
+    const charity = await Charity.findById(req.params.id);
     
     if (!charity) {
       return res.status(404).json({ error: 'Charity not found' });
     }
     
-    if (charity.owner.toString() !== req.user._id.toString() && req.user.accountType !== 'admin') {
-      return res.status(403).json({ error: 'Access denied. Not authorized to modify this charity.' });
+    await loadCharityRole(req, charity);
+    
+    if (!req.charityCan(permission)) {
+      return res.status(403).json({ error: 'Access denied. Your role on this charity does not allow this action.' });
     }
     
-    req.charity = charity;
     next();
   } catch (error) {
     res.status(500).json({ error: 'Authorization check failed' });
   }
 };
 
+// Middleware to check if user is charity owner or admin
+const authorizeCharityOwner = authorizeCharity('charity:delete');
+
 // Middleware to check if user can create charity
 const canCreateCharity = async (req, res, next) => {
   try {
@@ -78,4 +133,13 @@ const canCreateCharity = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, requireAdmin, authorizeCharityOwner, canCreateCharity };
\ No newline at end of file
+module.exports = {
+  auth,
+  optionalAuth,
+  requireAdmin,
+  requireVerifiedEmail,
+  loadCharityRole,
+  authorizeCharity,
+  authorizeCharityOwner,
+  canCreateCharity
+};
\ No newline at end of file
@@ -0,0 +1,30 @@
+const multer = require('multer');
+
+// Accept a single multipart file field, buffered in memory (req.file.buffer).
+// Oversized or unexpected uploads are answered here with 413/400.
+const singleFileUpload = (fieldName, maxBytes) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1, fields: 10 }
+  }).single(fieldName);
+  
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({ error: `File is too large. Maximum size is ${maxBytes} bytes` });
+        }
+        return res.status(400).json({ error: `Invalid upload: ${error.message}` });
+      }
+      if (error) {
+        return res.status(400).json({ error: 'Invalid upload', details: error.message });
+      }
+      if (!req.file) {
+        return res.status(400).json({ error: `No file uploaded (expected field "${fieldName}")` });
+      }
+      next();
+    });
+  };
+};
+
+module.exports = { singleFileUpload };
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Append-only record of admin mutations and sensitive owner actions.
+// Entries form a hash chain: each hash covers the entry's content and the
+// previous entry's hash, so editing or deleting an entry breaks every hash
+// after it (see verifyChain).
+const auditLogSchema = new mongoose.Schema({
+  // Position in the chain, starting at 1
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorEmail: String,
+  actorRole: String,
+  // Dotted action name, e.g. "charity.status.update"
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  target: {
+    type: { type: String, required: true },
+    id: { type: mongoose.Schema.Types.ObjectId, index: true }
+  },
+  // Snapshots with sensitive fields already redacted
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  collection: 'audit_log',
+  minimize: false
+});
+
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Stable JSON encoding (sorted keys) so hashes don't depend on key order
+const canonicalize = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (value instanceof mongoose.Types.ObjectId) return JSON.stringify(value.toString());
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Hash of an entry's content chained to the previous hash
+auditLogSchema.statics.computeHash = function(entry) {
+  const content = canonicalize({
+    sequence: entry.sequence,
+    actor: entry.actor,
+    actorEmail: entry.actorEmail,
+    actorRole: entry.actorRole,
+    action: entry.action,
+    target: entry.target,
+    before: entry.before,
+    after: entry.after,
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    createdAt: entry.createdAt
+  });
+  return crypto.createHash('sha256').update(`${entry.previousHash}:${content}`).digest('hex');
+};
+
+// Append an entry at the end of the chain. Concurrent appends race for the
+// next sequence number; the loser reads the new tail and tries again.
+auditLogSchema.statics.append = async function(data) {
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const tail = await this.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+
+    const entry = {
+      ...data,
+      // Store exactly what gets hashed (no Dates or ObjectIds inside snapshots)
+      before: data.before === undefined ? null : JSON.parse(JSON.stringify(data.before)),
+      after: data.after === undefined ? null : JSON.parse(JSON.stringify(data.after)),
+      sequence: tail ? tail.sequence + 1 : 1,
+      previousHash: tail ? tail.hash : GENESIS_HASH,
+      createdAt: new Date()
+    };
+    entry.hash = this.computeHash(entry);
+
+    try {
+      return await this.create(entry);
+    } catch (error) {
+      if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Walk the chain in order and report the first entry that doesn't match
+auditLogSchema.statics.verifyChain = async function() {
+  let previousHash = GENESIS_HASH;
+  let expectedSequence = 1;
+  let checked = 0;
+
+  const cursor = this.find().sort({ sequence: 1 }).lean().cursor();
+  for (let entry = await cursor.next(); entry; entry = await cursor.next()) {
+    let reason = null;
+    if (entry.sequence !== expectedSequence) {
+      reason = `Expected sequence ${expectedSequence}, found ${entry.sequence} (entries missing)`;
+    } else if (entry.previousHash !== previousHash) {
+      reason = 'Previous hash does not match the preceding entry';
+    } else if (entry.hash !== this.computeHash(entry)) {
+      reason = 'Entry content does not match its hash';
+    }
+
+    if (reason) {
+      await cursor.close();
+      return { valid: false, checked, brokenAt: { id: entry._id, sequence: entry.sequence }, reason };
+    }
+
+    previousHash = entry.hash;
+    expectedSequence += 1;
+    checked += 1;
+  }
+
+  return { valid: true, checked };
+};
+
+// Entries can only ever be appended
+const rejectModification = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectModification(next);
+  }
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectModification
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectModification);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,79 +1,214 @@
 const mongoose = require('mongoose');
-const EncryptionUtil = require('../utils/encryption');
+const encryptedFields = require('./plugins/encryptedFields');
+const CharitySearchIndex = require('./CharitySearchIndex');
+const CharityMember = require('./CharityMember');
+const CharityUpdate = require('./CharityUpdate');
+const CharityFollower = require('./CharityFollower');
+const WebhookEndpoint = require('./WebhookEndpoint');
+const WebhookDelivery = require('./WebhookDelivery');
+const imageSchema = require('./schemas/image');
+const { deleteDocuments } = require('../services/documents');
+const { deleteImages, toImageView } = require('../services/images');
+
+// Time-boxed fundraising campaign
+const campaignSchema = new mongoose.Schema({
+  title: { type: String, required: true, encrypted: true },
+  description: { type: String, encrypted: true },
+  goalAmount: { type: Number, required: true, min: 1 }, // in minor units (cents)
+  currency: { type: String, default: 'USD', uppercase: true },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  program: mongoose.Schema.Types.ObjectId,    // optional link to one of the charity's programs
+  status: {
+    type: String,
+    enum: ['active', 'closed'],
+    default: 'active'
+  },
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+// Check if campaign is currently accepting donations
+campaignSchema.methods.isOpen = function(now = new Date()) {
+  return this.status === 'active' && this.startDate <= now && now < this.endDate;
+};
+
+// Derived state for display: upcoming, active or closed
+campaignSchema.methods.getState = function(now = new Date()) {
+  if (this.status === 'closed' || now >= this.endDate) return 'closed';
+  if (now < this.startDate) return 'upcoming';
+  return 'active';
+};
+
+// Value reported for an impact metric over a period
+const metricReportSchema = new mongoose.Schema({
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  value: { type: Number, required: true, min: 0 },
+  note: { type: String, encrypted: true },
+  reportedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reportedAt: { type: Date, default: Date.now }
+});
+
+// Outcome a program measures, e.g. "meals served" or "students enrolled"
+const impactMetricSchema = new mongoose.Schema({
+  name: { type: String, required: true, encrypted: true },
+  description: { type: String, encrypted: true },
+  unit: String,               // e.g. "meals", "students"
+  // How reports combine into the current value: totals add up (meals served),
+  // snapshots replace each other (students enrolled)
+  aggregation: {
+    type: String,
+    enum: ['sum', 'latest'],
+    default: 'sum'
+  },
+  target: { type: Number, min: 0 },
+  reports: [metricReportSchema]
+}, {
+  timestamps: true
+});
+
+// Current value from the reports (null if nothing has been reported)
+impactMetricSchema.methods.getCurrentValue = function() {
+  if (this.reports.length === 0) return null;
+  if (this.aggregation === 'latest') {
+    return this.reports.reduce((latest, report) => (report.periodEnd > latest.periodEnd ? report : latest)).value;
+  }
+  return this.reports.reduce((total, report) => total + report.value, 0);
+};
+
+// Program or service the charity runs
+const programSchema = new mongoose.Schema({
+  name: { type: String, encrypted: true },
+  description: { type: String, encrypted: true },
+  targetAudience: { type: String, encrypted: true },
+  budget: { type: String, encrypted: true },
+  startDate: Date,
+  endDate: Date,
+  isActive: { type: Boolean, default: true },
+  metrics: [impactMetricSchema]
+}, {
+  timestamps: true
+});
+
+// Verification workflow. Each action moves a charity from one of the listed
+// statuses to the target status; no other status changes are allowed.
+const VERIFICATION_ACTIONS = {
+  submit: { from: ['pending', 'changes_requested', 'rejected', 'suspended', 'inactive'], to: 'submitted' },
+  claim: { from: ['submitted'], to: 'in_review' },
+  release: { from: ['in_review'], to: 'submitted' },
+  approve: { from: ['in_review'], to: 'verified' },
+  reject: { from: ['in_review'], to: 'rejected' },
+  request_changes: { from: ['in_review'], to: 'changes_requested' },
+  suspend: { from: ['verified'], to: 'suspended' },
+  deactivate: { from: ['pending', 'changes_requested', 'rejected', 'verified', 'suspended'], to: 'inactive' },
+  // Permanent: no action moves a charity out of archived
+  archive: { from: ['pending', 'submitted', 'changes_requested', 'rejected', 'verified', 'suspended', 'inactive'], to: 'archived' }
+};
+
+// What a reviewer has to check before a charity can be approved
+const CHECKLIST_ITEMS = ['documents', 'taxId', 'contactDetails'];
+
+const OWNERSHIP_TRANSFER_TTL_DAYS = 7;
+
+const checklistItemSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['unchecked', 'passed', 'failed'],
+    default: 'unchecked'
+  },
+  note: String,
+  checkedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  checkedAt: Date
+}, { _id: false });
+
+// One decision or note in a charity's review history
+const reviewEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: [...Object.keys(VERIFICATION_ACTIONS), 'checklist', 'note'],
+    required: true
+  },
+  fromStatus: String,
+  toStatus: String,
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: String,
+  reasons: [String],
+  checklistItem: String,
+  // Internal notes are only visible to admins
+  internal: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now }
+});
 
 const charitySchema = new mongoose.Schema({
-  // Owner of the charity account
+  // Owner of the charity account (unset on archived charities once the owner's account is deleted)
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return this.status !== 'archived'; }
   },
   
   // Basic charity information (encrypted)
   basicInfo: {
-    name: { type: String, required: true }, // encrypted
-    description: String,      // encrypted
-    mission: String,          // encrypted
-    vision: String,           // encrypted
-    foundedYear: String,      // encrypted
-    website: String,          // encrypted
-    email: String,            // encrypted
-    phone: String             // encrypted
+    name: { type: String, required: true, encrypted: true },
+    description: { type: String, encrypted: true },
+    mission: { type: String, encrypted: true },
+    vision: { type: String, encrypted: true },
+    foundedYear: { type: String, encrypted: true },
+    website: { type: String, encrypted: true },
+    email: { type: String, encrypted: true },
+    phone: { type: String, encrypted: true }
   },
   
   // Legal and registration info (encrypted)
   legalInfo: {
-    registrationNumber: String,    // encrypted
-    taxId: String,                 // encrypted
-    legalStructure: String,        // encrypted
+    registrationNumber: { type: String, encrypted: true, blindIndex: 'alphanumeric' },
+    taxId: { type: String, encrypted: true, blindIndex: 'alphanumeric' },
+    legalStructure: { type: String, encrypted: true },
     registeredAddress: {
-      street: String,              // encrypted
-      city: String,                // encrypted
-      state: String,               // encrypted
-      zipCode: String,             // encrypted
-      country: String              // encrypted
+      street: { type: String, encrypted: true },
+      city: { type: String, encrypted: true },
+      state: { type: String, encrypted: true },
+      zipCode: { type: String, encrypted: true },
+      country: { type: String, encrypted: true }
     }
   },
   
   // Contact information (encrypted)
   contactInfo: {
     primaryContact: {
-      name: String,                // encrypted
-      title: String,               // encrypted
-      email: String,               // encrypted
-      phone: String                // encrypted
+      name: { type: String, encrypted: true },
+      title: { type: String, encrypted: true },
+      email: { type: String, encrypted: true },
+      phone: { type: String, encrypted: true }
     },
     mailingAddress: {
-      street: String,              // encrypted
-      city: String,                // encrypted
-      state: String,               // encrypted
-      zipCode: String,             // encrypted
-      country: String              // encrypted
+      street: { type: String, encrypted: true },
+      city: { type: String, encrypted: true },
+      state: { type: String, encrypted: true },
+      zipCode: { type: String, encrypted: true },
+      country: { type: String, encrypted: true }
     }
   },
   
   // Financial information (encrypted)
   financialInfo: {
-    annualBudget: String,          // encrypted
-    fundingSources: [String],      // encrypted array
+    annualBudget: { type: String, encrypted: true },
+    fundingSources: [{ type: String, encrypted: true }],
     bankingInfo: {
-      accountName: String,         // encrypted
-      accountNumber: String,       // encrypted
-      routingNumber: String,       // encrypted
-      bankName: String             // encrypted
+      accountName: { type: String, encrypted: true },
+      accountNumber: { type: String, encrypted: true },
+      routingNumber: { type: String, encrypted: true },
+      bankName: { type: String, encrypted: true }
     }
   },
   
   // Programs and services
-  programs: [{
-    name: String,                  // encrypted
-    description: String,           // encrypted
-    targetAudience: String,        // encrypted
-    budget: String,                // encrypted
-    startDate: Date,
-    endDate: Date,
-    isActive: { type: Boolean, default: true }
-  }],
+  programs: [programSchema],
+  
+  // Fundraising campaigns
+  campaigns: [campaignSchema],
   
   // Social media and public presence
   socialMedia: {
@@ -87,28 +222,64 @@ const charitySchema = new mongoose.Schema({
   // Status and verification
   status: {
     type: String,
-    enum: ['pending', 'verified', 'suspended', 'inactive'],
+    enum: ['pending', 'submitted', 'in_review', 'changes_requested', 'rejected', 'verified', 'suspended', 'inactive', 'archived'],
     default: 'pending'
   },
+  verification: {
+    submittedAt: Date,
+    reviewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    claimedAt: Date,
+    decidedAt: Date,
+    checklist: {
+      documents: { type: checklistItemSchema, default: () => ({}) },
+      taxId: { type: checklistItemSchema, default: () => ({}) },
+      contactDetails: { type: checklistItemSchema, default: () => ({}) }
+    },
+    history: [reviewEventSchema]
+  },
+  // Pending handover of the charity to another user (see startOwnershipTransfer)
+  ownershipTransfer: {
+    to: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    initiatedAt: Date,
+    expiresAt: Date,
+    previousOwnerRole: String   // team role the current owner keeps; null if they leave
+  },
   isPublic: {
     type: Boolean,
     default: false
   },
+  // Issues for reviewers to look at (e.g. a possible duplicate registration)
+  reviewFlags: [{
+    code: String,
+    message: String,
+    relatedCharities: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Charity' }],
+    createdAt: { type: Date, default: Date.now }
+  }],
   
   // Metadata
-  logo: String,
-  images: [String],
+  logo: String,               // public URL of the logo (the uploaded logo's medium variant)
+  logoImage: imageSchema,
+  images: [String],           // external image URLs (older profiles)
+  gallery: [imageSchema],     // uploaded gallery images, in display order
+  // Legal documents. Uploaded files are stored encrypted (see services/documents.js);
+  // older entries may only have an external url.
   documents: [{
     name: String,
-    type: String,
+    type: { type: String },
     url: String,
+    mimeType: String,
+    size: Number,
+    checksum: String,   // SHA-256 of the original file
+    storageKey: String,
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     uploadDate: { type: Date, default: Date.now }
   }],
   
   // Extension fields for future use
   customFields: {
     type: Map,
-    of: String  // These will be encrypted too
+    of: { type: String, encrypted: true }
   },
   
   tags: [String],
@@ -117,159 +288,365 @@ const charitySchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Encrypt sensitive fields before saving
-charitySchema.pre('save', function(next) {
-  const fieldsToEncrypt = [
-    'basicInfo.name', 'basicInfo.description', 'basicInfo.mission', 
-    'basicInfo.vision', 'basicInfo.foundedYear', 'basicInfo.website',
-    'basicInfo.email', 'basicInfo.phone',
-    'legalInfo.registrationNumber', 'legalInfo.taxId', 'legalInfo.legalStructure',
-    'contactInfo.primaryContact.name', 'contactInfo.primaryContact.title',
-    'contactInfo.primaryContact.email', 'contactInfo.primaryContact.phone',
-    'financialInfo.annualBudget', 'financialInfo.bankingInfo.accountName',
-    'financialInfo.bankingInfo.accountNumber', 'financialInfo.bankingInfo.routingNumber',
-    'financialInfo.bankingInfo.bankName'
-  ];
-  
-  fieldsToEncrypt.forEach(fieldPath => {
-    const value = this.get(fieldPath);
-    if (value && this.isModified(fieldPath)) {
-      this.set(fieldPath, EncryptionUtil.simpleEncrypt(value));
-    }
-  });
-  
-  // Encrypt address fields
-  const addressFields = [
-    'legalInfo.registeredAddress', 'contactInfo.mailingAddress'
-  ];
-  
-  addressFields.forEach(addressPath => {
-    const address = this.get(addressPath);
-    if (address) {
-      ['street', 'city', 'state', 'zipCode', 'country'].forEach(field => {
-        const fullPath = `${addressPath}.${field}`;
-        const value = this.get(fullPath);
-        if (value && this.isModified(fullPath)) {
-          this.set(fullPath, EncryptionUtil.simpleEncrypt(value));
-        }
-      });
-    }
-  });
-  
-  // Encrypt funding sources array
-  if (this.financialInfo && this.financialInfo.fundingSources && this.isModified('financialInfo.fundingSources')) {
-    this.financialInfo.fundingSources = this.financialInfo.fundingSources.map(source => 
-      EncryptionUtil.simpleEncrypt(source)
-    );
+charitySchema.plugin(encryptedFields);
+
+charitySchema.index({ 'ownershipTransfer.to': 1 }, { sparse: true });
+
+// Keep the public search index in sync. A failed sync doesn't fail the write;
+// scripts/rebuild-search-index.js repairs the index.
+charitySchema.post('save', async function(doc) {
+  try {
+    await CharitySearchIndex.syncCharity(doc);
+  } catch (error) {
+    console.error(`Failed to update search index for charity ${doc._id}:`, error.message);
   }
-  
-  // Encrypt programs
-  if (this.programs && this.isModified('programs')) {
-    this.programs.forEach(program => {
-      if (program.name) program.name = EncryptionUtil.simpleEncrypt(program.name);
-      if (program.description) program.description = EncryptionUtil.simpleEncrypt(program.description);
-      if (program.targetAudience) program.targetAudience = EncryptionUtil.simpleEncrypt(program.targetAudience);
-      if (program.budget) program.budget = EncryptionUtil.simpleEncrypt(program.budget);
-    });
+});
+
+// Clean up after deleted charities: search index entries, team memberships,
+// followers, updates, webhook endpoints, stored documents and images
+const cleanUpDeletedCharities = async (charities) => {
+  const charityIds = charities.map(charity => charity._id);
+  try {
+    await CharitySearchIndex.removeCharities(charityIds);
+  } catch (error) {
+    console.error('Failed to remove deleted charities from search index:', error.message);
   }
-  
-  // Encrypt custom fields
-  if (this.customFields && this.isModified('customFields')) {
-    const encryptedFields = new Map();
-    for (const [key, value] of this.customFields) {
-      encryptedFields.set(key, EncryptionUtil.simpleEncrypt(value));
-    }
-    this.customFields = encryptedFields;
+  try {
+    await CharityMember.deleteMany({ charity: { $in: charityIds } });
+  } catch (error) {
+    console.error('Failed to remove memberships of deleted charities:', error.message);
   }
-  
-  next();
+  try {
+    await CharityFollower.deleteMany({ charity: { $in: charityIds } });
+  } catch (error) {
+    console.error('Failed to remove followers of deleted charities:', error.message);
+  }
+  try {
+    const updates = await CharityUpdate.find({ charity: { $in: charityIds } }).select('images').lean();
+    await CharityUpdate.deleteMany({ charity: { $in: charityIds } });
+    await deleteImages(updates.flatMap(update => update.images || []));
+  } catch (error) {
+    console.error('Failed to remove updates of deleted charities:', error.message);
+  }
+  try {
+    const endpointIds = await WebhookEndpoint.find({ charity: { $in: charityIds } }).distinct('_id');
+    await WebhookDelivery.deleteMany({ endpoint: { $in: endpointIds } });
+    await WebhookEndpoint.deleteMany({ _id: { $in: endpointIds } });
+  } catch (error) {
+    console.error('Failed to remove webhooks of deleted charities:', error.message);
+  }
+  try {
+    await deleteDocuments(charities.flatMap(charity => charity.documents || []));
+  } catch (error) {
+    console.error('Failed to delete stored documents of deleted charities:', error.message);
+  }
+  try {
+    await deleteImages(charities.flatMap(charity => [charity.logoImage, ...(charity.gallery || [])].filter(Boolean)));
+  } catch (error) {
+    console.error('Failed to delete stored images of deleted charities:', error.message);
+  }
+};
+
+charitySchema.post('findOneAndDelete', async function(doc) {
+  if (!doc) return;
+  await cleanUpDeletedCharities([doc]);
 });
 
-// Method to get decrypted charity data
+charitySchema.pre(['deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+  this._deletedCharities = await this.model.find(this.getFilter()).select('_id documents.storageKey logoImage gallery').lean();
+});
+
+charitySchema.post(['deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+  await cleanUpDeletedCharities(this._deletedCharities || []);
+});
+
+// Method to get decrypted charity data (review internals replaced by the owner-facing summary)
 charitySchema.methods.getDecryptedData = function() {
-  const charity = this.toObject();
+  const decrypted = this.getDecryptedObject();
+  decrypted.verification = this.getVerificationSummary();
+  delete decrypted.reviewFlags;
+  (decrypted.documents || []).forEach(document => delete document.storageKey);
+  decrypted.logoImage = toImageView(this.logoImage);
+  decrypted.gallery = (this.gallery || []).map(toImageView);
+  return decrypted;
+};
+
+// Status changes must go through the verification workflow
+charitySchema.pre('validate', function(next) {
+  if (!this.isNew && this.isModified('status') && !this.$locals.verificationTransition) {
+    this.invalidate('status', 'Charity status can only be changed through the verification workflow');
+  }
+  next();
+});
+
+charitySchema.post('save', function() {
+  this.$locals.verificationTransition = false;
+});
+
+// Apply a workflow action: check it's allowed from the current status, then
+// move to the target status and record it in the review history
+charitySchema.methods.applyVerificationAction = function(action, actor, { note, reasons } = {}) {
+  const transition = VERIFICATION_ACTIONS[action];
+  if (!transition.from.includes(this.status)) {
+    throw new Error(`Cannot ${action.replace('_', ' ')} a charity that is ${this.status.replace('_', ' ')}`);
+  }
   
-  // Decrypt basic info
-  if (charity.basicInfo) {
-    Object.keys(charity.basicInfo).forEach(key => {
-      if (charity.basicInfo[key]) {
-        charity.basicInfo[key] = EncryptionUtil.simpleDecrypt(charity.basicInfo[key]);
-      }
-    });
+  this.verification.history.push({
+    action,
+    fromStatus: this.status,
+    toStatus: transition.to,
+    actor: actor._id,
+    note,
+    reasons
+  });
+  this.status = transition.to;
+  this.$locals.verificationTransition = true;
+};
+
+// Owner submits the charity (again) for review
+charitySchema.methods.submitForReview = function(user, note) {
+  this.applyVerificationAction('submit', user, { note });
+  this.verification.submittedAt = new Date();
+  this.verification.reviewer = undefined;
+  this.verification.claimedAt = undefined;
+  this.verification.checklist = {};
+  return this.save();
+};
+
+// Admin takes ownership of a submitted review
+charitySchema.methods.claimReview = function(admin) {
+  this.applyVerificationAction('claim', admin);
+  this.verification.reviewer = admin._id;
+  this.verification.claimedAt = new Date();
+  return this.save();
+};
+
+// Reviewer hands a claimed review back to the queue
+charitySchema.methods.releaseReview = function(admin, note) {
+  this.assertReviewer(admin);
+  this.applyVerificationAction('release', admin, { note });
+  this.verification.reviewer = undefined;
+  this.verification.claimedAt = undefined;
+  return this.save();
+};
+
+// Only the admin who claimed a review may work on it
+charitySchema.methods.assertReviewer = function(admin) {
+  if (this.status !== 'in_review') {
+    throw new Error('Charity is not under review');
+  }
+  if (!this.verification.reviewer || this.verification.reviewer.toString() !== admin._id.toString()) {
+    throw new Error('This review is claimed by another admin');
+  }
+};
+
+// Record the outcome of one checklist item
+charitySchema.methods.checkItem = function(admin, item, status, note) {
+  if (!CHECKLIST_ITEMS.includes(item)) {
+    throw new Error(`Unknown checklist item: ${item}`);
   }
+  this.assertReviewer(admin);
   
-  // Decrypt legal info
-  if (charity.legalInfo) {
-    Object.keys(charity.legalInfo).forEach(key => {
-      if (key === 'registeredAddress' && charity.legalInfo[key]) {
-        Object.keys(charity.legalInfo[key]).forEach(addrKey => {
-          if (charity.legalInfo[key][addrKey]) {
-            charity.legalInfo[key][addrKey] = EncryptionUtil.simpleDecrypt(charity.legalInfo[key][addrKey]);
-          }
-        });
-      } else if (charity.legalInfo[key]) {
-        charity.legalInfo[key] = EncryptionUtil.simpleDecrypt(charity.legalInfo[key]);
-      }
-    });
+  this.verification.checklist[item] = { status, note, checkedBy: admin._id, checkedAt: new Date() };
+  this.verification.history.push({
+    action: 'checklist',
+    actor: admin._id,
+    checklistItem: item,
+    note: note ? `${status}: ${note}` : status,
+    internal: true
+  });
+  return this.save();
+};
+
+// Approve the charity; every checklist item must have passed
+charitySchema.methods.approve = function(admin, note) {
+  this.assertReviewer(admin);
+  
+  const outstanding = CHECKLIST_ITEMS.filter(item => this.verification.checklist[item]?.status !== 'passed');
+  if (outstanding.length > 0) {
+    throw new Error(`Checklist items not passed: ${outstanding.join(', ')}`);
   }
   
-  // Decrypt contact info
-  if (charity.contactInfo) {
-    if (charity.contactInfo.primaryContact) {
-      Object.keys(charity.contactInfo.primaryContact).forEach(key => {
-        if (charity.contactInfo.primaryContact[key]) {
-          charity.contactInfo.primaryContact[key] = EncryptionUtil.simpleDecrypt(charity.contactInfo.primaryContact[key]);
-        }
-      });
-    }
-    if (charity.contactInfo.mailingAddress) {
-      Object.keys(charity.contactInfo.mailingAddress).forEach(key => {
-        if (charity.contactInfo.mailingAddress[key]) {
-          charity.contactInfo.mailingAddress[key] = EncryptionUtil.simpleDecrypt(charity.contactInfo.mailingAddress[key]);
-        }
-      });
-    }
+  this.applyVerificationAction('approve', admin, { note });
+  this.verification.decidedAt = new Date();
+  return this.save();
+};
+
+// Reject the charity, or send it back to the owner for changes
+charitySchema.methods.decline = function(admin, action, reasons, note) {
+  if (!['reject', 'request_changes'].includes(action)) {
+    throw new Error(`Unknown review decision: ${action}`);
   }
+  if (!reasons || reasons.length === 0) {
+    throw new Error('At least one reason is required');
+  }
+  this.assertReviewer(admin);
   
-  // Decrypt financial info
-  if (charity.financialInfo) {
-    if (charity.financialInfo.annualBudget) {
-      charity.financialInfo.annualBudget = EncryptionUtil.simpleDecrypt(charity.financialInfo.annualBudget);
-    }
-    if (charity.financialInfo.fundingSources) {
-      charity.financialInfo.fundingSources = charity.financialInfo.fundingSources.map(source =>
-        EncryptionUtil.simpleDecrypt(source)
-      );
+  this.applyVerificationAction(action, admin, { note, reasons });
+  this.verification.decidedAt = new Date();
+  return this.save();
+};
+
+// Add a note to the review history without changing the status
+charitySchema.methods.addReviewNote = function(actor, note, internal = true) {
+  this.verification.history.push({ action: 'note', actor: actor._id, note, internal });
+  return this.save();
+};
+
+// Verification state as shown to the owner (internal notes left out)
+charitySchema.methods.getVerificationSummary = function({ includeInternal = false } = {}) {
+  const verification = this.verification || {};
+  return {
+    status: this.status,
+    submittedAt: verification.submittedAt,
+    reviewer: includeInternal ? verification.reviewer : undefined,
+    claimedAt: includeInternal ? verification.claimedAt : undefined,
+    decidedAt: verification.decidedAt,
+    checklist: CHECKLIST_ITEMS.reduce((checklist, item) => {
+      const entry = verification.checklist?.[item];
+      checklist[item] = {
+        status: entry?.status || 'unchecked',
+        note: includeInternal ? entry?.note : undefined,
+        checkedAt: entry?.checkedAt
+      };
+      return checklist;
+    }, {}),
+    history: (verification.history || [])
+      .filter(event => includeInternal || !event.internal)
+      .map(event => ({
+        action: event.action,
+        fromStatus: event.fromStatus,
+        toStatus: event.toStatus,
+        actor: includeInternal ? event.actor : undefined,
+        note: event.note,
+        reasons: event.reasons,
+        checklistItem: event.checklistItem,
+        internal: includeInternal ? event.internal : undefined,
+        createdAt: event.createdAt
+      }))
+  };
+};
+
+charitySchema.statics.VERIFICATION_ACTIONS = VERIFICATION_ACTIONS;
+charitySchema.statics.CHECKLIST_ITEMS = CHECKLIST_ITEMS;
+charitySchema.statics.OWNERSHIP_TRANSFER_TTL_DAYS = OWNERSHIP_TRANSFER_TTL_DAYS;
+
+// Find other charities registered with the same tax ID or registration number.
+// Returns [{ field, charities }] for each identifier that is already in use.
+charitySchema.statics.findDuplicates = async function({ taxId, registrationNumber }, excludeId) {
+  const identifiers = { 'legalInfo.taxId': taxId, 'legalInfo.registrationNumber': registrationNumber };
+  const duplicates = [];
+  
+  for (const [path, value] of Object.entries(identifiers)) {
+    const index = value ? this.blindIndexFor(path, value) : null;
+    if (!index) continue;
+    
+    const query = { [`${path}BlindIndex`]: index };
+    if (excludeId) {
+      query._id = { $ne: excludeId };
     }
-    if (charity.financialInfo.bankingInfo) {
-      Object.keys(charity.financialInfo.bankingInfo).forEach(key => {
-        if (charity.financialInfo.bankingInfo[key]) {
-          charity.financialInfo.bankingInfo[key] = EncryptionUtil.simpleDecrypt(charity.financialInfo.bankingInfo[key]);
-        }
-      });
+    
+    const charities = await this.find(query).select('_id status');
+    if (charities.length > 0) {
+      duplicates.push({ field: path.split('.').pop(), charities });
     }
   }
   
-  // Decrypt programs
-  if (charity.programs) {
-    charity.programs.forEach(program => {
-      if (program.name) program.name = EncryptionUtil.simpleDecrypt(program.name);
-      if (program.description) program.description = EncryptionUtil.simpleDecrypt(program.description);
-      if (program.targetAudience) program.targetAudience = EncryptionUtil.simpleDecrypt(program.targetAudience);
-      if (program.budget) program.budget = EncryptionUtil.simpleDecrypt(program.budget);
-    });
+  return duplicates;
+};
+
+// Query filter for charities visible in the public directory
+charitySchema.statics.publicFilter = function() {
+  return { isPublic: true, status: 'verified' };
+};
+
+// Pending ownership transfer, or null if there is none or it has expired
+charitySchema.methods.getPendingOwnershipTransfer = function(now = new Date()) {
+  const transfer = this.ownershipTransfer;
+  if (!transfer?.to || !transfer.expiresAt || transfer.expiresAt <= now) return null;
+  return transfer;
+};
+
+// Owner offers the charity to another user, replacing any pending offer.
+// previousOwnerRole is the team role the owner keeps afterwards (null to leave).
+charitySchema.methods.startOwnershipTransfer = function(owner, recipient, previousOwnerRole) {
+  if (this.status === 'archived') {
+    throw new Error('Archived charities cannot be transferred');
+  }
+  const ownerId = this.owner._id || this.owner;
+  if (ownerId.toString() === recipient._id.toString()) {
+    throw new Error('This user already owns the charity');
   }
   
-  // Decrypt custom fields
-  if (charity.customFields) {
-    const decryptedFields = new Map();
-    for (const [key, value] of charity.customFields) {
-      decryptedFields.set(key, EncryptionUtil.simpleDecrypt(value));
-    }
-    charity.customFields = decryptedFields;
+  this.ownershipTransfer = {
+    to: recipient._id,
+    initiatedBy: owner._id,
+    initiatedAt: new Date(),
+    expiresAt: new Date(Date.now() + OWNERSHIP_TRANSFER_TTL_DAYS * 24 * 60 * 60 * 1000),
+    previousOwnerRole: previousOwnerRole || null
+  };
+};
+
+// Withdraw the pending offer (owner cancels or recipient declines)
+charitySchema.methods.cancelOwnershipTransfer = function() {
+  if (!this.getPendingOwnershipTransfer()) {
+    throw new Error('There is no pending ownership transfer');
+  }
+  this.ownershipTransfer = undefined;
+};
+
+// Check that a pending offer was made to the given user
+charitySchema.methods.assertTransferRecipient = function(user) {
+  const transfer = this.getPendingOwnershipTransfer();
+  if (!transfer) {
+    throw new Error('There is no pending ownership transfer');
   }
+  if (transfer.to.toString() !== user._id.toString()) {
+    throw new Error('This ownership transfer was offered to a different user');
+  }
+  return transfer;
+};
+
+// Hand the charity to a new owner and update team memberships accordingly.
+// Resolves to the previous owner's id.
+charitySchema.methods.completeOwnershipTransfer = async function(newOwnerId, previousOwnerRole) {
+  const previousOwnerId = this.owner._id || this.owner;
+  
+  this.owner = newOwnerId;
+  this.ownershipTransfer = undefined;
+  await this.save();
+  await CharityMember.transferOwnership(this._id, previousOwnerId, newOwnerId, previousOwnerRole || null);
   
-  return charity;
+  return previousOwnerId;
+};
+
+// Owner retires the charity for good: it leaves the directory and any pending
+// ownership transfer is withdrawn. Donation records are kept.
+charitySchema.methods.archive = function(user, note) {
+  this.applyVerificationAction('archive', user, { note });
+  this.isPublic = false;
+  this.ownershipTransfer = undefined;
+  return this.save();
+};
+
+// Check if charity is publicly listed (and can receive donations)
+charitySchema.methods.isPubliclyListed = function() {
+  return this.isPublic === true && this.status === 'verified';
+};
+
+// Close every active campaign whose end date has passed
+charitySchema.statics.closeEndedCampaigns = async function(now = new Date()) {
+  const result = await this.updateMany(
+    { campaigns: { $elemMatch: { status: 'active', endDate: { $lte: now } } } },
+    {
+      $set: {
+        'campaigns.$[campaign].status': 'closed',
+        'campaigns.$[campaign].closedAt': now
+      }
+    },
+    { arrayFilters: [{ 'campaign.status': 'active', 'campaign.endDate': { $lte: now } }] }
+  );
+  return { charitiesUpdated: result.modifiedCount };
 };
 
 module.exports = mongoose.model('Charity', charitySchema);
\ No newline at end of file
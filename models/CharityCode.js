@@ -1,4 +1,31 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const CharityCodeRedemption = require('./CharityCodeRedemption');
+const User = require('./User');
+
+// Codes are 7 random characters plus a check character, drawn from an
+// alphabet without look-alikes (no 0/O or 1/I). Its size must stay even for
+// the check character to catch every single-character typo.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_BODY_LENGTH = 7;
+
+// Luhn mod N check character, so any single mistyped character and most
+// swapped neighbours are caught without a database lookup
+const checkCharacter = (body) => {
+  const n = CODE_ALPHABET.length;
+  let sum = 0;
+  let factor = 2;
+  for (let i = body.length - 1; i >= 0; i--) {
+    const addend = factor * CODE_ALPHABET.indexOf(body[i]);
+    sum += Math.floor(addend / n) + (addend % n);
+    factor = factor === 2 ? 1 : 2;
+  }
+  return CODE_ALPHABET[(n - (sum % n)) % n];
+};
+
+// Error code of the errors redeem() raises on purpose
+const REDEMPTION_REJECTED = 'REDEMPTION_REJECTED';
+const rejectRedemption = (message) => Object.assign(new Error(message), { code: REDEMPTION_REJECTED });
 
 const charityCodeSchema = new mongoose.Schema({
   code: {
@@ -8,22 +35,38 @@ const charityCodeSchema = new mongoose.Schema({
     uppercase: true,
     trim: true
   },
+  // Codes are valid from startsAt (immediately if unset) until expiresAt
+  startsAt: Date,
   expiresAt: {
     type: Date,
     required: true
   },
+  // Number of users who may redeem the code
+  maxUses: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  useCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Set once every use has been redeemed (see CharityCodeRedemption for who and when)
   isUsed: {
     type: Boolean,
     default: false
   },
-  usedBy: {
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    usedAt: {
-      type: Date
-    }
+  // Optional restriction to one email address or to addresses at one domain
+  allowedEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  allowedDomain: {
+    type: String,
+    lowercase: true,
+    trim: true
   },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -37,48 +80,200 @@ const charityCodeSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  // Stored as false on every code with a check character. Codes issued before
+  // check characters were introduced don't have the field (see lookupFilter).
+  // Not a schema default, so loading and saving an old code leaves it unset.
+  legacyFormat: Boolean
 }, {
   timestamps: true
 });
 
+charityCodeSchema.pre('save', function(next) {
+  if (this.isNew && this.legacyFormat === undefined) {
+    this.legacyFormat = false;
+  }
+  next();
+});
+
 // Index for faster queries
 charityCodeSchema.index({ expiresAt: 1 });
 charityCodeSchema.index({ isActive: 1 });
+charityCodeSchema.index({ useCount: -1 });
+
+// Whether the code may be redeemed by the given email address
+charityCodeSchema.methods.isAllowedFor = function(email) {
+  const address = (email || '').toLowerCase();
+  if (this.allowedEmail && address !== this.allowedEmail) return false;
+  if (this.allowedDomain && address.split('@').pop() !== this.allowedDomain) return false;
+  return true;
+};
+
+// Why the code can't be redeemed right now (by the given email address, if
+// one is passed), or null if it can
+charityCodeSchema.methods.getUnavailableReason = function(email, now = new Date()) {
+  if (!this.isActive) return 'Code is inactive';
+  if (now >= this.expiresAt) return 'Code has expired';
+  if (this.startsAt && now < this.startsAt) return 'Code is not valid yet';
+  if (this.isUsed || this.useCount >= this.maxUses) return 'Code has already been used';
+  if (email !== undefined && !this.isAllowedFor(email)) return 'Code is not valid for your email address';
+  return null;
+};
 
 // Method to check if code is valid and available
-charityCodeSchema.methods.isValidForUse = function() {
-  const now = new Date();
-  return (
-    this.isActive &&
-    now < this.expiresAt &&
-    !this.isUsed
-  );
+charityCodeSchema.methods.isValidForUse = function(email, now = new Date()) {
+  return this.getUnavailableReason(email, now) === null;
+};
+
+// Uses left before the code is used up
+charityCodeSchema.methods.getRemainingUses = function() {
+  return this.isUsed ? 0 : Math.max(this.maxUses - this.useCount, 0);
+};
+
+// Query filter for codes that can be redeemed at the given time
+charityCodeSchema.statics.availableFilter = function(now = new Date()) {
+  return {
+    isActive: true,
+    isUsed: false,
+    expiresAt: { $gt: now },
+    $or: [{ startsAt: null }, { startsAt: { $lte: now } }],
+    // Codes created before multi-use codes have neither field
+    $expr: { $lt: [{ $ifNull: ['$useCount', 0] }, { $ifNull: ['$maxUses', 1] }] }
+  };
 };
 
-// Method to use the code (one-time use)
-charityCodeSchema.methods.useCode = function(userId) {
-  if (!this.isValidForUse()) {
-    throw new Error('Code is not valid for use');
+// Redeem the code for a user: take one use of the code, record the redemption
+// and authorize the user to create charities. The use and the authorization
+// are each claimed with a single conditional update, so concurrent requests
+// can't take more uses than the code has or authorize a user twice. If a later
+// step fails, the claims already made are released. Resolves to the redemption.
+// Errors meant for the user have code REDEMPTION_REJECTED; anything else is a
+// failure of the database.
+charityCodeSchema.methods.redeem = async function(user) {
+  const reason = this.getUnavailableReason(user.email);
+  if (reason) {
+    throw rejectRedemption(reason);
   }
   
-  this.usedBy = {
-    user: userId,
-    usedAt: new Date()
-  };
-  this.isUsed = true;
+  const CharityCode = this.constructor;
+  const claimed = await CharityCode.findOneAndUpdate(
+    { _id: this._id, ...CharityCode.availableFilter() },
+    [{
+      $set: {
+        useCount: { $add: [{ $ifNull: ['$useCount', 0] }, 1] },
+        isUsed: { $gte: [{ $add: [{ $ifNull: ['$useCount', 0] }, 1] }, { $ifNull: ['$maxUses', 1] }] }
+      }
+    }],
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await CharityCode.findById(this._id);
+    throw rejectRedemption((current && current.getUnavailableReason(user.email)) || 'Code has already been used');
+  }
+  
+  const releaseUse = () => CharityCode.updateOne(
+    { _id: this._id },
+    [{ $set: { useCount: { $max: [{ $subtract: ['$useCount', 1] }, 0] }, isUsed: false } }]
+  );
+  
+  let redemption;
+  try {
+    redemption = await CharityCodeRedemption.create({ code: this._id, user: user._id });
+  } catch (error) {
+    await releaseUse();
+    if (error.code === 11000) {
+      throw rejectRedemption('You have already redeemed this code');
+    }
+    throw error;
+  }
+  
+  try {
+    const authorized = await User.updateOne(
+      { _id: user._id, 'charityAuthorization.canCreateCharity': { $ne: true } },
+      {
+        $set: {
+          charityAuthorization: { code: this._id, authorizedAt: redemption.redeemedAt, canCreateCharity: true }
+        }
+      }
+    );
+    if (authorized.matchedCount === 0) {
+      throw rejectRedemption('You already have charity creation authorization');
+    }
+  } catch (error) {
+    await CharityCodeRedemption.deleteOne({ _id: redemption._id });
+    await releaseUse();
+    throw error;
+  }
   
-  return this.save();
+  this.useCount = claimed.useCount;
+  this.isUsed = claimed.isUsed;
+  
+  return redemption;
+};
+
+// Usage summary for admin listings
+charityCodeSchema.methods.toUsageSummary = function(redemptions) {
+  return {
+    id: this._id,
+    code: this.code,
+    description: this.description,
+    maxUses: this.maxUses,
+    useCount: this.useCount,
+    remainingUses: this.getRemainingUses(),
+    lastRedeemedAt: redemptions?.lastRedeemedAt || null,
+    isActive: this.isActive,
+    startsAt: this.startsAt,
+    expiresAt: this.expiresAt
+  };
 };
 
-// Static method to generate a random code
+// Static method to generate a random code (with a CSPRNG)
 charityCodeSchema.statics.generateCode = function() {
-  const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let result = '';
-  for (let i = 0; i < 8; i++) {
-    result += characters.charAt(Math.floor(Math.random() * characters.length));
+  let body = '';
+  for (let i = 0; i < CODE_BODY_LENGTH; i++) {
+    body += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return this.withCheckCharacter(body);
+};
+
+// Append the check character to a code body (e.g. a custom code chosen by an admin)
+charityCodeSchema.statics.withCheckCharacter = function(body) {
+  return body + checkCharacter(body);
+};
+
+// Canonical form of a code as typed by a user: upper case, without spaces or dashes
+charityCodeSchema.statics.normalizeCode = function(input) {
+  return String(input || '').toUpperCase().replace(/[\s-]/g, '');
+};
+
+// Check a normalized code's length, alphabet and check character
+charityCodeSchema.statics.isWellFormed = function(code) {
+  if (typeof code !== 'string' || code.length !== CODE_BODY_LENGTH + 1) return false;
+  if ([...code].some(character => !CODE_ALPHABET.includes(character))) return false;
+  return checkCharacter(code.slice(0, -1)) === code.slice(-1);
+};
+
+// Codes issued before check characters: 8 characters from A-Z and 0-9
+charityCodeSchema.statics.isLegacyFormat = function(code) {
+  return typeof code === 'string' && /^[A-Z0-9]{8}$/.test(code);
+};
+
+// Query filter that matches a normalized code as typed. Well-formed codes are
+// looked up directly; codes that fail the check can only match codes issued
+// before check characters, so typos of newer codes never match. Returns null
+// if the code can't be valid at all.
+charityCodeSchema.statics.lookupFilter = function(code) {
+  if (this.isWellFormed(code)) {
+    return { code };
+  }
+  if (this.isLegacyFormat(code)) {
+    return { code, legacyFormat: { $ne: false } };
   }
-  return result;
+  return null;
 };
 
+charityCodeSchema.statics.CODE_ALPHABET = CODE_ALPHABET;
+charityCodeSchema.statics.CODE_BODY_LENGTH = CODE_BODY_LENGTH;
+charityCodeSchema.statics.REDEMPTION_REJECTED = REDEMPTION_REJECTED;
+
 module.exports = mongoose.model('CharityCode', charityCodeSchema);
\ No newline at end of file
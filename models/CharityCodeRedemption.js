@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One use of a charity code. Codes can be redeemed several times, but only
+// once by each user.
+const charityCodeRedemptionSchema = new mongoose.Schema({
+  code: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CharityCode',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+charityCodeRedemptionSchema.index({ code: 1, user: 1 }, { unique: true });
+charityCodeRedemptionSchema.index({ code: 1, redeemedAt: -1 });
+
+// Redemption count and first/last redemption time for each of the given codes, keyed by code id
+charityCodeRedemptionSchema.statics.summarizeByCode = async function(codeIds) {
+  const results = await this.aggregate([
+    { $match: { code: { $in: codeIds } } },
+    {
+      $group: {
+        _id: '$code',
+        redemptions: { $sum: 1 },
+        firstRedeemedAt: { $min: '$redeemedAt' },
+        lastRedeemedAt: { $max: '$redeemedAt' }
+      }
+    }
+  ]);
+
+  return new Map(results.map(result => [result._id.toString(), result]));
+};
+
+module.exports = mongoose.model('CharityCodeRedemption', charityCodeRedemptionSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A user following a charity's updates
+const charityFollowerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  charity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Charity',
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+charityFollowerSchema.index({ user: 1, charity: 1 }, { unique: true });
+
+// Follow a charity (following twice is a no-op)
+charityFollowerSchema.statics.follow = function(userId, charityId) {
+  return this.updateOne(
+    { user: userId, charity: charityId },
+    { $setOnInsert: { user: userId, charity: charityId } },
+    { upsert: true }
+  );
+};
+
+// Ids of the charities a user follows
+charityFollowerSchema.statics.getFollowedCharityIds = async function(userId) {
+  const follows = await this.find({ user: userId }).select('charity').lean();
+  return follows.map(follow => follow.charity);
+};
+
+module.exports = mongoose.model('CharityFollower', charityFollowerSchema);
@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const INVITATION_TTL_DAYS = 7;
+
+// What each role may do on a charity. Owners may do everything; banking
+// details are limited to the owner and the finance role.
+const ROLE_PERMISSIONS = {
+  owner: ['*'],
+  admin: [
+    'charity:view', 'charity:edit', 'charity:publish', 'legal:edit',
+    'financial:view', 'financial:edit', 'donations:view',
+    'campaigns:manage', 'updates:manage', 'media:manage', 'documents:view', 'documents:manage',
+    'verification:submit', 'members:view', 'members:manage'
+  ],
+  editor: ['charity:view', 'charity:edit', 'campaigns:manage', 'updates:manage', 'media:manage', 'documents:view', 'members:view'],
+  finance: [
+    'charity:view', 'financial:view', 'financial:edit', 'banking:view', 'banking:edit',
+    'donations:view', 'documents:view', 'members:view'
+  ],
+  viewer: ['charity:view', 'members:view']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles each role may invite, assign or remove (nobody can assign "owner")
+const MANAGEABLE_ROLES = {
+  owner: ['admin', 'editor', 'finance', 'viewer'],
+  admin: ['editor', 'finance', 'viewer']
+};
+
+// A user's role on a charity, or an invitation to one. Invitations are
+// addressed to an email address and become memberships when accepted.
+const charityMemberSchema = new mongoose.Schema({
+  charity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Charity',
+    required: true,
+    index: true
+  },
+  // Set once the invitation is accepted
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['invited', 'active', 'declined', 'revoked', 'removed'],
+    default: 'invited'
+  },
+  invitationToken: String,   // sha256 hash of the emailed token
+  invitationExpires: Date,
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  joinedAt: Date,
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+charityMemberSchema.index({ user: 1, status: 1 });
+charityMemberSchema.index({ email: 1, status: 1 });
+charityMemberSchema.index({ invitationToken: 1 }, { sparse: true });
+// One live membership or invitation per person per charity
+charityMemberSchema.index(
+  { charity: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+charityMemberSchema.index(
+  { charity: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'invited' } }
+);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Check if a role grants a permission
+charityMemberSchema.statics.roleHasPermission = function(role, permission) {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Check if a member with one role may invite, assign or remove another role
+charityMemberSchema.statics.canManageRole = function(managerRole, role) {
+  return (MANAGEABLE_ROLES[managerRole] || []).includes(role);
+};
+
+// A user's role on a charity (null if they have none). The charity's owner
+// field is authoritative for ownership, including charities created before
+// memberships existed.
+charityMemberSchema.statics.getRole = async function(charity, userId) {
+  const ownerId = charity.owner?._id || charity.owner;
+  if (ownerId && ownerId.toString() === userId.toString()) {
+    return 'owner';
+  }
+  const membership = await this.findOne({ charity: charity._id, user: userId, status: 'active' }).select('role');
+  return membership ? membership.role : null;
+};
+
+// Ids of the charity's owner and the active members whose role grants a permission
+charityMemberSchema.statics.findUserIdsWithPermission = async function(charity, permission) {
+  const roles = ROLES.filter(role => this.roleHasPermission(role, permission));
+  const members = await this.find({ charity: charity._id, status: 'active', role: { $in: roles } }).select('user');
+  return [charity.owner?._id || charity.owner, ...members.map(member => member.user)].filter(Boolean);
+};
+
+// Record the owner's membership for a new charity
+charityMemberSchema.statics.addOwner = function(charity) {
+  return this.create({
+    charity: charity._id,
+    user: charity.owner,
+    role: 'owner',
+    status: 'active',
+    joinedAt: new Date()
+  });
+};
+
+// Update memberships after a charity changes owner. The previous owner keeps
+// the given role, or loses access if previousOwnerRole is null.
+charityMemberSchema.statics.transferOwnership = async function(charityId, fromUserId, toUserId, previousOwnerRole) {
+  const now = new Date();
+
+  // The new owner's existing membership (if any) becomes the owner membership
+  await this.updateMany(
+    { charity: charityId, user: { $in: [fromUserId, toUserId] }, status: 'active' },
+    { $set: { status: 'removed', respondedAt: now } }
+  );
+  await this.create({ charity: charityId, user: toUserId, role: 'owner', status: 'active', joinedAt: now });
+
+  if (previousOwnerRole) {
+    await this.create({ charity: charityId, user: fromUserId, role: previousOwnerRole, status: 'active', joinedAt: now });
+  }
+};
+
+// Invite an email address, replacing any pending invitation for it.
+// Resolves to { member, token }; the raw token is only available here.
+charityMemberSchema.statics.invite = async function(charity, email, role, invitedBy) {
+  await this.updateMany(
+    { charity: charity._id, email: email.toLowerCase(), status: 'invited' },
+    { $set: { status: 'revoked', respondedAt: new Date() }, $unset: { invitationToken: 1 } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const member = await this.create({
+    charity: charity._id,
+    email,
+    role,
+    invitedBy: invitedBy._id,
+    invitationToken: hashToken(token),
+    invitationExpires: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { member, token };
+};
+
+// Find a pending, unexpired invitation by its emailed token
+charityMemberSchema.statics.findInvitation = function(token) {
+  return this.findOne({
+    invitationToken: hashToken(token),
+    status: 'invited',
+    invitationExpires: { $gt: new Date() }
+  });
+};
+
+// Accept or decline an invitation on behalf of the invited user
+charityMemberSchema.methods.respond = function(user, accept) {
+  if (this.status !== 'invited') {
+    throw new Error('Invitation is no longer pending');
+  }
+  if (!user.email || user.email.toLowerCase() !== this.email) {
+    throw new Error('This invitation was sent to a different email address');
+  }
+
+  this.status = accept ? 'active' : 'declined';
+  this.user = accept ? user._id : undefined;
+  this.joinedAt = accept ? new Date() : undefined;
+  this.respondedAt = new Date();
+  this.invitationToken = undefined;
+  this.invitationExpires = undefined;
+
+  return this.save();
+};
+
+// Summary for member lists
+charityMemberSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    user: this.user,
+    email: this.email,
+    role: this.role,
+    status: this.status,
+    invitedBy: this.invitedBy,
+    invitationExpires: this.invitationExpires,
+    joinedAt: this.joinedAt,
+    createdAt: this.createdAt
+  };
+};
+
+charityMemberSchema.statics.ROLES = ROLES;
+charityMemberSchema.statics.INVITATION_TTL_DAYS = INVITATION_TTL_DAYS;
+
+module.exports = mongoose.model('CharityMember', charityMemberSchema);
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+// Plaintext search index of the public directory. Charity fields are stored
+// encrypted and can't be searched, so the public fields of every publicly
+// listed (verified) charity are copied here. Nothing private ever goes in.
+// Entries are kept in sync by hooks on the Charity and Donation models and can
+// be rebuilt with scripts/rebuild-search-index.js.
+const charitySearchIndexSchema = new mongoose.Schema({
+  charity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Charity',
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: String,
+  description: String,
+  mission: String,
+  website: String,
+  logo: String,
+  socialMedia: {
+    facebook: String,
+    twitter: String,
+    instagram: String,
+    linkedin: String,
+    youtube: String
+  },
+  tags: [String],
+  categories: { type: [String], index: true },
+  // Succeeded donations, in minor units (summed across currencies)
+  totalRaised: { type: Number, default: 0, index: true },
+  donationCount: { type: Number, default: 0 },
+  charityCreatedAt: { type: Date, index: true }
+}, {
+  timestamps: true,
+  collection: 'charity_search_index'
+});
+
+charitySearchIndexSchema.index(
+  { name: 'text', tags: 'text', categories: 'text', mission: 'text', description: 'text' },
+  {
+    name: 'charity_search_text',
+    weights: { name: 10, tags: 5, categories: 5, mission: 3, description: 1 }
+  }
+);
+
+// Sort orders accepted by search()
+charitySearchIndexSchema.statics.SORTS = ['relevance', 'newest', 'most_funded'];
+
+// Add, refresh or remove the entry for a charity document
+charitySearchIndexSchema.statics.syncCharity = async function(charity) {
+  if (!charity.isPubliclyListed()) {
+    await this.deleteOne({ charity: charity._id });
+    return null;
+  }
+
+  const decrypted = charity.getDecryptedData();
+  const funding = await this.getFunding(charity._id);
+
+  return this.findOneAndUpdate(
+    { charity: charity._id },
+    {
+      owner: charity.owner,
+      name: decrypted.basicInfo?.name,
+      description: decrypted.basicInfo?.description,
+      mission: decrypted.basicInfo?.mission,
+      website: decrypted.basicInfo?.website,
+      logo: decrypted.logo,
+      socialMedia: decrypted.socialMedia,
+      tags: decrypted.tags || [],
+      categories: decrypted.categories || [],
+      totalRaised: funding.totalRaised,
+      donationCount: funding.donationCount,
+      charityCreatedAt: charity.createdAt
+    },
+    { new: true, upsert: true }
+  );
+};
+
+// Remove the entries of deleted charities
+charitySearchIndexSchema.statics.removeCharities = function(charityIds) {
+  return this.deleteMany({ charity: { $in: charityIds } });
+};
+
+// Totals of a charity's succeeded donations
+charitySearchIndexSchema.statics.getFunding = async function(charityId) {
+  const [totals] = await this.model('Donation').aggregate([
+    { $match: { charity: new mongoose.Types.ObjectId(charityId), status: 'succeeded' } },
+    { $group: { _id: null, totalRaised: { $sum: '$amount' }, donationCount: { $sum: 1 } } }
+  ]);
+  return totals || { totalRaised: 0, donationCount: 0 };
+};
+
+// Recompute funding totals after a donation to a listed charity changes
+charitySearchIndexSchema.statics.refreshFunding = async function(charityId) {
+  const funding = await this.getFunding(charityId);
+  await this.updateOne({ charity: charityId }, { $set: funding });
+};
+
+// Search the directory. Sorting by relevance needs a search term and falls
+// back to newest without one.
+charitySearchIndexSchema.statics.search = async function({ search, category, tag, sort = 'relevance', page = 1, limit = 10 }) {
+  const query = {};
+
+  if (search) {
+    query.$text = { $search: search };
+  }
+  if (category) {
+    query.categories = category;
+  }
+  if (tag) {
+    query.tags = tag;
+  }
+
+  let order;
+  if (sort === 'most_funded') {
+    order = { totalRaised: -1, charityCreatedAt: -1 };
+  } else if (sort === 'relevance' && search) {
+    order = { score: { $meta: 'textScore' }, totalRaised: -1 };
+  } else {
+    order = { charityCreatedAt: -1 };
+  }
+
+  const projection = search ? { score: { $meta: 'textScore' } } : {};
+
+  const [results, total] = await Promise.all([
+    this.find(query, projection)
+      .populate('owner', 'profile.displayName')
+      .sort(order)
+      .limit(limit * 1)
+      .skip((page - 1) * limit),
+    this.countDocuments(query)
+  ]);
+
+  return { results, total };
+};
+
+// Shape returned by the public directory
+charitySearchIndexSchema.methods.toPublicView = function() {
+  const score = this.get('score');
+  return {
+    id: this.charity,
+    name: this.name,
+    description: this.description,
+    mission: this.mission,
+    website: this.website,
+    socialMedia: this.socialMedia,
+    logo: this.logo,
+    categories: this.categories,
+    tags: this.tags,
+    totalRaised: this.totalRaised,
+    donationCount: this.donationCount,
+    owner: this.owner,
+    createdAt: this.charityCreatedAt,
+    ...(score !== undefined && { relevance: score })
+  };
+};
+
+module.exports = mongoose.model('CharitySearchIndex', charitySearchIndexSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const imageSchema = require('./schemas/image');
+const { toImageView } = require('../services/images');
+
+// News post published by a charity for its followers. Text is public once
+// published and so is stored unencrypted; drafts are only visible to the team.
+const charityUpdateSchema = new mongoose.Schema({
+  charity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Charity',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 20000
+  },
+  images: [imageSchema],
+  // Optional link to one of the charity's programs or campaigns
+  program: mongoose.Schema.Types.ObjectId,
+  campaign: mongoose.Schema.Types.ObjectId,
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+  publishedAt: Date
+}, {
+  timestamps: true
+});
+
+charityUpdateSchema.index({ charity: 1, status: 1, publishedAt: -1 });
+charityUpdateSchema.index({ status: 1, publishedAt: -1 });
+
+const MAX_IMAGES = 10;
+
+// Publish a draft, or move a published update back to drafts
+charityUpdateSchema.methods.setStatus = function(status) {
+  if (status === 'published' && this.status !== 'published') {
+    this.publishedAt = new Date();
+  }
+  if (status === 'draft') {
+    this.publishedAt = undefined;
+  }
+  this.status = status;
+};
+
+// View for API responses
+charityUpdateSchema.methods.toView = function() {
+  return {
+    id: this._id,
+    charity: this.charity,
+    author: this.author,
+    title: this.title,
+    body: this.body,
+    images: this.images.map(toImageView),
+    program: this.program,
+    campaign: this.campaign,
+    status: this.status,
+    publishedAt: this.publishedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+charityUpdateSchema.statics.MAX_IMAGES = MAX_IMAGES;
+
+module.exports = mongoose.model('CharityUpdate', charityUpdateSchema);
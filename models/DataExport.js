@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// How long a worker may hold an export before another can claim it
+const LOCK_DURATION = 10 * 60 * 1000;
+
+// A personal data export: a ZIP archive of everything held about a user,
+// built in the background (see services/dataExport.js) and stored encrypted
+// until it expires.
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // The user themselves, or the admin who produced it on their behalf
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  lockedUntil: Date,
+  storageKey: String,
+  size: Number,
+  checksum: String,   // SHA-256 of the archive
+  error: String,
+  completedAt: Date,
+  expiresAt: Date     // when the archive is deleted
+}, {
+  timestamps: true
+});
+
+dataExportSchema.index({ status: 1, createdAt: 1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Atomically claim the oldest waiting export (or one whose worker died)
+dataExportSchema.statics.claimNext = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending' },
+        { status: 'processing', lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { status: 'processing', lockedUntil: new Date(now.getTime() + LOCK_DURATION) } },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+// Check if the export is still being prepared
+dataExportSchema.methods.isInProgress = function() {
+  return this.status === 'pending' || this.status === 'processing';
+};
+
+// View for API responses
+dataExportSchema.methods.toView = function() {
+  return {
+    id: this._id,
+    user: this.user,
+    requestedBy: this.requestedBy,
+    status: this.status,
+    size: this.size,
+    error: this.status === 'failed' ? this.error : undefined,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt,
+    createdAt: this.createdAt
+  };
+};
+
+dataExportSchema.statics.LOCK_DURATION = LOCK_DURATION;
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const CharitySearchIndex = require('./CharitySearchIndex');
+const { getPaymentProvider } = require('../services/payments');
+const { notify, notifyCharityTeam } = require('../services/notifications');
+const { emitEvent } = require('../services/webhooks');
+
+const donationSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  charity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Charity',
+    required: true
+  },
+  // Set when the donation is an installment of a recurring pledge
+  pledge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pledge'
+  },
+  // Scheduled date of the pledge installment the donation pays
+  installmentDate: Date,
+  // Set when the donation targets one of the charity's campaigns
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Amount in minor units (e.g. cents)
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed', 'refunded'],
+    default: 'pending'
+  },
+  // Payment details
+  payment: {
+    provider: String,
+    transactionId: String,
+    failureReason: String,
+    processedAt: Date
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  // Tax receipt, issued once the payment succeeds. Immutable once set.
+  receipt: {
+    number: { type: String, immutable: true },
+    sequence: { type: Number, immutable: true },
+    issuedAt: { type: Date, immutable: true }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for donor and charity listings
+donationSchema.index({ donor: 1, createdAt: -1 });
+donationSchema.index({ charity: 1, createdAt: -1 });
+donationSchema.index({ campaign: 1, status: 1 });
+donationSchema.index({ pledge: 1, installmentDate: 1 });
+donationSchema.index({ 'receipt.number': 1 }, { unique: true, sparse: true });
+
+// Charge the donation through the configured payment provider. A charge that
+// throws is recorded as a failed payment, so the donation isn't left pending.
+donationSchema.methods.processPayment = async function(source) {
+  const provider = getPaymentProvider();
+
+  let result;
+  try {
+    result = await provider.charge({
+      amount: this.amount,
+      currency: this.currency,
+      source,
+      metadata: {
+        donationId: this._id.toString(),
+        charityId: this.charity.toString()
+      }
+    });
+  } catch (error) {
+    console.error(`Payment provider error for donation ${this._id}:`, error.message);
+    result = { success: false, failureReason: error.message };
+  }
+
+  this.payment = {
+    provider: provider.name,
+    transactionId: result.transactionId,
+    failureReason: result.success ? undefined : result.failureReason,
+    processedAt: new Date()
+  };
+  this.status = result.success ? 'succeeded' : 'failed';
+
+  if (result.success) {
+    await this.issueReceipt();
+  }
+
+  await this.save();
+
+  // "Most funded" ordering in the directory search
+  if (result.success) {
+    await CharitySearchIndex.refreshFunding(this.charity).catch(error => {
+      console.error(`Failed to update search index funding for charity ${this.charity}:`, error.message);
+    });
+  }
+
+  await this.sendPaymentNotifications();
+
+  return this;
+};
+
+// Tell the donor how the payment went and, on success, the charity's team and
+// its webhook endpoints (one-off donations and pledge installments alike).
+// Best effort: a failed notification doesn't affect the donation.
+donationSchema.methods.sendPaymentNotifications = async function() {
+  try {
+    const charity = await this.model('Charity').findById(this.charity).select('basicInfo.name owner');
+    if (!charity) return;
+
+    const data = {
+      charityId: this.charity.toString(),
+      charityName: charity.decryptField('basicInfo.name'),
+      amount: this.amount,
+      currency: this.currency
+    };
+
+    if (this.status === 'succeeded') {
+      await notify([this.donor], 'donation.succeeded', { ...data, receiptNumber: this.receipt?.number });
+
+      // Donors are only named by their public display name
+      const donor = this.isAnonymous ? null : await this.model('User').findById(this.donor).select('profile.displayName');
+      await notifyCharityTeam(charity, 'donations:view', 'donation.received', {
+        ...data,
+        donorName: donor?.profile?.displayName || null
+      });
+
+      await emitEvent('donation.received', {
+        charity: { id: charity._id, name: data.charityName },
+        donation: {
+          id: this._id,
+          amount: this.amount,
+          currency: this.currency,
+          campaign: this.campaign,
+          pledge: this.pledge,
+          receiptNumber: this.receipt?.number,
+          donor: this.isAnonymous ? null : this.donor,
+          isAnonymous: this.isAnonymous,
+          createdAt: this.createdAt
+        }
+      }, { charityId: charity._id });
+    } else if (this.status === 'failed') {
+      await notify([this.donor], 'donation.failed', data);
+    }
+  } catch (error) {
+    console.error(`Failed to send notifications for donation ${this._id}:`, error.message);
+  }
+};
+
+// Assign the next sequential receipt number for the charity (no-op if already issued).
+// Receipt paths are immutable, so assigning them on a saved donation would be
+// silently ignored: saved donations get their receipt through a conditional
+// update, which also stops a second receipt being issued.
+donationSchema.methods.issueReceipt = async function() {
+  if (this.receipt && this.receipt.number) return;
+
+  const charityId = this.charity.toString();
+  const sequence = await Counter.next(`receipt:${charityId}`);
+
+  let receipt = {
+    number: `${charityId.slice(-6).toUpperCase()}-${String(sequence).padStart(6, '0')}`,
+    sequence,
+    issuedAt: new Date()
+  };
+
+  if (this.isNew) {
+    this.receipt = receipt;
+    return;
+  }
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'receipt.number': { $exists: false } },
+    { $set: { receipt } },
+    { overwriteImmutable: true }
+  );
+  if (result.matchedCount === 0) {
+    // Issued concurrently: keep the receipt that was stored first
+    const existing = await this.constructor.findById(this._id).select('receipt').lean();
+    receipt = existing.receipt;
+  }
+
+  this.$set('receipt', receipt, undefined, { overwriteImmutable: true });
+  this.unmarkModified('receipt');
+};
+
+// Summary safe to show to the charity (respects donor anonymity)
+donationSchema.methods.toCharityView = function() {
+  return {
+    id: this._id,
+    amount: this.amount,
+    currency: this.currency,
+    status: this.status,
+    campaign: this.campaign,
+    message: this.message,
+    donor: this.isAnonymous ? null : this.donor,
+    isAnonymous: this.isAnonymous,
+    createdAt: this.createdAt
+  };
+};
+
+// Amount raised and distinct donor count for each campaign, keyed by campaign id
+donationSchema.statics.getCampaignProgress = async function(campaignIds) {
+  const results = await this.aggregate([
+    { $match: { campaign: { $in: campaignIds }, status: 'succeeded' } },
+    {
+      $group: {
+        _id: '$campaign',
+        raised: { $sum: '$amount' },
+        donors: { $addToSet: '$donor' }
+      }
+    }
+  ]);
+
+  const progress = {};
+  results.forEach(result => {
+    progress[result._id.toString()] = {
+      raised: result.raised,
+      donorCount: result.donors.length
+    };
+  });
+  return progress;
+};
+
+module.exports = mongoose.model('Donation', donationSchema);
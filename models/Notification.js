@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const MAX_DELIVERY_ATTEMPTS = 5;
+// How long a worker may hold a notification before another can claim it
+const LOCK_DURATION = 5 * 60 * 1000;
+
+// Email or SMS delivery of a notification, retried with backoff until it
+// succeeds or runs out of attempts
+const deliverySchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: String,
+  messageId: String,
+  sentAt: Date
+}, {
+  _id: false
+});
+
+// A notification for one user. Every notification appears in the user's
+// in-app inbox; pending email and SMS deliveries make up the outbox that
+// services/notifications works through.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Template name, e.g. "donation.received" (see services/notifications/templates.js)
+  type: {
+    type: String,
+    required: true
+  },
+  // Template data, kept so deliveries can be rendered again on retry
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  title: String,
+  body: String,
+  link: String,
+  readAt: Date,
+  deliveries: [deliverySchema],
+  lockedUntil: Date
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ 'deliveries.status': 1, 'deliveries.nextAttemptAt': 1 });
+
+// Atomically claim a notification with a due delivery so concurrent workers
+// don't send it twice
+notificationSchema.statics.claimDue = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      deliveries: { $elemMatch: { status: 'pending', nextAttemptAt: { $lte: now } } },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_DURATION) } },
+    { new: true }
+  );
+};
+
+// Record the outcome of a delivery attempt
+notificationSchema.methods.recordAttempt = function(delivery, { messageId, error } = {}) {
+  delivery.attempts += 1;
+  
+  if (!error) {
+    delivery.status = 'sent';
+    delivery.messageId = messageId;
+    delivery.sentAt = new Date();
+    delivery.lastError = undefined;
+    return;
+  }
+  
+  delivery.lastError = error;
+  if (delivery.attempts >= MAX_DELIVERY_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    // Back off 1, 4, 9, 16 minutes
+    delivery.nextAttemptAt = new Date(Date.now() + delivery.attempts * delivery.attempts * 60 * 1000);
+  }
+};
+
+// View for the user's inbox
+notificationSchema.methods.toView = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    title: this.title,
+    body: this.body,
+    link: this.link,
+    read: Boolean(this.readAt),
+    readAt: this.readAt,
+    createdAt: this.createdAt
+  };
+};
+
+notificationSchema.statics.LOCK_DURATION = LOCK_DURATION;
+notificationSchema.statics.MAX_DELIVERY_ATTEMPTS = MAX_DELIVERY_ATTEMPTS;
+
+module.exports = mongoose.model('Notification', notificationSchema);
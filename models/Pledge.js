@@ -0,0 +1,354 @@
+const mongoose = require('mongoose');
+const Donation = require('./Donation');
+
+// Months between installments for each frequency
+const FREQUENCY_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  annual: 12
+};
+
+// Delays before retrying a failed charge; the pledge lapses once these run out
+const RETRY_DELAYS = [
+  60 * 60 * 1000,       // 1 hour
+  6 * 60 * 60 * 1000,   // 6 hours
+  24 * 60 * 60 * 1000   // 24 hours
+];
+
+// How long a scheduler worker may hold a pledge before another can claim it
+const LOCK_DURATION = 5 * 60 * 1000;
+
+// Add months to a date, clamping to the anchor day (e.g. Jan 31 -> Feb 28 -> Mar 31)
+const addMonths = (date, months, anchorDay) => {
+  const result = new Date(date);
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  
+  const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(anchorDay, daysInMonth));
+  
+  return result;
+};
+
+const pledgeSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  charity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Charity',
+    required: true
+  },
+  // Amount per installment in minor units (e.g. cents)
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true,
+    trim: true
+  },
+  frequency: {
+    type: String,
+    enum: Object.keys(FREQUENCY_MONTHS),
+    required: true
+  },
+  // Payment provider source/token to charge
+  paymentSource: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'cancelled', 'lapsed'],
+    default: 'active'
+  },
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  // Scheduling
+  anchorDay: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  nextChargeAt: Date,   // scheduled date of the next installment
+  nextAttemptAt: Date,  // when the scheduler should next try to charge (includes retries)
+  lastChargedAt: Date,
+  lockedUntil: Date,
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailureReason: String,
+  // Totals
+  installmentsCharged: {
+    type: Number,
+    default: 0
+  },
+  totalCharged: {
+    type: Number,
+    default: 0
+  },
+  // Lifecycle
+  pausedAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String,
+  lapsedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for listings and the scheduler
+pledgeSchema.index({ donor: 1, createdAt: -1 });
+pledgeSchema.index({ charity: 1, createdAt: -1 });
+pledgeSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Set up the schedule for new pledges
+pledgeSchema.pre('save', function(next) {
+  if (this.isNew) {
+    const start = this.nextChargeAt || new Date();
+    this.anchorDay = this.anchorDay || start.getUTCDate();
+    this.nextChargeAt = start;
+    this.nextAttemptAt = start;
+  }
+  next();
+});
+
+// Compute the installment date following the given one
+pledgeSchema.methods.getFollowingChargeDate = function(from) {
+  return addMonths(from, FREQUENCY_MONTHS[this.frequency], this.anchorDay);
+};
+
+// Charge the current installment and reschedule the pledge. An installment
+// that was already paid (e.g. the pledge failed to save afterwards) isn't
+// charged again, and one whose payment is still pending may have gone through,
+// so it throws rather than risk charging the donor twice.
+pledgeSchema.methods.charge = async function() {
+  const installmentDate = this.nextChargeAt;
+  let donation = await this.constructor.findInstallmentDonation(this._id, installmentDate);
+  
+  if (donation && donation.status === 'pending') {
+    throw new Error(`Payment for the installment due ${installmentDate.toISOString()} may already have gone through`);
+  }
+  
+  if (!donation) {
+    donation = new Donation({
+      donor: this.donor,
+      charity: this.charity,
+      pledge: this._id,
+      installmentDate,
+      amount: this.amount,
+      currency: this.currency,
+      isAnonymous: this.isAnonymous
+    });
+    await donation.save();
+    await donation.processPayment(this.paymentSource);
+  }
+  
+  const now = new Date();
+  
+  if (donation.status === 'succeeded') {
+    this.failedAttempts = 0;
+    this.lastFailureReason = undefined;
+    this.lastChargedAt = now;
+    this.installmentsCharged += 1;
+    this.totalCharged += donation.amount;
+    this.nextChargeAt = this.getFollowingChargeDate(this.nextChargeAt);
+    this.nextAttemptAt = this.nextChargeAt;
+  } else {
+    this.failedAttempts += 1;
+    this.lastFailureReason = donation.payment.failureReason;
+    
+    if (this.failedAttempts > RETRY_DELAYS.length) {
+      this.status = 'lapsed';
+      this.lapsedAt = now;
+      this.nextAttemptAt = undefined;
+    } else {
+      this.nextAttemptAt = new Date(now.getTime() + RETRY_DELAYS[this.failedAttempts - 1]);
+    }
+  }
+  
+  this.lockedUntil = undefined;
+  await this.save();
+  
+  return donation;
+};
+
+// Pause an active pledge
+pledgeSchema.methods.pause = function() {
+  if (this.status !== 'active') {
+    throw new Error('Only active pledges can be paused');
+  }
+  
+  this.status = 'paused';
+  this.pausedAt = new Date();
+  this.nextAttemptAt = undefined;
+  this.lockedUntil = undefined;
+  
+  return this.save();
+};
+
+// The donation that paid, or may have paid (still pending), an installment of a pledge
+pledgeSchema.statics.findInstallmentDonation = function(pledgeId, installmentDate) {
+  return Donation.findOne({ pledge: pledgeId, installmentDate, status: { $in: ['pending', 'succeeded'] } });
+};
+
+// Pause every active pledge to a charity that can no longer receive donations
+// (e.g. it was suspended). Donors can resume them once it is listed again.
+pledgeSchema.statics.pauseForCharity = async function(charityId) {
+  const result = await this.updateMany(
+    { charity: charityId, status: 'active' },
+    { $set: { status: 'paused', pausedAt: new Date() }, $unset: { nextAttemptAt: 1, lockedUntil: 1 } }
+  );
+  return result.modifiedCount;
+};
+
+// Resume a paused or lapsed pledge. Missed installments are skipped, not back-charged.
+pledgeSchema.methods.resume = function(paymentSource) {
+  if (!['paused', 'lapsed'].includes(this.status)) {
+    throw new Error('Only paused or lapsed pledges can be resumed');
+  }
+  
+  if (paymentSource) {
+    this.paymentSource = paymentSource;
+  }
+  
+  const now = new Date();
+  let nextChargeAt = this.nextChargeAt || now;
+  while (nextChargeAt < now) {
+    nextChargeAt = this.getFollowingChargeDate(nextChargeAt);
+  }
+  
+  this.status = 'active';
+  this.pausedAt = undefined;
+  this.lapsedAt = undefined;
+  this.failedAttempts = 0;
+  this.lastFailureReason = undefined;
+  this.nextChargeAt = nextChargeAt;
+  this.nextAttemptAt = nextChargeAt;
+  
+  return this.save();
+};
+
+// Cancel a pledge (cannot be resumed)
+pledgeSchema.methods.cancel = function(reason) {
+  if (this.status === 'cancelled') {
+    throw new Error('Pledge is already cancelled');
+  }
+  
+  this.status = 'cancelled';
+  this.cancelledAt = new Date();
+  this.cancellationReason = reason;
+  this.nextAttemptAt = undefined;
+  
+  return this.save();
+};
+
+// Summary of the pledge state
+pledgeSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    charity: this.charity,
+    amount: this.amount,
+    currency: this.currency,
+    frequency: this.frequency,
+    status: this.status,
+    nextChargeAt: this.status === 'active' ? this.nextChargeAt : null,
+    lastChargedAt: this.lastChargedAt,
+    failedAttempts: this.failedAttempts,
+    lastFailureReason: this.lastFailureReason,
+    installmentsCharged: this.installmentsCharged,
+    totalCharged: this.totalCharged,
+    createdAt: this.createdAt
+  };
+};
+
+// Summary safe to show to the charity (respects donor anonymity)
+pledgeSchema.methods.toCharityView = function() {
+  const summary = this.toSummary();
+  delete summary.lastFailureReason;
+  summary.donor = this.isAnonymous ? null : this.donor;
+  summary.isAnonymous = this.isAnonymous;
+  return summary;
+};
+
+// Atomically claim a due pledge so concurrent schedulers don't double-charge it
+pledgeSchema.statics.claimDue = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      status: 'active',
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_DURATION) } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Charge every due pledge, one at a time. Pledges to charities that are no
+// longer publicly listed are paused instead. Returns counts for logging.
+pledgeSchema.statics.chargeDue = async function(limit = 100) {
+  const result = { charged: 0, failed: 0, lapsed: 0, paused: 0 };
+  
+  for (let i = 0; i < limit; i++) {
+    const pledge = await this.claimDue();
+    if (!pledge) break;
+    
+    const installmentDate = pledge.nextChargeAt;
+    try {
+      const charity = await this.model('Charity').findById(pledge.charity).select('status isPublic');
+      if (!charity || !charity.isPubliclyListed()) {
+        await pledge.pause();
+        result.paused += 1;
+        continue;
+      }
+      
+      const donation = await pledge.charge();
+      if (donation.status === 'succeeded') {
+        result.charged += 1;
+      } else if (pledge.status === 'lapsed') {
+        result.lapsed += 1;
+      } else {
+        result.failed += 1;
+      }
+    } catch (error) {
+      console.error(`Failed to charge pledge ${pledge._id}:`, error.message);
+      
+      // Retrying once the lock expires is safe if nothing was paid, or if the
+      // installment was paid (charge() records it instead of charging again).
+      // A payment that is still pending may have gone through, so the pledge
+      // is paused until the donor resumes it.
+      try {
+        const donation = await this.findInstallmentDonation(pledge._id, installmentDate);
+        if (donation && donation.status === 'pending') {
+          await this.updateOne(
+            { _id: pledge._id, status: 'active' },
+            {
+              $set: { status: 'paused', pausedAt: new Date(), lastFailureReason: 'Payment outcome unknown' },
+              $unset: { nextAttemptAt: 1, lockedUntil: 1 }
+            }
+          );
+          result.paused += 1;
+          continue;
+        }
+      } catch (pauseError) {
+        console.error(`Failed to pause pledge ${pledge._id}:`, pauseError.message);
+      }
+      result.failed += 1;
+    }
+  }
+  
+  return result;
+};
+
+pledgeSchema.statics.FREQUENCIES = Object.keys(FREQUENCY_MONTHS);
+pledgeSchema.statics.LOCK_DURATION = LOCK_DURATION;
+
+module.exports = mongoose.model('Pledge', pledgeSchema);
@@ -1,6 +1,18 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const EncryptionUtil = require('../utils/encryption');
+const crypto = require('crypto');
+const encryptedFields = require('./plugins/encryptedFields');
+const imageSchema = require('./schemas/image');
+const CharityFollower = require('./CharityFollower');
+const Notification = require('./Notification');
+const DataExport = require('./DataExport');
+const { getStorage } = require('../services/storage');
+const { deleteImages } = require('../services/images');
+const TotpUtil = require('../utils/totp');
+
+const VERIFICATION_TOKEN_TTL_HOURS = 24;
+const PASSWORD_RESET_TOKEN_TTL_MINUTES = 60;
+const RECOVERY_CODE_COUNT = 10;
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -34,23 +46,24 @@ const userSchema = new mongoose.Schema({
   },
   // Encrypted personal information
   personalInfo: {
-    firstName: String, // encrypted
-    lastName: String,  // encrypted
-    phone: String,     // encrypted
+    firstName: { type: String, encrypted: true, blindIndex: true },
+    lastName: { type: String, encrypted: true, blindIndex: true },
+    phone: { type: String, encrypted: true },
     address: {
-      street: String,  // encrypted
-      city: String,    // encrypted
-      state: String,   // encrypted
-      zipCode: String, // encrypted
-      country: String  // encrypted
+      street: { type: String, encrypted: true },
+      city: { type: String, encrypted: true },
+      state: { type: String, encrypted: true },
+      zipCode: { type: String, encrypted: true },
+      country: { type: String, encrypted: true, legacyPlaintext: true }
     },
-    dateOfBirth: String, // encrypted
-    description: String  // encrypted
+    dateOfBirth: { type: String, encrypted: true, legacyPlaintext: true },
+    description: { type: String, encrypted: true }
   },
   // Profile settings
   profile: {
     displayName: String,
-    profilePicture: String,
+    profilePicture: String,   // public URL; set to the avatar's medium variant on upload
+    avatar: imageSchema,
     isPublic: {
       type: Boolean,
       default: false
@@ -77,11 +90,39 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  verificationToken: String
+  verificationToken: String, // SHA-256 hash of the emailed token
+  verificationTokenExpires: Date,
+  passwordResetToken: String, // SHA-256 hash of the emailed token
+  passwordResetExpires: Date,
+  passwordChangedAt: Date,
+  // Set while the account is scheduled for deletion (see services/accountDeletion)
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: String,
+    wasActive: Boolean   // isActive before the request, restored if it is cancelled
+  },
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: { type: String, encrypted: true },
+    pendingSecret: { type: String, encrypted: true }, // set during enrollment until confirmed
+    recoveryCodes: [String], // SHA-256 hashes of one-time recovery codes
+    lastUsedStep: Number,   // last accepted TOTP step, to prevent replay
+    enabledAt: Date
+  }
 }, {
   timestamps: true
 });
 
+userSchema.plugin(encryptedFields);
+
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+
 // Password hashing middleware
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -95,83 +136,183 @@ userSchema.pre('save', async function(next) {
   }
 });
 
-// Encrypt personal info before saving
-userSchema.pre('save', function(next) {
-  if (this.personalInfo) {
-    // Encrypt sensitive fields
-    if (this.personalInfo.firstName && this.isModified('personalInfo.firstName')) {
-      this.personalInfo.firstName = EncryptionUtil.simpleEncrypt(this.personalInfo.firstName);
-    }
-    if (this.personalInfo.lastName && this.isModified('personalInfo.lastName')) {
-      this.personalInfo.lastName = EncryptionUtil.simpleEncrypt(this.personalInfo.lastName);
-    }
-    if (this.personalInfo.phone && this.isModified('personalInfo.phone')) {
-      this.personalInfo.phone = EncryptionUtil.simpleEncrypt(this.personalInfo.phone);
-    }
-    if (this.personalInfo.description && this.isModified('personalInfo.description')) {
-      this.personalInfo.description = EncryptionUtil.simpleEncrypt(this.personalInfo.description);
-    }
-    
-    // Encrypt address fields
-    if (this.personalInfo.address) {
-      const address = this.personalInfo.address;
-      if (address.street && this.isModified('personalInfo.address.street')) {
-        address.street = EncryptionUtil.simpleEncrypt(address.street);
-      }
-      if (address.city && this.isModified('personalInfo.address.city')) {
-        address.city = EncryptionUtil.simpleEncrypt(address.city);
-      }
-      if (address.state && this.isModified('personalInfo.address.state')) {
-        address.state = EncryptionUtil.simpleEncrypt(address.state);
-      }
-      if (address.zipCode && this.isModified('personalInfo.address.zipCode')) {
-        address.zipCode = EncryptionUtil.simpleEncrypt(address.zipCode);
-      }
-    }
+// Remove a deleted user's stored avatar, follows, notifications and data exports
+userSchema.post('findOneAndDelete', async function(doc) {
+  if (!doc) return;
+  try {
+    await CharityFollower.deleteMany({ user: doc._id });
+    await Notification.deleteMany({ user: doc._id });
+  } catch (error) {
+    console.error(`Failed to remove follows and notifications of user ${doc._id}:`, error.message);
+  }
+  try {
+    const exports = await DataExport.find({ user: doc._id, storageKey: { $exists: true } }).select('storageKey');
+    await Promise.all(exports.map(dataExport => getStorage().delete(dataExport.storageKey)));
+    await DataExport.deleteMany({ user: doc._id });
+  } catch (error) {
+    console.error(`Failed to remove data exports of user ${doc._id}:`, error.message);
+  }
+  if (!doc.profile?.avatar) return;
+  try {
+    await deleteImages([doc.profile.avatar]);
+  } catch (error) {
+    console.error(`Failed to delete avatar of user ${doc._id}:`, error.message);
   }
-  next();
 });
 
-// Method to compare password
-userSchema.methods.comparePassword = async function(candidatePassword) {
-  return bcrypt.compare(candidatePassword, this.password);
+// Hash a token sent by email; only the hash is stored
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
 };
 
-// Method to get decrypted personal info
-userSchema.methods.getDecryptedPersonalInfo = function() {
-  if (!this.personalInfo) return null;
+// Method to issue a new email verification token (returns the raw token to email)
+userSchema.methods.createVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
   
-  const decrypted = { ...this.personalInfo.toObject() };
+  this.verificationToken = this.constructor.hashToken(token);
+  this.verificationTokenExpires = new Date(Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000);
   
-  if (decrypted.firstName) {
-    decrypted.firstName = EncryptionUtil.simpleDecrypt(decrypted.firstName);
-  }
-  if (decrypted.lastName) {
-    decrypted.lastName = EncryptionUtil.simpleDecrypt(decrypted.lastName);
+  return token;
+};
+
+// Method to issue a single-use password reset token (returns the raw token to email)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+  
+  return token;
+};
+
+// Method to set a new password and log out every session
+userSchema.methods.setPassword = function(password) {
+  this.password = password;
+  // Invalidates access tokens issued before now (backdated to cover JWT second precision)
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+  this.refreshTokens = [];
+};
+
+// Deactivate the account and sign out every session until it is deleted at scheduledFor
+userSchema.methods.scheduleDeletion = function(requestedBy, scheduledFor, reason) {
+  if (this.isPendingDeletion()) {
+    throw new Error('Account is already scheduled for deletion');
   }
-  if (decrypted.phone) {
-    decrypted.phone = EncryptionUtil.simpleDecrypt(decrypted.phone);
+  
+  this.deletion = {
+    requestedAt: new Date(),
+    scheduledFor,
+    requestedBy: requestedBy._id,
+    reason,
+    wasActive: this.isActive
+  };
+  this.isActive = false;
+  this.refreshTokens = [];
+};
+
+// Withdraw a scheduled deletion and restore the account's previous state
+userSchema.methods.cancelDeletion = function() {
+  if (!this.isPendingDeletion()) {
+    throw new Error('Account is not scheduled for deletion');
   }
-  if (decrypted.description) {
-    decrypted.description = EncryptionUtil.simpleDecrypt(decrypted.description);
+  
+  this.isActive = this.deletion.wasActive !== false;
+  this.deletion = undefined;
+};
+
+userSchema.methods.isPendingDeletion = function() {
+  return Boolean(this.deletion?.scheduledFor);
+};
+
+// Users can cancel their own deletion request by logging in; deletions
+// requested by an admin can only be cancelled by an admin
+userSchema.methods.canCancelDeletionByLogin = function() {
+  return this.isPendingDeletion() && this.deletion.requestedBy?.toString() === this._id.toString();
+};
+
+// Check if a token issued at the given time (JWT iat, in seconds) predates a password change
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return issuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Method to start two-factor enrollment (returns the plaintext secret to show once)
+userSchema.methods.startTwoFactorEnrollment = function() {
+  const secret = TotpUtil.generateSecret();
+  this.twoFactor.pendingSecret = secret; // encrypted by the setter
+  return secret;
+};
+
+// Method to confirm enrollment with a code from the pending secret
+userSchema.methods.confirmTwoFactorEnrollment = function(code) {
+  const pendingSecret = this.decryptField('twoFactor.pendingSecret');
+  const step = TotpUtil.verify(pendingSecret, code);
+  if (step === null) return false;
+  
+  this.twoFactor.enabled = true;
+  this.twoFactor.secret = pendingSecret; // encrypted by the setter
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.enabledAt = new Date();
+  return true;
+};
+
+// Method to turn off two-factor authentication
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor = { enabled: false, recoveryCodes: [] };
+};
+
+// Method to replace recovery codes (returns the plaintext codes to show once)
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
   }
   
-  if (decrypted.address) {
-    if (decrypted.address.street) {
-      decrypted.address.street = EncryptionUtil.simpleDecrypt(decrypted.address.street);
-    }
-    if (decrypted.address.city) {
-      decrypted.address.city = EncryptionUtil.simpleDecrypt(decrypted.address.city);
-    }
-    if (decrypted.address.state) {
-      decrypted.address.state = EncryptionUtil.simpleDecrypt(decrypted.address.state);
-    }
-    if (decrypted.address.zipCode) {
-      decrypted.address.zipCode = EncryptionUtil.simpleDecrypt(decrypted.address.zipCode);
+  this.twoFactor.recoveryCodes = codes.map(code => this.constructor.hashToken(code));
+  return codes;
+};
+
+// Method to check a TOTP or recovery code. Recovery codes are consumed and
+// TOTP steps can't be reused; save the user afterwards.
+// Returns 'totp', 'recovery' or null.
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactor || !this.twoFactor.enabled || !code) return null;
+  
+  const normalized = String(code).trim().toLowerCase().replace(/\s/g, '');
+  
+  if (/^\d{6}$/.test(normalized)) {
+    const secret = this.decryptField('twoFactor.secret');
+    const step = TotpUtil.verify(secret, normalized);
+    
+    if (step === null || (this.twoFactor.lastUsedStep !== undefined && step <= this.twoFactor.lastUsedStep)) {
+      return null;
     }
+    
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
   }
   
-  return decrypted;
+  const hash = this.constructor.hashToken(normalized);
+  const index = this.twoFactor.recoveryCodes.indexOf(hash);
+  if (index === -1) return null;
+  
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return 'recovery';
+};
+
+// Method to compare password
+userSchema.methods.comparePassword = async function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to get decrypted personal info
+userSchema.methods.getDecryptedPersonalInfo = function() {
+  if (!this.personalInfo) return null;
+  return this.getDecryptedObject().personalInfo || null;
 };
 
 // Remove sensitive data from JSON output
@@ -180,7 +321,20 @@ userSchema.methods.toJSON = function() {
   delete user.password;
   delete user.refreshTokens;
   delete user.verificationToken;
+  delete user.verificationTokenExpires;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  if (user.twoFactor) {
+    user.twoFactor = {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).length
+    };
+  }
   return user;
 };
 
+userSchema.statics.VERIFICATION_TOKEN_TTL_HOURS = VERIFICATION_TOKEN_TTL_HOURS;
+userSchema.statics.PASSWORD_RESET_TOKEN_TTL_MINUTES = PASSWORD_RESET_TOKEN_TTL_MINUTES;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
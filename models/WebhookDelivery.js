@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const MAX_ATTEMPTS = 8;
+// How long a worker may hold a delivery before another can claim it
+const LOCK_DURATION = 2 * 60 * 1000;
+const MAX_BACKOFF = 24 * 60 * 60 * 1000;
+
+// One event sent to one webhook endpoint, with a log of every attempt
+const webhookDeliverySchema = new mongoose.Schema({
+  endpoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Shared by the deliveries of one event to different endpoints, so
+  // receivers can ignore duplicates
+  eventId: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: Date,
+  lastError: String,
+  lastResponseStatus: Number,
+  deliveredAt: Date,
+  log: [{
+    _id: false,
+    attemptedAt: Date,
+    responseStatus: Number,
+    error: String,
+    durationMs: Number
+  }]
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+
+// Atomically claim a due delivery so concurrent workers don't send it twice
+webhookDeliverySchema.statics.claimDue = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      status: 'pending',
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_DURATION) } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Record the outcome of an attempt. Failures are retried with exponential
+// backoff (1, 2, 4 ... minutes, at most a day) until MAX_ATTEMPTS.
+webhookDeliverySchema.methods.recordAttempt = function({ attemptedAt, responseStatus, error, durationMs }) {
+  this.attempts += 1;
+  this.lastResponseStatus = responseStatus;
+  this.lockedUntil = undefined;
+  this.log.push({ attemptedAt, responseStatus, error, durationMs });
+  
+  if (!error) {
+    this.status = 'succeeded';
+    this.deliveredAt = attemptedAt;
+    this.lastError = undefined;
+    return;
+  }
+  
+  this.lastError = error;
+  if (this.attempts >= MAX_ATTEMPTS) {
+    this.status = 'failed';
+  } else {
+    const backoff = Math.min(Math.pow(2, this.attempts - 1) * 60 * 1000, MAX_BACKOFF);
+    this.nextAttemptAt = new Date(Date.now() + backoff);
+  }
+};
+
+// Queue the delivery to be sent again (manual redelivery)
+webhookDeliverySchema.methods.resetForRedelivery = function() {
+  this.status = 'pending';
+  this.attempts = 0;
+  this.nextAttemptAt = new Date();
+  this.lockedUntil = new Date(Date.now() + LOCK_DURATION);
+};
+
+// View for API responses
+webhookDeliverySchema.methods.toView = function() {
+  return {
+    id: this._id,
+    endpoint: this.endpoint,
+    event: this.event,
+    eventId: this.eventId,
+    status: this.status,
+    attempts: this.attempts,
+    nextAttemptAt: this.status === 'pending' ? this.nextAttemptAt : undefined,
+    lastError: this.lastError,
+    lastResponseStatus: this.lastResponseStatus,
+    deliveredAt: this.deliveredAt,
+    log: this.log,
+    payload: this.payload,
+    createdAt: this.createdAt
+  };
+};
+
+webhookDeliverySchema.statics.MAX_ATTEMPTS = MAX_ATTEMPTS;
+webhookDeliverySchema.statics.LOCK_DURATION = LOCK_DURATION;
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
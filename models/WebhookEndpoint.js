@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const encryptedFields = require('./plugins/encryptedFields');
+
+// Events endpoints can subscribe to. Endpoints registered for a charity only
+// receive events about that charity, so platform-wide events are admin-only.
+const EVENTS = {
+  'charity.verified': { charityScoped: true },
+  'charity.suspended': { charityScoped: true },
+  'charity_code.redeemed': { charityScoped: false },
+  'donation.received': { charityScoped: true }
+};
+
+const EVENT_NAMES = Object.keys(EVENTS);
+const CHARITY_EVENT_NAMES = EVENT_NAMES.filter(event => EVENTS[event].charityScoped);
+
+// A URL that receives signed event deliveries (see services/webhooks.js).
+// Platform-wide endpoints are registered by admins; charity owners register
+// endpoints for their own charity.
+const webhookEndpointSchema = new mongoose.Schema({
+  // Unset for platform-wide endpoints
+  charity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Charity',
+    index: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  events: {
+    type: [{ type: String, enum: EVENT_NAMES }],
+    validate: [events => events.length > 0, 'At least one event is required']
+  },
+  // HMAC key for signing deliveries; only shown when the endpoint is created
+  secret: {
+    type: String,
+    required: true,
+    encrypted: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookEndpointSchema.plugin(encryptedFields);
+
+webhookEndpointSchema.index({ events: 1, isActive: 1 });
+
+// New random signing secret
+webhookEndpointSchema.statics.generateSecret = function() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+};
+
+// View for API responses (never includes the secret)
+webhookEndpointSchema.methods.toView = function() {
+  return {
+    id: this._id,
+    charity: this.charity,
+    url: this.url,
+    description: this.description,
+    events: this.events,
+    isActive: this.isActive,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+webhookEndpointSchema.statics.EVENTS = EVENT_NAMES;
+webhookEndpointSchema.statics.CHARITY_EVENTS = CHARITY_EVENT_NAMES;
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
@@ -0,0 +1,284 @@
+const EncryptionUtil = require('../../utils/encryption');
+
+// Mongoose plugin for declarative field encryption.
+//
+// Declare paths with `encrypted: true`:
+//   name: { type: String, encrypted: true }
+//   tags: [{ type: String, encrypted: true }]
+//   extra: { type: Map, of: { type: String, encrypted: true } }
+// Nested objects, subdocument arrays and single nested schemas are searched too.
+//
+// Values are encrypted by a setter, so plaintext never reaches the database
+// whether it is written through save(), create(), findOneAndUpdate() or updateOne().
+// Values that merely look encrypted are encrypted too, so ciphertext copied from
+// another record (e.g. through a request body) can't be stored as-is; only a
+// field's own stored value set again is left untouched. To copy an encrypted
+// value, decrypt it and set the plaintext. (scripts/reencrypt-fields.js writes
+// ciphertext directly to the collection, bypassing the setter.)
+//
+// Paths that used to be stored in plaintext can add `legacyPlaintext: true`;
+// unencrypted values there are returned as-is until scripts/reencrypt-fields.js
+// encrypts them.
+//
+// Top-level and nested encrypted paths can also declare a blind index for
+// exact-match lookups: `blindIndex: true` (case and whitespace insensitive) or
+// `blindIndex: 'alphanumeric'` (also ignores punctuation, for identifiers like
+// tax IDs). The keyed hash is stored next to the field as <field>BlindIndex and
+// kept in sync on save and in update queries. Query it with
+// Model.findByBlindIndex(path, value) or Model.blindIndexQuery(path, value).
+
+// Setter for encrypted paths. priorVal is the path's current value (only known
+// when a document path is set directly).
+const encryptValue = (value, priorVal) => {
+  if (value === null || value === undefined || value === '') return value;
+  if (value === priorVal && EncryptionUtil.isVersioned(value)) return value;
+  return EncryptionUtil.encrypt(value);
+};
+
+const decryptValue = (value, field = {}) => {
+  if (typeof value !== 'string' || value === '') return value;
+
+  if (field.legacyPlaintext && !EncryptionUtil.isVersioned(value)) {
+    const decrypted = EncryptionUtil.legacyDecrypt(value, { silent: true });
+    return decrypted === null ? value : decrypted;
+  }
+
+  return EncryptionUtil.decrypt(value);
+};
+
+const NORMALIZERS = {
+  text: (value) => String(value).normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase(),
+  alphanumeric: (value) => String(value).normalize('NFKC').toUpperCase().replace(/[^A-Z0-9]/g, '')
+};
+
+// Blind index of a stored (possibly encrypted) value, or of a plaintext value
+// about to be encrypted by the setter when isPlaintext is set
+const computeBlindIndex = (field, value, { isPlaintext = false } = {}) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const plaintext = !isPlaintext && EncryptionUtil.isVersioned(value) ? decryptValue(value, field) : value;
+  if (plaintext === null) return null;
+
+  const normalized = NORMALIZERS[field.normalize](plaintext);
+  return normalized ? EncryptionUtil.blindIndex(normalized) : null;
+};
+
+// Find the value of a path in an update object, which may use dotted keys,
+// nested objects or a mix. Returns the containing object and key, or null.
+const findInUpdate = (target, parts) => {
+  for (let split = parts.length; split > 0; split--) {
+    const key = parts.slice(0, split).join('.');
+    if (!Object.prototype.hasOwnProperty.call(target, key)) continue;
+
+    if (split === parts.length) {
+      return { parent: target, key };
+    }
+    if (target[key] && typeof target[key] === 'object') {
+      return findInUpdate(target[key], parts.slice(split));
+    }
+  }
+  return null;
+};
+
+// Add blind index updates to an update query
+const applyBlindIndexesToUpdate = (update, blindIndexFields) => {
+  if (!update || Array.isArray(update)) return;
+
+  blindIndexFields.forEach(field => {
+    const parts = field.path.split('.');
+
+    [update, update.$set].filter(Boolean).forEach(target => {
+      const found = findInUpdate(target, parts);
+      if (found) {
+        const indexKey = found.parent === target && found.key === field.path
+          ? field.indexPath
+          : `${found.key}BlindIndex`;
+        found.parent[indexKey] = computeBlindIndex(field, found.parent[found.key], { isPlaintext: true });
+      }
+    });
+
+    if (update.$unset && findInUpdate(update.$unset, parts)) {
+      update.$unset[field.indexPath] = '';
+    }
+  });
+};
+
+// Find encrypted paths and attach setters. Patterns use $ for array elements
+// and * for Map values, e.g. 'programs.$.name' or 'customFields.*'.
+const collectEncryptedPaths = (schema, prefix = '', fields = []) => {
+  const addField = (schemaType, pattern) => {
+    const { legacyPlaintext, blindIndex } = schemaType.options;
+    const field = { pattern, legacyPlaintext: Boolean(legacyPlaintext) };
+
+    if (blindIndex) {
+      if (/[$*]/.test(pattern)) {
+        throw new Error(`Blind indexes are not supported inside arrays or maps (${pattern})`);
+      }
+      field.blindIndex = {
+        path: pattern,
+        indexPath: `${pattern}BlindIndex`,
+        normalize: blindIndex === true ? 'text' : blindIndex,
+        legacyPlaintext: field.legacyPlaintext
+      };
+      if (!NORMALIZERS[field.blindIndex.normalize]) {
+        throw new Error(`Unknown blind index normalizer "${blindIndex}" (${pattern})`);
+      }
+    }
+
+    schemaType.set(encryptValue);
+    fields.push(field);
+  };
+
+  schema.eachPath((path, schemaType) => {
+    const fullPath = `${prefix}${path}`;
+
+    if (schemaType.schema) {
+      // Subdocument array or single nested subdocument
+      const childPrefix = schemaType.$isMongooseDocumentArray ? `${fullPath}.$.` : `${fullPath}.`;
+      collectEncryptedPaths(schemaType.schema, childPrefix, fields);
+    } else if (schemaType.instance === 'Array' && schemaType.caster?.options?.encrypted) {
+      addField(schemaType.caster, `${fullPath}.$`);
+    } else if (path.endsWith('.$*')) {
+      if (schemaType.options.encrypted) {
+        addField(schemaType, `${fullPath.slice(0, -3)}.*`);
+      }
+    } else if (schemaType.options.encrypted) {
+      addField(schemaType, fullPath);
+    }
+  });
+
+  return fields;
+};
+
+// Expand a pattern into concrete paths and values of a plain object
+const expandPath = (value, segments, prefix = []) => {
+  if (segments.length === 0) {
+    return [{ path: prefix.join('.'), parts: prefix, value }];
+  }
+  if (value === null || value === undefined) {
+    return [];
+  }
+
+  const [segment, ...rest] = segments;
+
+  if (segment === '$') {
+    if (!Array.isArray(value)) return [];
+    return value.flatMap((item, index) => expandPath(item, rest, [...prefix, index]));
+  }
+  if (segment === '*') {
+    if (value instanceof Map) {
+      return Array.from(value.keys()).flatMap(key => expandPath(value.get(key), rest, [...prefix, key]));
+    }
+    if (typeof value !== 'object') return [];
+    return Object.keys(value).flatMap(key => expandPath(value[key], rest, [...prefix, key]));
+  }
+
+  return expandPath(value[segment], rest, [...prefix, segment]);
+};
+
+const setPath = (obj, parts, value) => {
+  const parent = parts.slice(0, -1).reduce((current, part) => current[part], obj);
+  const key = parts[parts.length - 1];
+
+  if (parent instanceof Map) {
+    parent.set(key, value);
+  } else {
+    parent[key] = value;
+  }
+};
+
+// Decrypt every encrypted path of a plain object in place
+const decryptObject = (obj, fields) => {
+  fields.forEach(field => {
+    expandPath(obj, field.pattern.split('.')).forEach(({ parts, value }) => {
+      if (value === null || value === undefined) return;
+      setPath(obj, parts, decryptValue(value, field));
+    });
+  });
+  return obj;
+};
+
+const encryptedFieldsPlugin = (schema) => {
+  const fields = collectEncryptedPaths(schema);
+  const blindIndexFields = fields.filter(field => field.blindIndex).map(field => field.blindIndex);
+
+  // Hidden index paths, e.g. legalInfo.taxIdBlindIndex
+  blindIndexFields.forEach(field => {
+    schema.path(field.indexPath, { type: String, index: true, select: false });
+  });
+
+  // Field patterns, used by scripts/reencrypt-fields.js
+  schema.statics.ENCRYPTED_FIELDS = fields.map(field => field.pattern);
+  schema.statics.LEGACY_PLAINTEXT_FIELDS = fields
+    .filter(field => field.legacyPlaintext)
+    .map(field => field.pattern);
+
+  schema.statics.BLIND_INDEX_FIELDS = blindIndexFields.map(field => field.path);
+
+  // Keep blind indexes in sync when documents are saved
+  schema.pre('save', function(next) {
+    try {
+      blindIndexFields.forEach(field => {
+        if (this.isNew || this.isModified(field.path)) {
+          this.set(field.indexPath, computeBlindIndex(field, this.get(field.path)) || undefined);
+        }
+      });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ...and when they are changed through update queries (runs before setters encrypt the values)
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+    try {
+      applyBlindIndexesToUpdate(this.getUpdate(), blindIndexFields);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Blind index for a plaintext value of an indexed path
+  schema.statics.blindIndexFor = function(path, value) {
+    const field = blindIndexFields.find(entry => entry.path === path);
+    if (!field) {
+      throw new Error(`${path} has no blind index`);
+    }
+    return computeBlindIndex(field, value);
+  };
+
+  // Query condition matching documents whose indexed path equals the value
+  schema.statics.blindIndexQuery = function(path, value) {
+    return { [`${path}BlindIndex`]: this.blindIndexFor(path, value) };
+  };
+
+  // Find documents whose indexed path equals the value
+  schema.statics.findByBlindIndex = function(path, value) {
+    return this.find(this.blindIndexQuery(path, value));
+  };
+
+  // Plain object copy of the document with every encrypted field decrypted
+  schema.methods.getDecryptedObject = function(options = {}) {
+    return decryptObject(this.toObject({ flattenMaps: true, ...options }), fields);
+  };
+
+  // Decrypt a single concrete path, e.g. doc.decryptField('legalInfo.taxId')
+  schema.methods.decryptField = function(path) {
+    const parts = path.split('.');
+    const field = fields.find(entry => {
+      const segments = entry.pattern.split('.');
+      return segments.length === parts.length && segments.every((segment, index) =>
+        segment === '*' ||
+        (segment === '$' ? /^\d+$/.test(parts[index]) : segment === parts[index]));
+    });
+    return field ? decryptValue(this.get(path), field) : this.get(path);
+  };
+};
+
+encryptedFieldsPlugin.encryptValue = encryptValue;
+encryptedFieldsPlugin.decryptValue = decryptValue;
+encryptedFieldsPlugin.expandPath = expandPath;
+encryptedFieldsPlugin.computeBlindIndex = computeBlindIndex;
+
+module.exports = encryptedFieldsPlugin;
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// An uploaded image and its resized variants (see services/images.js).
+// Files are stored under images/<_id>/<variant>.webp and served publicly
+// from /api/images/<_id>/<variant>.
+const imageSchema = new mongoose.Schema({
+  width: Number,      // original dimensions
+  height: Number,
+  variants: [{
+    _id: false,
+    name: String,
+    width: Number,
+    height: Number,
+    size: Number
+  }],
+  caption: String,
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  uploadedAt: { type: Date, default: Date.now }
+});
+
+module.exports = imageSchema;
@@ -4,6 +4,18 @@ const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const Charity = require('../models/Charity');
 const CharityCode = require('../models/CharityCode');
+const CharityCodeRedemption = require('../models/CharityCodeRedemption');
+const CharityMember = require('../models/CharityMember');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const DataExport = require('../models/DataExport');
+const Pledge = require('../models/Pledge');
+const AuditLog = require('../models/AuditLog');
+const { recordAudit, pick } = require('../services/audit');
+const { notifyCharityTeam } = require('../services/notifications');
+const webhooks = require('../services/webhooks');
+const dataExports = require('../services/dataExport');
+const accountDeletion = require('../services/accountDeletion');
 const { auth, requireAdmin } = require('../middleware/auth');
 
 const router = express.Router();
@@ -18,16 +30,121 @@ const updateUserSchema = Joi.object({
   isActive: Joi.boolean().optional()
 });
 
-const createCharityCodeSchema = Joi.object({
-  code: Joi.string().alphanum().length(8).uppercase().optional(),
+const deleteUserSchema = Joi.object({
+  reason: Joi.string().max(1000).optional()
+});
+
+// Usage limits, validity window and email restrictions shared by single and bulk codes
+const charityCodeOptions = {
   expiresAt: Joi.date().greater('now').required(),
+  startsAt: Joi.date().less(Joi.ref('expiresAt')).optional(),
+  maxUses: Joi.number().integer().min(1).max(10000).default(1),
+  allowedEmail: Joi.string().email().optional(),
+  allowedDomain: Joi.string().domain().optional(),
   description: Joi.string().max(200).optional()
-});
+};
+
+const createCharityCodeSchema = Joi.object({
+  // Custom code without its check character, which is appended
+  code: Joi.string().uppercase()
+    .length(CharityCode.CODE_BODY_LENGTH)
+    .pattern(new RegExp(`^[${CharityCode.CODE_ALPHABET}]+$`))
+    .message(`"code" must be ${CharityCode.CODE_BODY_LENGTH} characters from ${CharityCode.CODE_ALPHABET}`)
+    .optional(),
+  ...charityCodeOptions
+}).oxor('allowedEmail', 'allowedDomain');
 
 const bulkCreateCharityCodesSchema = Joi.object({
   count: Joi.number().integer().min(1).max(50).required(),
-  expiresAt: Joi.date().greater('now').required(),
-  description: Joi.string().max(200).optional()
+  ...charityCodeOptions
+}).oxor('allowedEmail', 'allowedDomain');
+
+const charityCodeUsageQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const charityCodeRedemptionsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const updateCharityStatusSchema = Joi.object({
+  status: Joi.string().valid('suspended', 'inactive').required(),
+  reason: Joi.string().max(2000).required()
+});
+
+const transferOwnershipSchema = Joi.object({
+  userId: Joi.string().hex().length(24),
+  email: Joi.string().email(),
+  // Team role the current owner keeps after the transfer ("none" to remove them)
+  previousOwnerRole: Joi.string().valid(...CharityMember.ROLES.filter(role => role !== 'owner'), 'none').required(),
+  reason: Joi.string().max(2000).required()
+}).xor('userId', 'email');
+
+const reviewDecisionSchema = Joi.object({
+  note: Joi.string().max(2000).optional(),
+  reasons: Joi.array().items(Joi.string().max(500)).optional()
+});
+
+const checklistItemSchema = Joi.object({
+  status: Joi.string().valid('passed', 'failed').required(),
+  note: Joi.string().max(2000).optional()
+});
+
+const reviewNoteSchema = Joi.object({
+  note: Joi.string().max(2000).required(),
+  internal: Joi.boolean().default(true)
+});
+
+// Workflow action behind each status the status endpoint accepts
+const STATUS_ACTIONS = { suspended: 'suspend', inactive: 'deactivate' };
+
+const REVIEW_ACTION_MESSAGES = {
+  claim: 'Review claimed successfully',
+  release: 'Review released successfully',
+  approve: 'Charity approved successfully',
+  reject: 'Charity rejected',
+  request_changes: 'Changes requested from the charity owner'
+};
+
+// Tell the charity's owner and admins about a status change
+const notifyStatusChange = (charity, note) => notifyCharityTeam(charity, 'verification:submit', 'charity.status_changed', {
+  charityId: charity._id.toString(),
+  charityName: charity.decryptField('basicInfo.name'),
+  status: charity.status,
+  note
+});
+
+const createWebhookSchema = Joi.object({
+  url: Joi.string().uri({ scheme: webhooks.getAllowedSchemes() }).required(),
+  description: Joi.string().max(200).optional(),
+  events: Joi.array().items(Joi.string().valid(...webhooks.EVENTS)).min(1).unique().required()
+});
+
+const updateWebhookSchema = Joi.object({
+  url: Joi.string().uri({ scheme: webhooks.getAllowedSchemes() }).optional(),
+  description: Joi.string().max(200).allow('').optional(),
+  events: Joi.array().items(Joi.string().valid(...webhooks.EVENTS)).min(1).unique().optional(),
+  isActive: Joi.boolean().optional()
+});
+
+const webhookDeliveriesQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'succeeded', 'failed').optional(),
+  event: Joi.string().valid(...webhooks.EVENTS).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const auditLogQuerySchema = Joi.object({
+  actor: Joi.string().hex().length(24).optional(),
+  target: Joi.string().hex().length(24).optional(),
+  targetType: Joi.string().optional(),
+  action: Joi.string().optional(),
+  from: Joi.date().optional(),
+  to: Joi.date().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
 });
 
 // ========== CHARITY CODE MANAGEMENT ==========
@@ -47,6 +164,8 @@ router.post('/charity-codes', async (req, res) => {
         code = CharityCode.generateCode();
       } while (await CharityCode.findOne({ code }));
     } else {
+      code = CharityCode.withCheckCharacter(code);
+      
       // Check if provided code already exists
       const existingCode = await CharityCode.findOne({ code });
       if (existingCode) {
@@ -55,20 +174,29 @@ router.post('/charity-codes', async (req, res) => {
     }
     
     const charityCode = new CharityCode({
+      ...value,
       code,
-      expiresAt: value.expiresAt,
-      description: value.description,
       createdBy: req.user._id
     });
     
     await charityCode.save();
     
+    await recordAudit(req, {
+      action: 'charity_code.create',
+      target: { type: 'CharityCode', id: charityCode._id },
+      after: pick(charityCode, ['startsAt', 'expiresAt', 'maxUses', 'allowedEmail', 'allowedDomain', 'description', 'isActive'])
+    });
+    
     res.status(201).json({
       message: 'Charity code created successfully',
       code: {
         id: charityCode._id,
         code: charityCode.code,
+        startsAt: charityCode.startsAt,
         expiresAt: charityCode.expiresAt,
+        maxUses: charityCode.maxUses,
+        allowedEmail: charityCode.allowedEmail,
+        allowedDomain: charityCode.allowedDomain,
         description: charityCode.description,
         isActive: charityCode.isActive,
         createdAt: charityCode.createdAt
@@ -100,7 +228,11 @@ router.post('/charity-codes/bulk', async (req, res) => {
       
       const charityCode = new CharityCode({
         code,
+        startsAt: value.startsAt,
         expiresAt: value.expiresAt,
+        maxUses: value.maxUses,
+        allowedEmail: value.allowedEmail,
+        allowedDomain: value.allowedDomain,
         description: value.description ? `${value.description} (${i + 1}/${value.count})` : `Batch code ${i + 1}`,
         createdBy: req.user._id
       });
@@ -110,12 +242,29 @@ router.post('/charity-codes/bulk', async (req, res) => {
     
     const savedCodes = await Promise.all(codePromises);
     
+    await recordAudit(req, {
+      action: 'charity_code.bulk_create',
+      target: { type: 'CharityCode' },
+      after: {
+        count: savedCodes.length,
+        ids: savedCodes.map(code => code._id),
+        startsAt: value.startsAt,
+        expiresAt: value.expiresAt,
+        maxUses: value.maxUses,
+        allowedEmail: value.allowedEmail,
+        allowedDomain: value.allowedDomain,
+        description: value.description
+      }
+    });
+    
     res.status(201).json({
       message: `${value.count} charity codes created successfully`,
       codes: savedCodes.map(code => ({
         id: code._id,
         code: code.code,
+        startsAt: code.startsAt,
         expiresAt: code.expiresAt,
+        maxUses: code.maxUses,
         description: code.description
       }))
     });
@@ -133,28 +282,33 @@ router.get('/charity-codes', async (req, res) => {
     
     // Filter by status
     if (status === 'active') {
+      Object.assign(query, CharityCode.availableFilter());
+    } else if (status === 'scheduled') {
       query.isActive = true;
-      query.expiresAt = { $gt: new Date() };
-      query.isUsed = false;
+      query.startsAt = { $gt: new Date() };
     } else if (status === 'expired') {
       query.expiresAt = { $lte: new Date() };
     } else if (status === 'used') {
       query.isUsed = true;
     } else if (status === 'inactive') {
       query.isActive = false;
+    } else if (status === 'legacy') {
+      // Issued before check characters; still redeemable until they expire
+      query.legacyFormat = { $ne: false };
     }
     
     // Search by code or description
     if (search) {
-      query.$or = [
-        { code: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+      query.$and = [{
+        $or: [
+          { code: { $regex: search, $options: 'i' } },
+          { description: { $regex: search, $options: 'i' } }
+        ]
+      }];
     }
     
     const codes = await CharityCode.find(query)
       .populate('createdBy', 'email')
-      .populate('usedBy.user', 'email profile.displayName')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -172,37 +326,95 @@ router.get('/charity-codes', async (req, res) => {
   }
 });
 
-// Get charity code statistics
+// Get charity code statistics, with the usage of every code (most used first,
+// paginated), including codes that were never redeemed
 router.get('/charity-codes/stats', async (req, res) => {
   try {
+    const { error, value } = charityCodeUsageQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
     const now = new Date();
     
-    const [total, active, expired, used, unused] = await Promise.all([
+    // Codes created before multi-use codes have no useCount
+    const [total, active, scheduled, expired, used, partiallyUsed, unused, redemptions, codes] = await Promise.all([
       CharityCode.countDocuments({}),
-      CharityCode.countDocuments({ 
-        isActive: true, 
-        expiresAt: { $gt: now },
-        isUsed: false
-      }),
+      CharityCode.countDocuments(CharityCode.availableFilter(now)),
+      CharityCode.countDocuments({ isActive: true, startsAt: { $gt: now } }),
       CharityCode.countDocuments({ expiresAt: { $lte: now } }),
       CharityCode.countDocuments({ isUsed: true }),
-      CharityCode.countDocuments({ isUsed: false })
+      CharityCode.countDocuments({ isUsed: { $ne: true }, useCount: { $gt: 0 } }),
+      CharityCode.countDocuments({ isUsed: { $ne: true }, useCount: { $in: [0, null] } }),
+      CharityCodeRedemption.countDocuments({}),
+      CharityCode.find({})
+        .sort({ useCount: -1, createdAt: -1, _id: -1 })
+        .limit(value.limit)
+        .skip((value.page - 1) * value.limit)
     ]);
     
+    const summaries = await CharityCodeRedemption.summarizeByCode(codes.map(code => code._id));
+    
     res.json({
       stats: {
         total,
         active,
+        scheduled,
         expired,
         used,
-        unused
-      }
+        partiallyUsed,
+        unused,
+        redemptions
+      },
+      usage: codes.map(code => code.toUsageSummary(summaries.get(code._id.toString()))),
+      totalPages: Math.ceil(total / value.limit),
+      currentPage: value.page
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to get charity code statistics' });
   }
 });
 
+// Redemption history of a charity code
+router.get('/charity-codes/:id/redemptions', async (req, res) => {
+  try {
+    const { error, value } = charityCodeRedemptionsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const code = await CharityCode.findById(req.params.id);
+    if (!code) {
+      return res.status(404).json({ error: 'Charity code not found' });
+    }
+    
+    const query = { code: code._id };
+    const [redemptions, total, summaries] = await Promise.all([
+      CharityCodeRedemption.find(query)
+        .populate('user', 'email profile.displayName')
+        .sort({ redeemedAt: -1 })
+        .limit(value.limit)
+        .skip((value.page - 1) * value.limit),
+      CharityCodeRedemption.countDocuments(query),
+      CharityCodeRedemption.summarizeByCode([code._id])
+    ]);
+    
+    res.json({
+      code: code.toUsageSummary(summaries.get(code._id.toString())),
+      redemptions: redemptions.map(redemption => ({
+        id: redemption._id,
+        user: redemption.user,
+        redeemedAt: redemption.redeemedAt
+      })),
+      totalPages: Math.ceil(total / value.limit),
+      currentPage: value.page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get charity code redemptions', details: error.message });
+  }
+});
+
 // Deactivate charity code
 router.put('/charity-codes/:id/deactivate', async (req, res) => {
   try {
@@ -218,6 +430,13 @@ router.put('/charity-codes/:id/deactivate', async (req, res) => {
     code.isActive = false;
     await code.save();
     
+    await recordAudit(req, {
+      action: 'charity_code.deactivate',
+      target: { type: 'CharityCode', id: code._id },
+      before: { isActive: true },
+      after: { isActive: false }
+    });
+    
     res.json({
       message: 'Charity code deactivated successfully',
       code: {
@@ -236,7 +455,7 @@ router.put('/charity-codes/:id/deactivate', async (req, res) => {
 // Get all users
 router.get('/users', async (req, res) => {
   try {
-    const { page = 1, limit = 20, accountType, search, isActive } = req.query;
+    const { page = 1, limit = 20, accountType, search, isActive, firstName, lastName } = req.query;
     
     let query = {};
     
@@ -255,6 +474,14 @@ router.get('/users', async (req, res) => {
       query.email = { $regex: search, $options: 'i' };
     }
     
+    // Exact match on encrypted names (via blind index)
+    if (firstName) {
+      Object.assign(query, User.blindIndexQuery('personalInfo.firstName', firstName));
+    }
+    if (lastName) {
+      Object.assign(query, User.blindIndexQuery('personalInfo.lastName', lastName));
+    }
+    
     const users = await User.find(query)
       .select('-password -refreshTokens')
       .sort({ createdAt: -1 })
@@ -295,7 +522,7 @@ router.get('/users/:id', async (req, res) => {
       .select('basicInfo.name status isPublic createdAt');
     
     res.json({
-      user: user.toObject(),
+      user: user.toJSON(),
       personalInfo,
       charities: charities.length
     });
@@ -322,6 +549,12 @@ router.put('/users/:id', async (req, res) => {
       return res.status(403).json({ error: 'Cannot modify admin accounts through API. Admin accounts must be managed directly in the database.' });
     }
     
+    if (value.isActive !== undefined && user.isPendingDeletion()) {
+      return res.status(400).json({ error: 'This account is scheduled for deletion. Restore it instead.' });
+    }
+    
+    const before = pick(user, Object.keys(value));
+    
     // Update fields
     Object.keys(value).forEach(key => {
       user[key] = value[key];
@@ -329,6 +562,13 @@ router.put('/users/:id', async (req, res) => {
     
     await user.save();
     
+    await recordAudit(req, {
+      action: 'user.update',
+      target: { type: 'User', id: user._id },
+      before,
+      after: pick(user, Object.keys(value))
+    });
+    
     res.json({
       message: 'User updated successfully',
       user: {
@@ -343,9 +583,65 @@ router.put('/users/:id', async (req, res) => {
   }
 });
 
-// Delete user account
+// Produce a personal data export for a user (e.g. for a subject access request)
+router.post('/users/:id/export', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const dataExport = await dataExports.requestExport(user._id, req.user);
+    
+    await recordAudit(req, {
+      action: 'user.data_export.request',
+      target: { type: 'User', id: user._id },
+      after: { export: dataExport._id }
+    });
+    
+    res.status(202).json({
+      message: 'Export is being prepared',
+      export: dataExport.toView()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to request export', details: error.message });
+  }
+});
+
+// Get a user's data exports, with download links for finished ones
+router.get('/users/:id/exports', async (req, res) => {
+  try {
+    const userExports = await DataExport.find({ user: req.params.id }).sort({ createdAt: -1 }).limit(20);
+    const ready = userExports.filter(dataExport => dataExport.status === 'ready');
+    
+    if (ready.length > 0) {
+      await recordAudit(req, {
+        action: 'user.data_export.access',
+        target: { type: 'User', id: req.params.id },
+        after: { exports: ready.map(dataExport => dataExport._id) }
+      });
+    }
+    
+    res.json({
+      exports: userExports.map(dataExport => ({
+        ...dataExport.toView(),
+        download: dataExport.status === 'ready' ? dataExports.createDownloadUrl(dataExport) : undefined
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get exports', details: error.message });
+  }
+});
+
+// Delete user account. Uses the same grace period as self-service deletion;
+// the user can't cancel it by logging in, but an admin can restore the account.
 router.delete('/users/:id', async (req, res) => {
   try {
+    const { error, value } = deleteUserSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -356,21 +652,74 @@ router.delete('/users/:id', async (req, res) => {
       return res.status(403).json({ error: 'Cannot delete admin accounts through API. Admin accounts must be managed directly in the database.' });
     }
     
-    // Delete user's charities first
-    await Charity.deleteMany({ owner: user._id });
+    if (user.isPendingDeletion()) {
+      return res.status(400).json({ error: 'Account is already scheduled for deletion' });
+    }
     
-    // Delete user
-    await User.findByIdAndDelete(req.params.id);
+    const charities = await accountDeletion.findBlockingCharities(user._id);
+    if (charities.length > 0) {
+      return res.status(409).json({
+        error: 'The user still owns charities. Transfer or archive them first.',
+        charities
+      });
+    }
+    
+    const before = pick(user, ['email', 'accountType', 'isActive', 'createdAt']);
+    const scheduledFor = await accountDeletion.scheduleAccountDeletion(user, req.user, value.reason);
+    
+    await recordAudit(req, {
+      action: 'user.deletion.schedule',
+      target: { type: 'User', id: user._id },
+      before,
+      after: { scheduledFor, reason: value.reason }
+    });
     
     res.json({ 
-      message: 'User account and associated charities deleted successfully',
+      message: 'User account scheduled for deletion',
       deletedUser: {
         email: user.email,
-        accountType: user.accountType
+        accountType: user.accountType,
+        scheduledFor
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete user account', details: error.message });
+  }
+});
+
+// Cancel a scheduled deletion and restore the account
+router.post('/users/:id/restore', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const before = { deletion: pick(user.deletion, ['requestedBy', 'requestedAt', 'scheduledFor', 'reason']) };
+    try {
+      await accountDeletion.cancelAccountDeletion(user);
+    } catch (restoreError) {
+      if (restoreError.name === 'ValidationError') throw restoreError;
+      return res.status(400).json({ error: restoreError.message });
+    }
+    
+    await recordAudit(req, {
+      action: 'user.deletion.cancel',
+      target: { type: 'User', id: user._id },
+      before,
+      after: { isActive: user.isActive }
+    });
+    
+    res.json({
+      message: 'User account restored successfully',
+      user: {
+        id: user._id,
+        email: user.email,
+        isActive: user.isActive
       }
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to delete user account' });
+    res.status(500).json({ error: 'Failed to restore user account', details: error.message });
   }
 });
 
@@ -408,7 +757,7 @@ router.get('/dashboard/stats', async (req, res) => {
       recentUsers,
       recentCharities: recentCharities.map(charity => ({
         id: charity._id,
-        name: charity.basicInfo?.name || 'Unnamed',
+        name: charity.decryptField('basicInfo.name') || 'Unnamed',
         status: charity.status,
         owner: charity.owner,
         createdAt: charity.createdAt
@@ -422,7 +771,7 @@ router.get('/dashboard/stats', async (req, res) => {
 // Get all charities (admin view)
 router.get('/charities', async (req, res) => {
   try {
-    const { page = 1, limit = 20, status, search } = req.query;
+    const { page = 1, limit = 20, status, search, taxId, registrationNumber, flagged } = req.query;
     
     let query = {};
     
@@ -431,6 +780,19 @@ router.get('/charities', async (req, res) => {
       query.status = status;
     }
     
+    // Exact match on encrypted identifiers (via blind index)
+    if (taxId) {
+      Object.assign(query, Charity.blindIndexQuery('legalInfo.taxId', taxId));
+    }
+    if (registrationNumber) {
+      Object.assign(query, Charity.blindIndexQuery('legalInfo.registrationNumber', registrationNumber));
+    }
+    
+    // Only charities with open review flags (e.g. possible duplicates)
+    if (flagged === 'true') {
+      query['reviewFlags.0'] = { $exists: true };
+    }
+    
     const charities = await Charity.find(query)
       .populate('owner', 'email accountType')
       .sort({ createdAt: -1 })
@@ -439,7 +801,7 @@ router.get('/charities', async (req, res) => {
     
     const total = await Charity.countDocuments(query);
     
-    // Return basic info (names will be encrypted in DB but decrypted here)
+    // Return basic info (names are encrypted in DB but decrypted here)
     const charitiesWithBasicInfo = charities.map(charity => {
       const decryptedData = charity.getDecryptedData();
       return {
@@ -448,6 +810,7 @@ router.get('/charities', async (req, res) => {
         description: decryptedData.basicInfo?.description,
         status: charity.status,
         isPublic: charity.isPublic,
+        reviewFlags: charity.reviewFlags,
         owner: charity.owner,
         createdAt: charity.createdAt,
         updatedAt: charity.updatedAt
@@ -465,13 +828,12 @@ router.get('/charities', async (req, res) => {
   }
 });
 
-// Update charity status (admin only)
+// Suspend or deactivate a charity (admin only). Verification goes through the review workflow below.
 router.put('/charities/:id/status', async (req, res) => {
   try {
-    const { status } = req.body;
-    
-    if (!['pending', 'verified', 'suspended', 'inactive'].includes(status)) {
-      return res.status(400).json({ error: 'Invalid status value' });
+    const { error, value } = updateCharityStatusSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
     }
     
     const charity = await Charity.findById(req.params.id);
@@ -479,9 +841,34 @@ router.put('/charities/:id/status', async (req, res) => {
       return res.status(404).json({ error: 'Charity not found' });
     }
     
-    charity.status = status;
+    const previousStatus = charity.status;
+    try {
+      charity.applyVerificationAction(STATUS_ACTIONS[value.status], req.user, { note: value.reason });
+    } catch (transitionError) {
+      return res.status(400).json({ error: transitionError.message });
+    }
     await charity.save();
     
+    // Suspended and inactive charities can't receive donations, so recurring pledges stop
+    const pausedPledges = await Pledge.pauseForCharity(charity._id);
+    
+    await recordAudit(req, {
+      action: 'charity.status.update',
+      target: { type: 'Charity', id: charity._id },
+      before: { status: previousStatus },
+      after: { status: charity.status, reason: value.reason, pausedPledges }
+    });
+    
+    await notifyStatusChange(charity, value.reason);
+    
+    if (charity.status === 'suspended') {
+      await webhooks.emitEvent('charity.suspended', {
+        charity: { id: charity._id, name: charity.decryptField('basicInfo.name') },
+        status: charity.status,
+        reason: value.reason
+      }, { charityId: charity._id });
+    }
+    
     const decryptedData = charity.getDecryptedData();
     
     res.json({
@@ -491,11 +878,474 @@ router.put('/charities/:id/status', async (req, res) => {
         name: decryptedData.basicInfo?.name,
         status: charity.status,
         updatedAt: charity.updatedAt
-      }
+      },
+      pausedPledges
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to update charity status' });
   }
 });
 
+// Transfer a charity to a new owner without the current owner's involvement
+router.post('/charities/:id/transfer-ownership', async (req, res) => {
+  try {
+    const { error, value } = transferOwnershipSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const charity = await Charity.findById(req.params.id);
+    if (!charity) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    const recipient = value.userId
+      ? await User.findById(value.userId).select('email isActive emailVerified')
+      : await User.findOne({ email: value.email.toLowerCase() }).select('email isActive emailVerified');
+    if (!recipient || !recipient.isActive) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!recipient.emailVerified) {
+      return res.status(400).json({ error: 'The new owner must have a verified email address' });
+    }
+    if (charity.status === 'archived') {
+      return res.status(400).json({ error: 'Archived charities cannot be transferred' });
+    }
+    if (charity.owner.toString() === recipient._id.toString()) {
+      return res.status(400).json({ error: 'This user already owns the charity' });
+    }
+    
+    const previousOwnerRole = value.previousOwnerRole === 'none' ? null : value.previousOwnerRole;
+    const pendingTransfer = charity.getPendingOwnershipTransfer();
+    const previousOwnerId = await charity.completeOwnershipTransfer(recipient._id, previousOwnerRole);
+    
+    await recordAudit(req, {
+      action: 'charity.ownership_transfer.force',
+      target: { type: 'Charity', id: charity._id },
+      before: { owner: previousOwnerId, pendingTransferTo: pendingTransfer ? pendingTransfer.to : null },
+      after: { owner: recipient._id, previousOwnerRole, reason: value.reason }
+    });
+    
+    res.json({
+      message: 'Charity ownership transferred successfully',
+      charity: {
+        id: charity._id,
+        owner: charity.owner,
+        previousOwner: previousOwnerId,
+        previousOwnerRole
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to transfer charity ownership', details: error.message });
+  }
+});
+
+// ========== CHARITY VERIFICATION ==========
+
+// Get the review queue (submitted charities, and reviews in progress)
+router.get('/verification-queue', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, mine } = req.query;
+    
+    const query = { status: { $in: ['submitted', 'in_review'] } };
+    if (['submitted', 'in_review'].includes(status)) {
+      query.status = status;
+    }
+    if (mine === 'true') {
+      query['verification.reviewer'] = req.user._id;
+    }
+    
+    // Oldest submissions first
+    const charities = await Charity.find(query)
+      .populate('owner', 'email')
+      .populate('verification.reviewer', 'email')
+      .select('basicInfo.name status owner verification.submittedAt verification.reviewer verification.claimedAt reviewFlags')
+      .sort({ 'verification.submittedAt': 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await Charity.countDocuments(query);
+    
+    res.json({
+      charities: charities.map(charity => ({
+        id: charity._id,
+        name: charity.decryptField('basicInfo.name') || 'Unnamed',
+        status: charity.status,
+        owner: charity.owner,
+        submittedAt: charity.verification?.submittedAt,
+        reviewer: charity.verification?.reviewer,
+        claimedAt: charity.verification?.claimedAt,
+        reviewFlags: charity.reviewFlags
+      })),
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get verification queue' });
+  }
+});
+
+// Get a charity's full review state, including internal notes
+router.get('/charities/:id/review', async (req, res) => {
+  try {
+    const charity = await Charity.findById(req.params.id);
+    if (!charity) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    res.json({
+      charity: {
+        id: charity._id,
+        name: charity.decryptField('basicInfo.name'),
+        owner: charity.owner,
+        reviewFlags: charity.reviewFlags
+      },
+      verification: charity.getVerificationSummary({ includeInternal: true })
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get review', details: error.message });
+  }
+});
+
+// Claim, release, approve, reject or request changes on a review
+router.post('/charities/:id/review/:action(claim|release|approve|reject|request-changes)', async (req, res) => {
+  try {
+    const { error, value } = reviewDecisionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const charity = await Charity.findById(req.params.id);
+    if (!charity) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    const action = req.params.action.replace('-', '_');
+    const previousStatus = charity.status;
+    
+    try {
+      if (action === 'claim') {
+        await charity.claimReview(req.user);
+      } else if (action === 'release') {
+        await charity.releaseReview(req.user, value.note);
+      } else if (action === 'approve') {
+        await charity.approve(req.user, value.note);
+      } else {
+        await charity.decline(req.user, action, value.reasons, value.note);
+      }
+    } catch (transitionError) {
+      if (transitionError.name === 'ValidationError') throw transitionError;
+      return res.status(400).json({ error: transitionError.message });
+    }
+    
+    await recordAudit(req, {
+      action: `charity.review.${action}`,
+      target: { type: 'Charity', id: charity._id },
+      before: { status: previousStatus },
+      after: { status: charity.status, reasons: value.reasons, note: value.note }
+    });
+    
+    // Reasons are shared with the charity; review notes may be internal
+    if (charity.status !== previousStatus) {
+      await notifyStatusChange(charity, value.reasons ? value.reasons.join(' ') : undefined);
+    }
+    
+    if (action === 'approve') {
+      await webhooks.emitEvent('charity.verified', {
+        charity: { id: charity._id, name: charity.decryptField('basicInfo.name') },
+        status: charity.status,
+        verifiedAt: charity.verification.decidedAt
+      }, { charityId: charity._id });
+    }
+    
+    res.json({
+      message: REVIEW_ACTION_MESSAGES[action],
+      verification: charity.getVerificationSummary({ includeInternal: true })
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update review', details: error.message });
+  }
+});
+
+// Record the result of a checklist item (documents, taxId, contactDetails)
+router.put('/charities/:id/review/checklist/:item', async (req, res) => {
+  try {
+    const { error, value } = checklistItemSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const charity = await Charity.findById(req.params.id);
+    if (!charity) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    try {
+      await charity.checkItem(req.user, req.params.item, value.status, value.note);
+    } catch (checkError) {
+      if (checkError.name === 'ValidationError') throw checkError;
+      return res.status(400).json({ error: checkError.message });
+    }
+    
+    res.json({
+      message: 'Checklist updated successfully',
+      checklist: charity.getVerificationSummary({ includeInternal: true }).checklist
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update checklist', details: error.message });
+  }
+});
+
+// Add a note to a charity's review history
+router.post('/charities/:id/review/notes', async (req, res) => {
+  try {
+    const { error, value } = reviewNoteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const charity = await Charity.findById(req.params.id);
+    if (!charity) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    await charity.addReviewNote(req.user, value.note, value.internal);
+    
+    res.status(201).json({
+      message: 'Note added successfully',
+      history: charity.getVerificationSummary({ includeInternal: true }).history
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to add note', details: error.message });
+  }
+});
+
+// ========== AUDIT LOG ==========
+
+// Get audit log entries (newest first)
+router.get('/audit-log', async (req, res) => {
+  try {
+    const { error, value } = auditLogQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const { page, limit, actor, target, targetType, action, from, to } = value;
+    const query = {};
+    
+    if (actor) {
+      query.actor = actor;
+    }
+    if (target) {
+      query['target.id'] = target;
+    }
+    if (targetType) {
+      query['target.type'] = targetType;
+    }
+    if (action) {
+      query.action = action;
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+    
+    const entries = await AuditLog.find(query)
+      .sort({ sequence: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await AuditLog.countDocuments(query);
+    
+    res.json({
+      entries,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get audit log', details: error.message });
+  }
+});
+
+// Verify the audit log hash chain
+router.get('/audit-log/verify', async (req, res) => {
+  try {
+    const result = await AuditLog.verifyChain();
+    res.status(result.valid ? 200 : 409).json(result);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to verify audit log', details: error.message });
+  }
+});
+
+// ========== WEBHOOKS ==========
+
+// List webhook endpoints (platform-wide ones by default, or a charity's)
+router.get('/webhooks', async (req, res) => {
+  try {
+    const query = req.query.charity ? { charity: req.query.charity } : { charity: null };
+    const endpoints = await WebhookEndpoint.find(query).sort({ createdAt: -1 });
+    
+    res.json({ webhooks: endpoints.map(endpoint => endpoint.toView()) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get webhooks', details: error.message });
+  }
+});
+
+// Register a platform-wide webhook endpoint (the secret is only returned here)
+router.post('/webhooks', async (req, res) => {
+  try {
+    const { error, value } = createWebhookSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const urlError = await webhooks.checkEndpointUrl(value.url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+    
+    const secret = WebhookEndpoint.generateSecret();
+    const endpoint = await WebhookEndpoint.create({ ...value, secret, createdBy: req.user._id });
+    
+    await recordAudit(req, {
+      action: 'webhook.create',
+      target: { type: 'WebhookEndpoint', id: endpoint._id },
+      after: pick(endpoint, ['url', 'events', 'isActive'])
+    });
+    
+    res.status(201).json({
+      message: 'Webhook endpoint created successfully',
+      webhook: { ...endpoint.toView(), secret }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create webhook', details: error.message });
+  }
+});
+
+// Update a webhook endpoint (any endpoint, including charity endpoints)
+router.put('/webhooks/:id', async (req, res) => {
+  try {
+    const { error, value } = updateWebhookSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const endpoint = await WebhookEndpoint.findById(req.params.id);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    if (endpoint.charity && value.events && value.events.some(event => !webhooks.CHARITY_EVENTS.includes(event))) {
+      return res.status(400).json({ error: `Charity webhooks can only receive: ${webhooks.CHARITY_EVENTS.join(', ')}` });
+    }
+    if (value.url) {
+      const urlError = await webhooks.checkEndpointUrl(value.url);
+      if (urlError) {
+        return res.status(400).json({ error: urlError });
+      }
+    }
+    
+    const before = pick(endpoint, ['url', 'description', 'events', 'isActive']);
+    Object.assign(endpoint, value);
+    await endpoint.save();
+    
+    await recordAudit(req, {
+      action: 'webhook.update',
+      target: { type: 'WebhookEndpoint', id: endpoint._id },
+      before,
+      after: pick(endpoint, ['url', 'description', 'events', 'isActive'])
+    });
+    
+    res.json({
+      message: 'Webhook endpoint updated successfully',
+      webhook: endpoint.toView()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update webhook', details: error.message });
+  }
+});
+
+// Delete a webhook endpoint and its delivery log
+router.delete('/webhooks/:id', async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findByIdAndDelete(req.params.id);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    await WebhookDelivery.deleteMany({ endpoint: endpoint._id });
+    
+    await recordAudit(req, {
+      action: 'webhook.delete',
+      target: { type: 'WebhookEndpoint', id: endpoint._id },
+      before: pick(endpoint, ['charity', 'url', 'events', 'isActive'])
+    });
+    
+    res.json({ message: 'Webhook endpoint deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete webhook', details: error.message });
+  }
+});
+
+// Get an endpoint's delivery log (newest first)
+router.get('/webhooks/:id/deliveries', async (req, res) => {
+  try {
+    const { error, value } = webhookDeliveriesQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const query = { endpoint: req.params.id };
+    if (value.status) query.status = value.status;
+    if (value.event) query.event = value.event;
+    
+    const { page, limit } = value;
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await WebhookDelivery.countDocuments(query);
+    
+    res.json({
+      deliveries: deliveries.map(delivery => delivery.toView()),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get webhook deliveries', details: error.message });
+  }
+});
+
+// Send a delivery again now (e.g. after the receiver fixed an outage)
+router.post('/webhook-deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    
+    const previousStatus = delivery.status;
+    await webhooks.redeliver(delivery);
+    
+    await recordAudit(req, {
+      action: 'webhook.redeliver',
+      target: { type: 'WebhookDelivery', id: delivery._id },
+      before: { status: previousStatus },
+      after: { status: delivery.status, responseStatus: delivery.lastResponseStatus }
+    });
+    
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Delivery succeeded' : 'Delivery failed; it will be retried',
+      delivery: delivery.toView()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to redeliver webhook', details: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,12 +1,31 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const Joi = require('joi');
 const User = require('../models/User');
 const CharityCode = require('../models/CharityCode');
-const { auth } = require('../middleware/auth');
+const Pledge = require('../models/Pledge');
+const TotpUtil = require('../utils/totp');
+const { sendTemplate } = require('../services/mailer');
+const { recordAudit } = require('../services/audit');
+const { notify } = require('../services/notifications');
+const { emitEvent } = require('../services/webhooks');
+const { auth, requireVerifiedEmail } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Stricter rate limit for two-factor code attempts
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10
+});
+
+// Stricter rate limit for endpoints that send email
+const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5
+});
+
 // Validation schemas
 const registerSchema = Joi.object({
   email: Joi.string().email().required(),
@@ -19,20 +38,50 @@ const loginSchema = Joi.object({
   password: Joi.string().required()
 });
 
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().hex().length(64).required(),
+  password: Joi.string().min(6).required()
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().min(6).invalid(Joi.ref('currentPassword')).required()
+    .messages({ 'any.invalid': 'New password must be different from the current password' })
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: Joi.string().max(20).required() // authenticator or recovery code
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required()
+});
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required(),
+  code: Joi.string().max(20).required()
+});
+
 const verifyCharityCodeSchema = Joi.object({
-  code: Joi.string().alphanum().length(8).uppercase().required()
+  code: Joi.string().max(32).required()
 });
 
 // Generate tokens
-const generateTokens = (userId) => {
+// (claims.mfa marks sessions that completed two-factor authentication)
+const generateTokens = (userId, claims = {}) => {
   const accessToken = jwt.sign(
-    { userId },
+    { userId, ...claims },
     process.env.JWT_SECRET,
     { expiresIn: '15m' }
   );
   
   const refreshToken = jwt.sign(
-    { userId },
+    { userId, ...claims },
     process.env.JWT_SECRET,
     { expiresIn: '7d' }
   );
@@ -40,6 +89,66 @@ const generateTokens = (userId) => {
   return { accessToken, refreshToken };
 };
 
+// Short-lived token proving the password step of a two-factor login
+const generateTwoFactorChallenge = (userId) => jwt.sign(
+  { userId, purpose: '2fa-login' },
+  process.env.JWT_SECRET,
+  { expiresIn: '5m' }
+);
+
+// Issue tokens, record the login and build the response body
+const completeLogin = async (req, user, claims = {}) => {
+  const { accessToken, refreshToken } = generateTokens(user._id, claims);
+  
+  // Logging in cancels a deletion the user asked for
+  const deletion = user.isPendingDeletion() ? { scheduledFor: user.deletion.scheduledFor } : null;
+  if (deletion) {
+    user.cancelDeletion();
+  }
+  
+  // Store refresh token and update last login
+  user.refreshTokens.push(refreshToken);
+  user.lastLogin = new Date();
+  await user.save();
+  
+  if (deletion) {
+    await recordAudit(req, {
+      action: 'user.deletion.cancel',
+      target: { type: 'User', id: user._id },
+      before: { deletion },
+      after: { isActive: user.isActive },
+      actor: user
+    });
+  }
+  
+  return {
+    message: deletion ? 'Login successful. Your account deletion has been cancelled.' : 'Login successful',
+    accountRestored: deletion ? true : undefined,
+    user: {
+      id: user._id,
+      email: user.email,
+      accountType: user.accountType,
+      profile: user.profile,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactor?.enabled || false,
+      isAdmin: user.accountType === 'admin',
+      canCreateCharity: user.charityAuthorization?.canCreateCharity || false
+    },
+    accessToken,
+    refreshToken
+  };
+};
+
+const getAppUrl = () => process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+// Email a verification link for the given raw token
+const sendVerificationEmail = (user, token) => {
+  return sendTemplate(user.email, 'verifyEmail', {
+    link: `${getAppUrl()}/api/auth/verify-email/${token}`,
+    expiresInHours: User.VERIFICATION_TOKEN_TTL_HOURS
+  });
+};
+
 // Register
 router.post('/register', async (req, res) => {
   try {
@@ -62,9 +171,17 @@ router.post('/register', async (req, res) => {
       password,
       accountType
     });
+    const verificationToken = user.createVerificationToken();
     
     await user.save();
     
+    // Registration succeeds even if the email can't be sent; the user can request a resend
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Failed to send verification email:', mailError.message);
+    }
+    
     // Generate tokens
     const { accessToken, refreshToken } = generateTokens(user._id);
     
@@ -78,6 +195,7 @@ router.post('/register', async (req, res) => {
         id: user._id,
         email: user.email,
         accountType: user.accountType,
+        emailVerified: user.emailVerified,
         isAdmin: user.accountType === 'admin',
         canCreateCharity: user.charityAuthorization?.canCreateCharity || false
       },
@@ -101,7 +219,7 @@ router.post('/login', async (req, res) => {
     
     // Find user
     const user = await User.findOne({ email });
-    if (!user || !user.isActive) {
+    if (!user || !(user.isActive || user.canCancelDeletionByLogin())) {
       return res.status(400).json({ error: 'Invalid credentials or account inactive' });
     }
     
@@ -111,41 +229,210 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Invalid credentials' });
     }
     
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    // Second step required when two-factor authentication is enabled
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id)
+      });
+    }
     
-    // Store refresh token and update last login
-    user.refreshTokens.push(refreshToken);
-    user.lastLogin = new Date();
+    res.json(await completeLogin(req, user));
+  } catch (error) {
+    res.status(500).json({ error: 'Login failed', details: error.message });
+  }
+});
+
+// Complete a two-factor login with an authenticator or recovery code
+router.post('/login/2fa', twoFactorLimiter, async (req, res) => {
+  try {
+    const { error, value } = twoFactorLoginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    let decoded;
+    try {
+      decoded = jwt.verify(value.challengeToken, process.env.JWT_SECRET);
+    } catch (tokenError) {
+      return res.status(401).json({ error: 'Login challenge expired. Please log in again.' });
+    }
+    
+    if (decoded.purpose !== '2fa-login') {
+      return res.status(401).json({ error: 'Invalid login challenge' });
+    }
+    
+    const user = await User.findById(decoded.userId);
+    if (!user || !(user.isActive || user.canCancelDeletionByLogin()) || !user.twoFactor?.enabled) {
+      return res.status(401).json({ error: 'Invalid login challenge' });
+    }
+    
+    const method = user.verifyTwoFactorCode(value.code);
+    if (!method) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    
+    const response = await completeLogin(req, user, { mfa: true });
+    
+    if (method === 'recovery') {
+      response.recoveryCodesRemaining = user.twoFactor.recoveryCodes.length;
+    }
+    
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({ error: 'Login failed', details: error.message });
+  }
+});
+
+// Start two-factor enrollment
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    
+    const secret = user.startTwoFactorEnrollment();
     await user.save();
     
     res.json({
-      message: 'Login successful',
-      user: {
-        id: user._id,
-        email: user.email,
-        accountType: user.accountType,
-        profile: user.profile,
-        isAdmin: user.accountType === 'admin',
-        canCreateCharity: user.charityAuthorization?.canCreateCharity || false
-      },
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: TotpUtil.keyUri(secret, user.email, process.env.TOTP_ISSUER || 'Charity App')
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Confirm enrollment and enable two-factor authentication
+router.post('/2fa/enable', auth, twoFactorLimiter, async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const user = await User.findById(req.user._id);
+    
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+    
+    if (!user.confirmTwoFactorEnrollment(value.code)) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    
+    const recoveryCodes = user.generateRecoveryCodes();
+    
+    // Other sessions didn't pass 2FA; log them out and issue fresh tokens for this one
+    const { accessToken, refreshToken } = generateTokens(user._id, { mfa: true });
+    user.refreshTokens = [refreshToken];
+    await user.save();
+    
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      recoveryCodes,
       accessToken,
       refreshToken
     });
   } catch (error) {
-    res.status(500).json({ error: 'Login failed', details: error.message });
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Disable two-factor authentication (requires password and a code)
+router.post('/2fa/disable', auth, twoFactorLimiter, async (req, res) => {
+  try {
+    const { error, value } = disableTwoFactorSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const user = await User.findById(req.user._id);
+    
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    
+    const isMatch = await user.comparePassword(value.password);
+    if (!isMatch || !user.verifyTwoFactorCode(value.code)) {
+      return res.status(400).json({ error: 'Invalid password or authentication code' });
+    }
+    
+    user.disableTwoFactor();
+    await user.save();
+    
+    await recordAudit(req, {
+      action: 'user.2fa.disable',
+      target: { type: 'User', id: user._id },
+      before: { twoFactorEnabled: true },
+      after: { twoFactorEnabled: false }
+    });
+    
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Replace recovery codes
+router.post('/2fa/recovery-codes', auth, twoFactorLimiter, async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const user = await User.findById(req.user._id);
+    
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    
+    if (user.verifyTwoFactorCode(value.code) !== 'totp') {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+    
+    await recordAudit(req, {
+      action: 'user.2fa.recovery_codes.regenerate',
+      target: { type: 'User', id: user._id }
+    });
+    
+    res.json({
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      recoveryCodes
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
   }
 });
 
 // Verify charity creation code
-router.post('/verify-charity-code', auth, async (req, res) => {
+router.post('/verify-charity-code', auth, requireVerifiedEmail, async (req, res) => {
   try {
     const { error, value } = verifyCharityCodeSchema.validate(req.body);
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
     
-    const { code } = value;
+    // Typos are caught by the check character; only codes issued before check
+    // characters existed are looked up without one
+    const codeFilter = CharityCode.lookupFilter(CharityCode.normalizeCode(value.code));
+    if (!codeFilter) {
+      return res.status(400).json({
+        error: 'Invalid charity code',
+        details: 'Please check the code for typos and try again.'
+      });
+    }
     
     // Check if user already has charity authorization
     if (req.user.charityAuthorization && req.user.charityAuthorization.canCreateCharity) {
@@ -157,7 +444,7 @@ router.post('/verify-charity-code', auth, async (req, res) => {
     
     // Find the charity code
     const charityCode = await CharityCode.findOne({ 
-      code: code.toUpperCase(),
+      ...codeFilter,
       isActive: true 
     });
     
@@ -165,46 +452,47 @@ router.post('/verify-charity-code', auth, async (req, res) => {
       return res.status(404).json({ error: 'Invalid charity code' });
     }
     
-    // Check if code is valid for use
-    if (!charityCode.isValidForUse()) {
-      const now = new Date();
-      let reason = 'Code is not valid';
-      
-      if (now >= charityCode.expiresAt) {
-        reason = 'Code has expired';
-      } else if (charityCode.isUsed) {
-        reason = 'Code has already been used';
-      } else if (!charityCode.isActive) {
-        reason = 'Code is inactive';
-      }
-      
+    // Check if code is valid for use by this user
+    const reason = charityCode.getUnavailableReason(req.user.email);
+    if (reason) {
       return res.status(400).json({ 
         error: reason,
         details: {
+          startsAt: charityCode.startsAt,
           expiresAt: charityCode.expiresAt,
           isUsed: charityCode.isUsed,
+          remainingUses: charityCode.getRemainingUses(),
           isActive: charityCode.isActive
         }
       });
     }
     
-    // Use the code and authorize the user
-    await charityCode.useCode(req.user._id);
+    // Use the code and authorize the user (atomically, see CharityCode.redeem)
+    let redemption;
+    try {
+      redemption = await charityCode.redeem(req.user);
+    } catch (redeemError) {
+      if (redeemError.code !== CharityCode.REDEMPTION_REJECTED) throw redeemError;
+      return res.status(400).json({ error: redeemError.message });
+    }
     
-    // Update user authorization
-    const user = await User.findById(req.user._id);
-    user.charityAuthorization = {
-      code: charityCode._id,
-      authorizedAt: new Date(),
-      canCreateCharity: true
-    };
-    await user.save();
+    await notify([req.user._id], 'charity_code.redeemed');
+    await notify([charityCode.createdBy], 'charity_code.used', {
+      code: charityCode.code,
+      redeemedBy: req.user.email,
+      remainingUses: charityCode.getRemainingUses()
+    });
+    await emitEvent('charity_code.redeemed', {
+      code: { id: charityCode._id, code: charityCode.code, description: charityCode.description },
+      user: { id: req.user._id, email: req.user.email },
+      redeemedAt: redemption.redeemedAt
+    });
     
     res.json({
       message: 'Charity creation code verified successfully',
       authorization: {
         canCreateCharity: true,
-        authorizedAt: user.charityAuthorization.authorizedAt,
+        authorizedAt: redemption.redeemedAt,
         codeDescription: charityCode.description
       }
     });
@@ -213,6 +501,159 @@ router.post('/verify-charity-code', auth, async (req, res) => {
   }
 });
 
+// Verify email address
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      verificationToken: User.hashToken(req.params.token),
+      verificationTokenExpires: { $gt: new Date() }
+    });
+    
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+    
+    user.emailVerified = true;
+    user.verificationToken = undefined;
+    user.verificationTokenExpires = undefined;
+    await user.save();
+    
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Email verification failed' });
+  }
+});
+
+// Resend verification email
+router.post('/resend-verification', emailLimiter, auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+    
+    const verificationToken = user.createVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+    
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to resend verification email' });
+  }
+});
+
+// Request a password reset email
+router.post('/forgot-password', emailLimiter, async (req, res) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    // Same response whether or not the account exists, so emails can't be enumerated
+    const response = { message: 'If an account exists for this email, a password reset link has been sent' };
+    
+    const user = await User.findOne({ email: value.email.toLowerCase() });
+    if (!user || !user.isActive) {
+      return res.json(response);
+    }
+    
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+    
+    await sendTemplate(user.email, 'passwordReset', {
+      link: `${process.env.PASSWORD_RESET_URL || `${getAppUrl()}/reset-password`}?token=${resetToken}`,
+      expiresInMinutes: User.PASSWORD_RESET_TOKEN_TTL_MINUTES
+    });
+    
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to process password reset request' });
+  }
+});
+
+// Reset password with an emailed token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(value.token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+    
+    if (!user || !user.isActive) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+    
+    // Clears the reset token and all refresh tokens
+    user.setPassword(value.password);
+    await user.save();
+    
+    await recordAudit(req, {
+      action: 'user.password.reset',
+      target: { type: 'User', id: user._id },
+      actor: user
+    });
+    
+    try {
+      await sendTemplate(user.email, 'passwordChanged', {});
+    } catch (mailError) {
+      console.error('Failed to send password changed email:', mailError.message);
+    }
+    
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
+// Change password (requires the current password)
+router.put('/password', auth, async (req, res) => {
+  try {
+    const { error, value } = changePasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const user = await User.findById(req.user._id);
+    
+    const isMatch = await user.comparePassword(value.currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    
+    // Log out every session, then issue fresh tokens for this one
+    user.setPassword(value.newPassword);
+    const { accessToken, refreshToken } = generateTokens(user._id, req.auth.mfa ? { mfa: true } : {});
+    user.refreshTokens.push(refreshToken);
+    await user.save();
+    
+    await recordAudit(req, {
+      action: 'user.password.change',
+      target: { type: 'User', id: user._id }
+    });
+    
+    try {
+      await sendTemplate(user.email, 'passwordChanged', {});
+    } catch (mailError) {
+      console.error('Failed to send password changed email:', mailError.message);
+    }
+    
+    res.json({
+      message: 'Password changed successfully. All other sessions have been logged out.',
+      accessToken,
+      refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
 // Check charity authorization status
 router.get('/charity-authorization-status', auth, async (req, res) => {
   try {
@@ -251,7 +692,7 @@ router.post('/refresh', async (req, res) => {
     }
     
     // Generate new tokens
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(user._id);
+    const { accessToken, refreshToken: newRefreshToken } = generateTokens(user._id, decoded.mfa ? { mfa: true } : {});
     
     // Replace old refresh token with new one
     user.refreshTokens = user.refreshTokens.filter(token => token !== refreshToken);
@@ -286,13 +727,19 @@ router.post('/logout', auth, async (req, res) => {
 // Get current user
 router.get('/me', auth, async (req, res) => {
   try {
-    const user = req.user.toObject();
+    // toJSON strips tokens, hashes and two-factor secrets
+    const user = req.user.toJSON();
     
     // Get decrypted personal info if it exists
     if (user.personalInfo) {
       user.personalInfo = req.user.getDecryptedPersonalInfo();
     }
     
+    // Include recurring pledge status
+    const pledges = await Pledge.find({ donor: req.user._id, status: { $ne: 'cancelled' } })
+      .sort({ createdAt: -1 });
+    user.pledges = pledges.map(pledge => pledge.toSummary());
+    
     res.json(user);
   } catch (error) {
     res.status(500).json({ error: 'Failed to get user info' });
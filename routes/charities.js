@@ -1,10 +1,53 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Joi = require('joi');
 const Charity = require('../models/Charity');
-const { auth, authorizeCharityOwner, canCreateCharity } = require('../middleware/auth');
+const User = require('../models/User');
+const Donation = require('../models/Donation');
+const Pledge = require('../models/Pledge');
+const CharitySearchIndex = require('../models/CharitySearchIndex');
+const { recordAudit, pick } = require('../services/audit');
+const documents = require('../services/documents');
+const images = require('../services/images');
+const { singleFileUpload } = require('../middleware/upload');
+const CharityMember = require('../models/CharityMember');
+const CharityUpdate = require('../models/CharityUpdate');
+const CharityFollower = require('../models/CharityFollower');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { sendTemplate } = require('../services/mailer');
+const { notify } = require('../services/notifications');
+const webhooks = require('../services/webhooks');
+const {
+  auth,
+  optionalAuth,
+  requireVerifiedEmail,
+  loadCharityRole,
+  authorizeCharity,
+  authorizeCharityOwner,
+  canCreateCharity
+} = require('../middleware/auth');
 
 const router = express.Router();
 
+// What to do when a new charity's tax ID or registration number is already registered:
+// 'reject' (default) or 'flag' it for admin review
+const DUPLICATE_CHARITY_POLICY = process.env.DUPLICATE_CHARITY_POLICY === 'flag' ? 'flag' : 'reject';
+
+// Fields owners can't set directly (status changes go through the verification workflow)
+const PROTECTED_CHARITY_FIELDS = [
+  'owner', 'ownershipTransfer', 'reviewFlags', 'status', 'verification', 'documents', 'logoImage', 'gallery',
+  'programs', 'campaigns'
+];
+
+// Permission needed to update each top-level field (anything else needs charity:edit).
+// Banking details additionally need banking:edit.
+const FIELD_PERMISSIONS = {
+  legalInfo: 'legal:edit',
+  financialInfo: 'financial:edit',
+  isPublic: 'charity:publish'
+};
+
 // Validation schemas
 const createCharitySchema = Joi.object({
   basicInfo: Joi.object({
@@ -55,8 +98,227 @@ const createCharitySchema = Joi.object({
   tags: Joi.array().items(Joi.string()).optional()
 });
 
+// Programs and campaigns have their own endpoints, which check dates, budgets and permissions
+const updateCharitySchema = Joi.object({
+  programs: Joi.any().forbidden(),
+  campaigns: Joi.any().forbidden()
+}).unknown(true);
+
+const createDonationSchema = Joi.object({
+  amount: Joi.number().integer().min(100).max(100000000).required(), // in cents
+  currency: Joi.string().length(3).uppercase().default('USD'),
+  paymentSource: Joi.string().required(),
+  campaignId: Joi.string().hex().length(24).optional(),
+  message: Joi.string().max(500).optional(),
+  isAnonymous: Joi.boolean().default(false)
+});
+
+const impactMetricSchema = Joi.object({
+  name: Joi.string().max(200).required(),
+  description: Joi.string().max(2000).optional(),
+  unit: Joi.string().max(50).optional(),
+  aggregation: Joi.string().valid('sum', 'latest').default('sum'),
+  target: Joi.number().min(0).optional()
+});
+
+const createProgramSchema = Joi.object({
+  name: Joi.string().max(200).required(),
+  description: Joi.string().max(5000).optional(),
+  targetAudience: Joi.string().max(1000).optional(),
+  budget: Joi.string().max(100).optional(),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().greater(Joi.ref('startDate')).optional(),
+  metrics: Joi.array().items(impactMetricSchema).max(20).default([])
+});
+
+const updateProgramSchema = Joi.object({
+  name: Joi.string().max(200).optional(),
+  description: Joi.string().max(5000).allow('').optional(),
+  targetAudience: Joi.string().max(1000).allow('').optional(),
+  budget: Joi.string().max(100).allow('').optional(),
+  startDate: Joi.date().allow(null).optional(),
+  endDate: Joi.date().allow(null).optional(),
+  isActive: Joi.boolean().optional()
+});
+
+const updateImpactMetricSchema = Joi.object({
+  name: Joi.string().max(200).optional(),
+  description: Joi.string().max(2000).allow('').optional(),
+  unit: Joi.string().max(50).allow('').optional(),
+  aggregation: Joi.string().valid('sum', 'latest').optional(),
+  target: Joi.number().min(0).allow(null).optional()
+});
+
+const metricReportSchema = Joi.object({
+  periodStart: Joi.date().required(),
+  periodEnd: Joi.date().min(Joi.ref('periodStart')).max('now').required(),
+  value: Joi.number().min(0).required(),
+  note: Joi.string().max(2000).optional()
+});
+
+const createCampaignSchema = Joi.object({
+  title: Joi.string().max(200).required(),
+  description: Joi.string().max(5000).optional(),
+  goalAmount: Joi.number().integer().min(100).required(), // in cents
+  currency: Joi.string().length(3).uppercase().default('USD'),
+  startDate: Joi.date().default(() => new Date()),
+  endDate: Joi.date().greater(Joi.ref('startDate')).greater('now').required(),
+  programId: Joi.string().hex().length(24).optional()
+});
+
+const updateCampaignSchema = Joi.object({
+  title: Joi.string().max(200).optional(),
+  description: Joi.string().max(5000).optional(),
+  goalAmount: Joi.number().integer().min(100).optional(),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().greater(Joi.ref('startDate')).greater('now').optional(),
+  programId: Joi.string().hex().length(24).allow(null).optional(),
+  status: Joi.string().valid('closed').optional()
+});
+
+const createPledgeSchema = Joi.object({
+  amount: Joi.number().integer().min(100).max(100000000).required(), // in cents, per installment
+  currency: Joi.string().length(3).uppercase().default('USD'),
+  frequency: Joi.string().valid(...Pledge.FREQUENCIES).required(),
+  paymentSource: Joi.string().required(),
+  startDate: Joi.date().min('now').optional(),
+  isAnonymous: Joi.boolean().default(false)
+});
+
+const inviteMemberSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid(...CharityMember.ROLES.filter(role => role !== 'owner')).required()
+});
+
+const updateMemberSchema = Joi.object({
+  role: Joi.string().valid(...CharityMember.ROLES.filter(role => role !== 'owner')).required()
+});
+
+const ownershipTransferSchema = Joi.object({
+  email: Joi.string().email().required(),
+  // Team role the current owner keeps after the transfer ("none" to leave the team)
+  previousOwnerRole: Joi.string().valid(...CharityMember.ROLES.filter(role => role !== 'owner'), 'none').required()
+});
+
+const archiveCharitySchema = Joi.object({
+  reason: Joi.string().max(1000).optional()
+});
+
+const submitForReviewSchema = Joi.object({
+  note: Joi.string().max(2000).optional()
+});
+
+const uploadDocumentSchema = Joi.object({
+  name: Joi.string().max(200).optional(),
+  type: Joi.string().valid(...documents.DOCUMENT_TYPES).default('other')
+});
+
+const galleryImageSchema = Joi.object({
+  caption: Joi.string().max(300).optional()
+});
+
+const MAX_WEBHOOKS_PER_CHARITY = 10;
+
+const createWebhookSchema = Joi.object({
+  url: Joi.string().uri({ scheme: webhooks.getAllowedSchemes() }).required(),
+  description: Joi.string().max(200).optional(),
+  events: Joi.array().items(Joi.string().valid(...webhooks.CHARITY_EVENTS)).min(1).unique().required()
+});
+
+const updateWebhookSchema = Joi.object({
+  url: Joi.string().uri({ scheme: webhooks.getAllowedSchemes() }).optional(),
+  description: Joi.string().max(200).allow('').optional(),
+  events: Joi.array().items(Joi.string().valid(...webhooks.CHARITY_EVENTS)).min(1).unique().optional(),
+  isActive: Joi.boolean().optional()
+});
+
+const createUpdateSchema = Joi.object({
+  title: Joi.string().trim().max(200).required(),
+  body: Joi.string().max(20000).required(),
+  programId: Joi.string().hex().length(24).optional(),
+  campaignId: Joi.string().hex().length(24).optional(),
+  status: Joi.string().valid('draft', 'published').default('draft')
+});
+
+const editUpdateSchema = Joi.object({
+  title: Joi.string().trim().max(200).optional(),
+  body: Joi.string().max(20000).optional(),
+  programId: Joi.string().hex().length(24).allow(null).optional(),
+  campaignId: Joi.string().hex().length(24).allow(null).optional(),
+  status: Joi.string().valid('draft', 'published').optional()
+});
+
+const listUpdatesSchema = Joi.object({
+  status: Joi.string().valid('draft', 'published').optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+const reorderGallerySchema = Joi.object({
+  imageIds: Joi.array().items(Joi.string().hex().length(24)).unique().required()
+});
+
+const directoryQuerySchema = Joi.object({
+  search: Joi.string().trim().max(200).allow('').optional(),
+  category: Joi.string().optional(),
+  tag: Joi.string().optional(),
+  sort: Joi.string().valid(...CharitySearchIndex.SORTS).default('relevance'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10)
+});
+
+// Public view of campaigns with fundraising progress
+const buildCampaignViews = async (charity, campaigns) => {
+  const decrypted = charity.getDecryptedData();
+  const progress = await Donation.getCampaignProgress(campaigns.map(campaign => campaign._id));
+  
+  return campaigns.map(campaign => {
+    const id = campaign._id.toString();
+    const decryptedCampaign = decrypted.campaigns.find(entry => entry._id.toString() === id);
+    const { raised = 0, donorCount = 0 } = progress[id] || {};
+    
+    return {
+      id: campaign._id,
+      title: decryptedCampaign.title,
+      description: decryptedCampaign.description,
+      program: campaign.program,
+      goalAmount: campaign.goalAmount,
+      currency: campaign.currency,
+      startDate: campaign.startDate,
+      endDate: campaign.endDate,
+      state: campaign.getState(),
+      raised,
+      donorCount,
+      percentToGoal: Math.round((raised / campaign.goalAmount) * 1000) / 10
+    };
+  });
+};
+
+const getAppUrl = () => process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+// Decrypted charity with the sections the user's role may not see removed
+// (expects loadCharityRole to have run)
+const toMemberView = (req, charity) => {
+  const decrypted = charity.getDecryptedData();
+  
+  if (!req.charityCan('charity:view')) {
+    delete decrypted.financialInfo;
+    delete decrypted.legalInfo;
+    delete decrypted.verification;
+    delete decrypted.documents;
+    delete decrypted.ownershipTransfer;
+  } else if (!req.charityCan('financial:view')) {
+    delete decrypted.financialInfo;
+  } else if (!req.charityCan('banking:view') && decrypted.financialInfo) {
+    delete decrypted.financialInfo.bankingInfo;
+  }
+  
+  decrypted.role = req.charityRole || undefined;
+  return decrypted;
+};
+
 // Create charity (requires charity authorization code)
-router.post('/', auth, canCreateCharity, async (req, res) => {
+router.post('/', auth, requireVerifiedEmail, canCreateCharity, async (req, res) => {
   try {
     const { error, value } = createCharitySchema.validate(req.body);
     if (error) {
@@ -69,18 +331,36 @@ router.post('/', auth, canCreateCharity, async (req, res) => {
       return res.status(400).json({ error: 'Individual users can only create one charity' });
     }
     
+    // Reject (or flag for review) tax and registration numbers that are already registered
+    const duplicates = await Charity.findDuplicates(value.legalInfo || {});
+    if (duplicates.length > 0 && DUPLICATE_CHARITY_POLICY === 'reject') {
+      return res.status(409).json({
+        error: 'A charity with this tax ID or registration number is already registered',
+        details: { fields: duplicates.map(duplicate => duplicate.field) }
+      });
+    }
+    
     const charity = new Charity({
       owner: req.user._id,
       ...value
     });
     
+    duplicates.forEach(duplicate => {
+      charity.reviewFlags.push({
+        code: 'possible_duplicate',
+        message: `Another charity is registered with the same ${duplicate.field}`,
+        relatedCharities: duplicate.charities.map(related => related._id)
+      });
+    });
+    
     await charity.save();
+    await CharityMember.addOwner(charity);
     
     res.status(201).json({
       message: 'Charity created successfully',
       charity: {
         id: charity._id,
-        name: charity.basicInfo.name, // This will be encrypted in DB
+        name: charity.decryptField('basicInfo.name'),
         status: charity.status,
         createdAt: charity.createdAt
       }
@@ -93,16 +373,24 @@ router.post('/', auth, canCreateCharity, async (req, res) => {
 // Get user's charities
 router.get('/my-charities', auth, async (req, res) => {
   try {
-    const charities = await Charity.find({ owner: req.user._id });
+    // Charities the user owns or is a team member of
+    const memberships = await CharityMember.find({ user: req.user._id, status: 'active' }).select('charity role');
+    const roles = new Map(memberships.map(membership => [membership.charity.toString(), membership.role]));
+    
+    const charities = await Charity.find({
+      $or: [{ owner: req.user._id }, { _id: { $in: Array.from(roles.keys()) } }]
+    });
     
     const decryptedCharities = charities.map(charity => {
       const decrypted = charity.getDecryptedData();
+      const isOwner = charity.owner.toString() === req.user._id.toString();
       return {
         id: decrypted._id,
         name: decrypted.basicInfo?.name,
         description: decrypted.basicInfo?.description,
         status: decrypted.status,
         isPublic: decrypted.isPublic,
+        role: isOwner ? 'owner' : roles.get(charity._id.toString()),
         createdAt: decrypted.createdAt,
         updatedAt: decrypted.updatedAt
       };
@@ -114,8 +402,8 @@ router.get('/my-charities', auth, async (req, res) => {
   }
 });
 
-// Get charity by ID (for owner or public view)
-router.get('/:id', async (req, res) => {
+// Get charity by ID (team members see more, depending on their role)
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const charity = await Charity.findById(req.params.id).populate('owner', 'profile.displayName accountType');
     
@@ -123,129 +411,1947 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Charity not found' });
     }
     
-    // Check if user is owner or if charity is public
-    const isOwner = req.user && charity.owner._id.toString() === req.user._id.toString();
-    const isAdmin = req.user && req.user.accountType === 'admin';
+    await loadCharityRole(req, charity);
     
-    if (!charity.isPublic && !isOwner && !isAdmin) {
+    // Check if user is a team member or if charity is public
+    if (!charity.isPublic && !req.charityCan('charity:view')) {
       return res.status(403).json({ error: 'Access denied. Charity is not public.' });
     }
     
-    const decryptedCharity = charity.getDecryptedData();
-    
-    // Remove sensitive financial info if not owner/admin
-    if (!isOwner && !isAdmin) {
-      delete decryptedCharity.financialInfo;
-      delete decryptedCharity.legalInfo;
-    }
-    
-    res.json(decryptedCharity);
+    res.json(toMemberView(req, charity));
   } catch (error) {
     res.status(500).json({ error: 'Failed to get charity' });
   }
 });
 
 // Update charity
-router.put('/:id', auth, authorizeCharityOwner, async (req, res) => {
+router.put('/:id', auth, authorizeCharity('charity:view'), async (req, res) => {
   try {
+    const { error } = updateCharitySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
     const charity = req.charity;
+    const updatedKeys = Object.keys(req.body)
+      .filter(key => req.body[key] !== undefined && !PROTECTED_CHARITY_FIELDS.includes(key));
+    
+    // Every submitted field must be editable by the user's role
+    const forbidden = updatedKeys.filter(key => !req.charityCan(FIELD_PERMISSIONS[key] || 'charity:edit'));
+    if (req.body.financialInfo?.bankingInfo !== undefined && !req.charityCan('banking:edit')) {
+      forbidden.push('financialInfo.bankingInfo');
+    }
+    if (forbidden.length > 0) {
+      return res.status(403).json({ error: `Access denied. Your role cannot update: ${forbidden.join(', ')}` });
+    }
+    
+    const before = pick(charity, updatedKeys);
     
-    // Update fields (they will be encrypted by pre-save middleware)
-    Object.keys(req.body).forEach(key => {
-      if (req.body[key] !== undefined && key !== 'owner') {
+    // Update fields (encrypted fields are encrypted on assignment). financialInfo
+    // is merged so that updating it without bankingInfo keeps the banking details.
+    updatedKeys.forEach(key => {
+      if (key === 'financialInfo' && req.body.financialInfo && typeof req.body.financialInfo === 'object') {
+        Object.keys(req.body.financialInfo).forEach(subKey => {
+          charity.set(`financialInfo.${subKey}`, req.body.financialInfo[subKey]);
+        });
+      } else {
         charity[key] = req.body[key];
       }
     });
     
+    // Changed identifiers must not collide with another charity's
+    if (charity.isModified('legalInfo.taxId') || charity.isModified('legalInfo.registrationNumber')) {
+      const duplicates = await Charity.findDuplicates({
+        taxId: charity.decryptField('legalInfo.taxId'),
+        registrationNumber: charity.decryptField('legalInfo.registrationNumber')
+      }, charity._id);
+      
+      if (duplicates.length > 0 && DUPLICATE_CHARITY_POLICY === 'reject') {
+        return res.status(409).json({
+          error: 'A charity with this tax ID or registration number is already registered',
+          details: { fields: duplicates.map(duplicate => duplicate.field) }
+        });
+      }
+      
+      duplicates.forEach(duplicate => {
+        charity.reviewFlags.push({
+          code: 'possible_duplicate',
+          message: `Another charity is registered with the same ${duplicate.field}`,
+          relatedCharities: duplicate.charities.map(related => related._id)
+        });
+      });
+    }
+    
     await charity.save();
     
-    const decryptedCharity = charity.getDecryptedData();
+    await recordAudit(req, {
+      action: 'charity.update',
+      target: { type: 'Charity', id: charity._id },
+      before,
+      after: pick(charity, updatedKeys)
+    });
     
     res.json({
       message: 'Charity updated successfully',
-      charity: decryptedCharity
+      charity: toMemberView(req, charity)
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to update charity', details: error.message });
   }
 });
 
-// Add program to charity
-router.post('/:id/programs', auth, authorizeCharityOwner, async (req, res) => {
+// Get the charity's verification status, checklist and review history
+router.get('/:id/verification', auth, authorizeCharity('charity:view'), async (req, res) => {
+  try {
+    const isAdmin = req.user.accountType === 'admin';
+    res.json({ verification: req.charity.getVerificationSummary({ includeInternal: isAdmin }) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get verification status', details: error.message });
+  }
+});
+
+// Submit the charity for verification (or resubmit after changes were requested)
+router.post('/:id/verification/submit', auth, authorizeCharity('verification:submit'), async (req, res) => {
   try {
-    const { name, description, targetAudience, budget, startDate, endDate } = req.body;
+    const { error, value } = submitForReviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
     
-    const program = {
-      name,
-      description,
-      targetAudience,
-      budget,
-      startDate: startDate ? new Date(startDate) : undefined,
-      endDate: endDate ? new Date(endDate) : undefined
-    };
+    const charity = req.charity;
+    const previousStatus = charity.status;
     
-    req.charity.programs.push(program);
-    await req.charity.save();
+    try {
+      await charity.submitForReview(req.user, value.note);
+    } catch (transitionError) {
+      if (transitionError.name === 'ValidationError') throw transitionError;
+      return res.status(400).json({ error: transitionError.message });
+    }
+    
+    await recordAudit(req, {
+      action: 'charity.review.submit',
+      target: { type: 'Charity', id: charity._id },
+      before: { status: previousStatus },
+      after: { status: charity.status }
+    });
+    
+    res.json({
+      message: 'Charity submitted for review',
+      verification: charity.getVerificationSummary()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to submit charity for review', details: error.message });
+  }
+});
+
+// Document metadata with a signed download link (legacy entries keep their external url)
+const toDocumentView = (charity, document) => ({
+  id: document._id,
+  name: document.name,
+  type: document.type,
+  mimeType: document.mimeType,
+  size: document.size,
+  checksum: document.checksum,
+  uploadDate: document.uploadDate,
+  ...(document.storageKey
+    ? { download: documents.createDownloadUrl(charity._id, document._id) }
+    : { url: document.url })
+});
+
+// Upload a legal document (multipart field "file", plus optional "name" and "type")
+router.post('/:id/documents', auth, authorizeCharity('documents:manage'), singleFileUpload('file', documents.getMaxBytes()), async (req, res) => {
+  try {
+    const { error, value } = uploadDocumentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const charity = req.charity;
+    if (charity.documents.length >= documents.MAX_DOCUMENTS_PER_CHARITY) {
+      return res.status(400).json({ error: `A charity can have at most ${documents.MAX_DOCUMENTS_PER_CHARITY} documents` });
+    }
+    
+    // Trust the file's content, not the declared Content-Type
+    const detected = documents.validateDocument(req.file);
+    if (detected.error) {
+      return res.status(415).json({ error: detected.error });
+    }
+    
+    const stored = await documents.storeDocument(charity._id, req.file, detected.mimeType);
+    
+    charity.documents.push({
+      name: value.name || req.file.originalname,
+      type: value.type,
+      uploadedBy: req.user._id,
+      ...stored
+    });
+    const document = charity.documents[charity.documents.length - 1];
+    
+    try {
+      await charity.save();
+    } catch (saveError) {
+      await documents.deleteDocuments([stored]);
+      throw saveError;
+    }
+    
+    await recordAudit(req, {
+      action: 'charity.document.upload',
+      target: { type: 'Charity', id: charity._id },
+      after: pick(document, ['_id', 'name', 'type', 'mimeType', 'size', 'checksum'])
+    });
     
     res.status(201).json({
-      message: 'Program added successfully',
-      program: req.charity.programs[req.charity.programs.length - 1]
+      message: 'Document uploaded successfully',
+      document: toDocumentView(charity, document)
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to add program' });
+    res.status(500).json({ error: 'Failed to upload document', details: error.message });
   }
 });
 
-// Get public charities (for browsing)
-router.get('/', async (req, res) => {
+// List the charity's documents with signed download links
+router.get('/:id/documents', auth, authorizeCharity('documents:view'), async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      documents: req.charity.documents.map(document => toDocumentView(req.charity, document))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get documents', details: error.message });
+  }
+});
+
+// Download a document through a signed URL (from the document list)
+router.get('/:id/documents/:documentId/download', async (req, res) => {
+  try {
+    const { expires, signature } = req.query;
+    if (!documents.verifyDownloadSignature(req.params.id, req.params.documentId, expires, signature)) {
+      return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+    
+    const charity = await Charity.findById(req.params.id).select('documents');
+    const document = charity && charity.documents.id(req.params.documentId);
+    if (!document || !document.storageKey) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    const data = await documents.readDocument(document);
+    const filename = (document.name || 'document').replace(/[^\w.\- ]/g, '_');
+    
+    res.set('Cache-Control', 'no-store');
+    res.set('Content-Type', document.mimeType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(data);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to download document', details: error.message });
+  }
+});
+
+// Delete a document
+router.delete('/:id/documents/:documentId', auth, authorizeCharity('documents:manage'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, category, search } = req.query;
-    const query = { isPublic: true, status: 'verified' };
+    const charity = req.charity;
+    const document = charity.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    const removed = pick(document, ['_id', 'name', 'type', 'mimeType', 'size', 'checksum']);
+    const storageKey = document.storageKey;
+    
+    charity.documents.pull(document._id);
+    await charity.save();
+    await documents.deleteDocuments([{ storageKey }]);
+    
+    await recordAudit(req, {
+      action: 'charity.document.delete',
+      target: { type: 'Charity', id: charity._id },
+      before: removed
+    });
     
-    if (category) {
-      query.categories = category;
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete document', details: error.message });
+  }
+});
+
+// Upload or replace the charity's logo (multipart field "image")
+router.put('/:id/logo', auth, authorizeCharity('media:manage'), singleFileUpload('image', images.getMaxBytes()), async (req, res) => {
+  try {
+    const inspected = await images.validateImage('logo', req.file.buffer);
+    if (inspected.error) {
+      return res.status(inspected.status).json({ error: inspected.error });
     }
     
-    const charities = await Charity.find(query)
-      .populate('owner', 'profile.displayName')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
+    const charity = req.charity;
+    const previous = charity.logoImage;
+    const imageId = new mongoose.Types.ObjectId();
+    const variants = await images.storeImage('logo', imageId, req.file.buffer);
     
-    const total = await Charity.countDocuments(query);
+    charity.logoImage = { _id: imageId, width: inspected.width, height: inspected.height, variants, uploadedBy: req.user._id };
+    charity.logo = images.imageUrl(imageId, 'medium');
     
-    const publicCharities = charities.map(charity => {
-      const decrypted = charity.getDecryptedData();
-      return {
-        id: decrypted._id,
-        name: decrypted.basicInfo?.name,
-        description: decrypted.basicInfo?.description,
-        mission: decrypted.basicInfo?.mission,
-        website: decrypted.basicInfo?.website,
-        socialMedia: decrypted.socialMedia,
-        logo: decrypted.logo,
-        categories: decrypted.categories,
-        tags: decrypted.tags,
-        owner: charity.owner,
-        createdAt: decrypted.createdAt
-      };
+    try {
+      await charity.save();
+    } catch (saveError) {
+      await images.deleteImages([{ _id: imageId, variants }]);
+      throw saveError;
+    }
+    
+    if (previous) {
+      await images.deleteImages([previous]);
+    }
+    
+    res.json({
+      message: 'Logo uploaded successfully',
+      logo: images.toImageView(charity.logoImage)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to upload logo', details: error.message });
+  }
+});
+
+// Remove the charity's uploaded logo
+router.delete('/:id/logo', auth, authorizeCharity('media:manage'), async (req, res) => {
+  try {
+    const charity = req.charity;
+    const previous = charity.logoImage;
+    if (!previous) {
+      return res.status(404).json({ error: 'Charity has no uploaded logo' });
+    }
+    
+    charity.logoImage = undefined;
+    charity.logo = undefined;
+    await charity.save();
+    await images.deleteImages([previous]);
+    
+    res.json({ message: 'Logo removed successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove logo', details: error.message });
+  }
+});
+
+// Get the gallery of a publicly listed charity
+router.get('/:id/gallery', async (req, res) => {
+  try {
+    const charity = await Charity.findById(req.params.id).select('status isPublic gallery');
+    if (!charity || !charity.isPubliclyListed()) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    res.json({ images: charity.gallery.map(images.toImageView) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get gallery' });
+  }
+});
+
+// Add an image to the gallery (multipart field "image", plus optional "caption")
+router.post('/:id/gallery', auth, authorizeCharity('media:manage'), singleFileUpload('image', images.getMaxBytes()), async (req, res) => {
+  try {
+    const { error, value } = galleryImageSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const charity = req.charity;
+    if (charity.gallery.length >= images.MAX_GALLERY_IMAGES) {
+      return res.status(400).json({ error: `A gallery can have at most ${images.MAX_GALLERY_IMAGES} images` });
+    }
+    
+    const inspected = await images.validateImage('gallery', req.file.buffer);
+    if (inspected.error) {
+      return res.status(inspected.status).json({ error: inspected.error });
+    }
+    
+    const imageId = new mongoose.Types.ObjectId();
+    const variants = await images.storeImage('gallery', imageId, req.file.buffer);
+    
+    charity.gallery.push({
+      _id: imageId,
+      width: inspected.width,
+      height: inspected.height,
+      variants,
+      caption: value.caption,
+      uploadedBy: req.user._id
+    });
+    
+    try {
+      await charity.save();
+    } catch (saveError) {
+      await images.deleteImages([{ _id: imageId, variants }]);
+      throw saveError;
+    }
+    
+    res.status(201).json({
+      message: 'Image added successfully',
+      image: images.toImageView(charity.gallery.id(imageId))
     });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to add image', details: error.message });
+  }
+});
+
+// Reorder the gallery (imageIds must list every gallery image once)
+router.put('/:id/gallery/order', auth, authorizeCharity('media:manage'), async (req, res) => {
+  try {
+    const { error, value } = reorderGallerySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const charity = req.charity;
+    const currentIds = charity.gallery.map(image => image._id.toString());
+    
+    if (value.imageIds.length !== currentIds.length || !value.imageIds.every(id => currentIds.includes(id))) {
+      return res.status(400).json({ error: 'imageIds must contain every gallery image exactly once' });
+    }
+    
+    charity.gallery = value.imageIds.map(id => charity.gallery.id(id));
+    await charity.save();
     
     res.json({
-      charities: publicCharities,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
+      message: 'Gallery reordered successfully',
+      images: charity.gallery.map(images.toImageView)
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get public charities' });
+    res.status(500).json({ error: 'Failed to reorder gallery', details: error.message });
   }
 });
 
-// Delete charity
-router.delete('/:id', auth, authorizeCharityOwner, async (req, res) => {
+// Delete a gallery image
+router.delete('/:id/gallery/:imageId', auth, authorizeCharity('media:manage'), async (req, res) => {
   try {
-    await Charity.findByIdAndDelete(req.params.id);
+    const charity = req.charity;
+    const image = charity.gallery.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    
+    const removed = image.toObject();
+    charity.gallery.pull(image._id);
+    await charity.save();
+    await images.deleteImages([removed]);
+    
+    res.json({ message: 'Image deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete image', details: error.message });
+  }
+});
+
+// Accept or decline an invitation to join a charity's team (signed in as the invited email)
+router.post('/invitations/:token/:response(accept|decline)', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const invitation = await CharityMember.findInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(400).json({ error: 'Invalid or expired invitation' });
+    }
+    
+    const accept = req.params.response === 'accept';
+    
+    if (accept) {
+      const charity = await Charity.findById(invitation.charity).select('owner');
+      if (!charity) {
+        return res.status(404).json({ error: 'Charity not found' });
+      }
+      if (await CharityMember.getRole(charity, req.user._id)) {
+        return res.status(400).json({ error: 'You are already a member of this charity' });
+      }
+    }
+    
+    try {
+      await invitation.respond(req.user, accept);
+    } catch (responseError) {
+      if (responseError.name === 'ValidationError') throw responseError;
+      return res.status(400).json({ error: responseError.message });
+    }
+    
+    res.json({
+      message: accept ? 'Invitation accepted' : 'Invitation declined',
+      membership: invitation.toSummary()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to respond to invitation', details: error.message });
+  }
+});
+
+// List team members (and pending invitations for members who can manage the team)
+router.get('/:id/members', auth, authorizeCharity('members:view'), async (req, res) => {
+  try {
+    const statuses = req.charityCan('members:manage') ? ['active', 'invited'] : ['active'];
+    const members = await CharityMember.find({ charity: req.charity._id, status: { $in: statuses } })
+      .populate('user', 'email profile.displayName')
+      .sort({ createdAt: 1 });
+    
+    res.json({
+      members: members.map(member => ({
+        ...member.toSummary(),
+        user: member.user ? {
+          id: member.user._id,
+          email: member.user.email,
+          displayName: member.user.profile?.displayName
+        } : null
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get members', details: error.message });
+  }
+});
+
+// Invite someone to the team by email
+router.post('/:id/members/invitations', auth, authorizeCharity('members:manage'), async (req, res) => {
+  try {
+    const { error, value } = inviteMemberSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const charity = req.charity;
+    const managerRole = req.user.accountType === 'admin' ? 'owner' : req.charityRole;
+    
+    if (!CharityMember.canManageRole(managerRole, value.role)) {
+      return res.status(403).json({ error: `Access denied. You cannot invite members with the ${value.role} role.` });
+    }
+    
+    const existingUser = await User.findOne({ email: value.email.toLowerCase() }).select('_id');
+    if (existingUser && await CharityMember.getRole(charity, existingUser._id)) {
+      return res.status(409).json({ error: 'This person is already a member of the charity' });
+    }
+    
+    const { member, token } = await CharityMember.invite(charity, value.email, value.role, req.user);
+    
+    try {
+      await sendTemplate(member.email, 'charityInvitation', {
+        charityName: charity.decryptField('basicInfo.name'),
+        role: member.role,
+        inviterName: req.user.profile?.displayName || req.user.email,
+        link: `${process.env.INVITATION_URL || `${getAppUrl()}/invitations`}?token=${token}`,
+        expiresInDays: CharityMember.INVITATION_TTL_DAYS
+      });
+    } catch (mailError) {
+      console.error('Failed to send invitation email:', mailError.message);
+    }
+    
+    if (existingUser) {
+      await notify([existingUser._id], 'charity.invitation', {
+        charityName: charity.decryptField('basicInfo.name'),
+        role: member.role,
+        inviterName: req.user.profile?.displayName || req.user.email
+      });
+    }
+    
+    await recordAudit(req, {
+      action: 'charity.member.invite',
+      target: { type: 'Charity', id: charity._id },
+      after: { email: member.email, role: member.role }
+    });
+    
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invitation: member.toSummary()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to send invitation', details: error.message });
+  }
+});
+
+// Change a member's role
+router.put('/:id/members/:memberId', auth, authorizeCharity('members:manage'), async (req, res) => {
+  try {
+    const { error, value } = updateMemberSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const member = await CharityMember.findOne({ _id: req.params.memberId, charity: req.charity._id, status: 'active' });
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    const managerRole = req.user.accountType === 'admin' ? 'owner' : req.charityRole;
+    if (!CharityMember.canManageRole(managerRole, member.role) || !CharityMember.canManageRole(managerRole, value.role)) {
+      return res.status(403).json({ error: 'Access denied. You cannot change this member\'s role.' });
+    }
+    
+    const previousRole = member.role;
+    member.role = value.role;
+    await member.save();
+    
+    await recordAudit(req, {
+      action: 'charity.member.role.update',
+      target: { type: 'Charity', id: req.charity._id },
+      before: { member: member._id, user: member.user, role: previousRole },
+      after: { member: member._id, user: member.user, role: member.role }
+    });
+    
+    res.json({
+      message: 'Member role updated successfully',
+      member: member.toSummary()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update member', details: error.message });
+  }
+});
+
+// Remove a member or revoke a pending invitation (members may also remove themselves)
+router.delete('/:id/members/:memberId', auth, authorizeCharity('members:view'), async (req, res) => {
+  try {
+    const member = await CharityMember.findOne({
+      _id: req.params.memberId,
+      charity: req.charity._id,
+      status: { $in: ['active', 'invited'] }
+    });
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    const isSelf = member.user && member.user.toString() === req.user._id.toString();
+    const managerRole = req.user.accountType === 'admin' ? 'owner' : req.charityRole;
+    
+    if (member.role === 'owner') {
+      return res.status(400).json({ error: 'The owner cannot be removed from the charity' });
+    }
+    if (!isSelf && !(req.charityCan('members:manage') && CharityMember.canManageRole(managerRole, member.role))) {
+      return res.status(403).json({ error: 'Access denied. You cannot remove this member.' });
+    }
+    
+    const previousStatus = member.status;
+    member.status = member.status === 'invited' ? 'revoked' : 'removed';
+    member.invitationToken = undefined;
+    member.respondedAt = new Date();
+    await member.save();
+    
+    await recordAudit(req, {
+      action: previousStatus === 'invited' ? 'charity.member.invitation.revoke' : 'charity.member.remove',
+      target: { type: 'Charity', id: req.charity._id },
+      before: { member: member._id, user: member.user, email: member.email, role: member.role, status: previousStatus }
+    });
+    
+    res.json({ message: previousStatus === 'invited' ? 'Invitation revoked' : 'Member removed successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove member', details: error.message });
+  }
+});
+
+// ========== OWNERSHIP TRANSFER ==========
+
+// Offer ownership of the charity to another user (owner only)
+router.post('/:id/ownership-transfer', auth, authorizeCharityOwner, async (req, res) => {
+  try {
+    const { error, value } = ownershipTransferSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const charity = req.charity;
+    const recipient = await User.findOne({ email: value.email.toLowerCase() }).select('email isActive emailVerified');
+    if (!recipient || !recipient.isActive) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!recipient.emailVerified) {
+      return res.status(400).json({ error: 'The new owner must have a verified email address' });
+    }
+    
+    const previousOwnerRole = value.previousOwnerRole === 'none' ? null : value.previousOwnerRole;
+    try {
+      charity.startOwnershipTransfer(req.user, recipient, previousOwnerRole);
+    } catch (transferError) {
+      return res.status(400).json({ error: transferError.message });
+    }
+    await charity.save();
+    
+    try {
+      await sendTemplate(recipient.email, 'ownershipTransfer', {
+        charityName: charity.decryptField('basicInfo.name'),
+        ownerName: req.user.profile?.displayName || req.user.email,
+        link: `${getAppUrl()}/charities/${charity._id}/ownership-transfer`,
+        expiresInDays: Charity.OWNERSHIP_TRANSFER_TTL_DAYS
+      });
+    } catch (mailError) {
+      console.error('Failed to send ownership transfer email:', mailError.message);
+    }
+    
+    await recordAudit(req, {
+      action: 'charity.ownership_transfer.start',
+      target: { type: 'Charity', id: charity._id },
+      before: { owner: charity.owner },
+      after: { to: recipient._id, email: recipient.email, previousOwnerRole, expiresAt: charity.ownershipTransfer.expiresAt }
+    });
+    
+    res.status(201).json({
+      message: 'Ownership transfer requested',
+      ownershipTransfer: charity.ownershipTransfer
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to start ownership transfer', details: error.message });
+  }
+});
+
+// Cancel a pending ownership transfer (owner only)
+router.delete('/:id/ownership-transfer', auth, authorizeCharityOwner, async (req, res) => {
+  try {
+    const charity = req.charity;
+    const to = charity.ownershipTransfer?.to;
+    
+    try {
+      charity.cancelOwnershipTransfer();
+    } catch (transferError) {
+      return res.status(400).json({ error: transferError.message });
+    }
+    await charity.save();
+    
+    await recordAudit(req, {
+      action: 'charity.ownership_transfer.cancel',
+      target: { type: 'Charity', id: charity._id },
+      before: { to }
+    });
+    
+    res.json({ message: 'Ownership transfer cancelled' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to cancel ownership transfer', details: error.message });
+  }
+});
+
+// Accept or decline ownership of a charity (signed in as the recipient)
+router.post('/:id/ownership-transfer/:response(accept|decline)', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const charity = await Charity.findById(req.params.id);
+    if (!charity) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    let previousOwnerRole;
+    try {
+      previousOwnerRole = charity.assertTransferRecipient(req.user).previousOwnerRole;
+    } catch (transferError) {
+      return res.status(400).json({ error: transferError.message });
+    }
+    
+    if (req.params.response === 'decline') {
+      charity.cancelOwnershipTransfer();
+      await charity.save();
+      
+      await recordAudit(req, {
+        action: 'charity.ownership_transfer.decline',
+        target: { type: 'Charity', id: charity._id },
+        before: { owner: charity.owner, to: req.user._id }
+      });
+      
+      return res.json({ message: 'Ownership transfer declined' });
+    }
+    
+    const previousOwnerId = await charity.completeOwnershipTransfer(req.user._id, previousOwnerRole);
+    
+    await recordAudit(req, {
+      action: 'charity.ownership_transfer.accept',
+      target: { type: 'Charity', id: charity._id },
+      before: { owner: previousOwnerId },
+      after: { owner: charity.owner, previousOwnerRole }
+    });
+    
+    res.json({
+      message: 'Ownership transfer accepted',
+      charity: {
+        id: charity._id,
+        name: charity.decryptField('basicInfo.name'),
+        role: 'owner'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to respond to ownership transfer', details: error.message });
+  }
+});
+
+// Programs with their impact metrics, reports in period order. Budgets are
+// only included for the charity's team.
+const buildProgramViews = (charity, programs, { includeBudget = false } = {}) => {
+  const decrypted = charity.getDecryptedData();
+  
+  return programs.map(program => {
+    const id = program._id.toString();
+    const decryptedProgram = decrypted.programs.find(entry => entry._id.toString() === id);
+    
+    return {
+      id: program._id,
+      name: decryptedProgram.name,
+      description: decryptedProgram.description,
+      targetAudience: decryptedProgram.targetAudience,
+      budget: includeBudget ? decryptedProgram.budget : undefined,
+      startDate: program.startDate,
+      endDate: program.endDate,
+      isActive: program.isActive,
+      metrics: program.metrics.map((metric, index) => {
+        const decryptedMetric = decryptedProgram.metrics[index];
+        return {
+          id: metric._id,
+          name: decryptedMetric.name,
+          description: decryptedMetric.description,
+          unit: metric.unit,
+          aggregation: metric.aggregation,
+          target: metric.target,
+          currentValue: metric.getCurrentValue(),
+          reports: decryptedMetric.reports
+            .map(report => ({
+              id: report._id,
+              periodStart: report.periodStart,
+              periodEnd: report.periodEnd,
+              value: report.value,
+              note: report.note,
+              reportedAt: report.reportedAt
+            }))
+            .sort((a, b) => a.periodStart - b.periodStart)
+        };
+      })
+    };
+  });
+};
+
+// Load the program (and metric) named in the URL, or respond 404
+const findProgram = (req, res) => {
+  const program = req.charity.programs.id(req.params.programId);
+  if (!program) {
+    res.status(404).json({ error: 'Program not found' });
+    return null;
+  }
+  return program;
+};
+
+const findMetric = (req, res) => {
+  const program = findProgram(req, res);
+  if (!program) return {};
+  
+  const metric = program.metrics.id(req.params.metricId);
+  if (!metric) {
+    res.status(404).json({ error: 'Metric not found' });
+    return {};
+  }
+  return { program, metric };
+};
+
+// Get a charity's programs with impact metrics (public; team members also see inactive programs)
+router.get('/:id/programs', optionalAuth, async (req, res) => {
+  try {
+    const charity = await Charity.findById(req.params.id);
+    if (!charity) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    await loadCharityRole(req, charity);
+    
+    const isMember = req.charityCan('charity:view');
+    if (!isMember && !charity.isPubliclyListed()) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    const programs = isMember ? charity.programs : charity.programs.filter(program => program.isActive);
+    
+    res.json({ programs: buildProgramViews(charity, programs, { includeBudget: isMember }) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get programs' });
+  }
+});
+
+// Get a single program with impact metrics (public; team members also see inactive programs)
+router.get('/:id/programs/:programId', optionalAuth, async (req, res) => {
+  try {
+    const charity = await Charity.findById(req.params.id);
+    if (!charity) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    await loadCharityRole(req, charity);
+    
+    const isMember = req.charityCan('charity:view');
+    if (!isMember && !charity.isPubliclyListed()) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    const program = charity.programs.id(req.params.programId);
+    if (!program || (!program.isActive && !isMember)) {
+      return res.status(404).json({ error: 'Program not found' });
+    }
+    
+    const [programView] = buildProgramViews(charity, [program], { includeBudget: isMember });
+    
+    res.json(programView);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get program' });
+  }
+});
+
+// Add program to charity
+router.post('/:id/programs', auth, authorizeCharity('charity:edit'), async (req, res) => {
+  try {
+    const { error, value } = createProgramSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    req.charity.programs.push(value);
+    await req.charity.save();
+    
+    const program = req.charity.programs[req.charity.programs.length - 1];
+    const [programView] = buildProgramViews(req.charity, [program], { includeBudget: true });
+    
+    res.status(201).json({
+      message: 'Program added successfully',
+      program: programView
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to add program', details: error.message });
+  }
+});
+
+// Update a program (set isActive to false to deactivate it)
+router.put('/:id/programs/:programId', auth, authorizeCharity('charity:edit'), async (req, res) => {
+  try {
+    const { error, value } = updateProgramSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const program = findProgram(req, res);
+    if (!program) return;
+    
+    const startDate = value.startDate !== undefined ? value.startDate : program.startDate;
+    const endDate = value.endDate !== undefined ? value.endDate : program.endDate;
+    if (startDate && endDate && endDate <= startDate) {
+      return res.status(400).json({ error: 'endDate must be after startDate' });
+    }
+    
+    ['name', 'description', 'targetAudience', 'budget', 'startDate', 'endDate', 'isActive'].forEach(key => {
+      if (value[key] !== undefined) {
+        program[key] = value[key] === null || value[key] === '' ? undefined : value[key];
+      }
+    });
+    
+    await req.charity.save();
+    
+    const [programView] = buildProgramViews(req.charity, [program], { includeBudget: true });
+    
+    res.json({
+      message: 'Program updated successfully',
+      program: programView
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update program', details: error.message });
+  }
+});
+
+// Delete a program (programs with active campaigns must be deactivated instead)
+router.delete('/:id/programs/:programId', auth, authorizeCharity('charity:edit'), async (req, res) => {
+  try {
+    const program = findProgram(req, res);
+    if (!program) return;
+    
+    const linkedCampaigns = req.charity.campaigns.filter(campaign => campaign.program?.toString() === program._id.toString());
+    if (linkedCampaigns.some(campaign => campaign.status === 'active')) {
+      return res.status(400).json({ error: 'This program has active campaigns. Close them or deactivate the program instead.' });
+    }
+    
+    linkedCampaigns.forEach(campaign => {
+      campaign.program = undefined;
+    });
+    program.deleteOne();
+    await req.charity.save();
+    
+    res.json({ message: 'Program deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete program', details: error.message });
+  }
+});
+
+// Add an impact metric to a program
+router.post('/:id/programs/:programId/metrics', auth, authorizeCharity('charity:edit'), async (req, res) => {
+  try {
+    const { error, value } = impactMetricSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const program = findProgram(req, res);
+    if (!program) return;
+    
+    program.metrics.push(value);
+    await req.charity.save();
+    
+    const [programView] = buildProgramViews(req.charity, [program], { includeBudget: true });
+    
+    res.status(201).json({
+      message: 'Metric added successfully',
+      metric: programView.metrics[programView.metrics.length - 1]
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to add metric', details: error.message });
+  }
+});
+
+// Update an impact metric
+router.put('/:id/programs/:programId/metrics/:metricId', auth, authorizeCharity('charity:edit'), async (req, res) => {
+  try {
+    const { error, value } = updateImpactMetricSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const { program, metric } = findMetric(req, res);
+    if (!metric) return;
+    
+    ['name', 'description', 'unit', 'aggregation', 'target'].forEach(key => {
+      if (value[key] !== undefined) {
+        metric[key] = value[key] === null || value[key] === '' ? undefined : value[key];
+      }
+    });
+    
+    await req.charity.save();
+    
+    const [programView] = buildProgramViews(req.charity, [program], { includeBudget: true });
+    
+    res.json({
+      message: 'Metric updated successfully',
+      metric: programView.metrics.find(entry => entry.id.toString() === metric._id.toString())
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update metric', details: error.message });
+  }
+});
+
+// Delete an impact metric and its reports
+router.delete('/:id/programs/:programId/metrics/:metricId', auth, authorizeCharity('charity:edit'), async (req, res) => {
+  try {
+    const { metric } = findMetric(req, res);
+    if (!metric) return;
+    
+    metric.deleteOne();
+    await req.charity.save();
+    
+    res.json({ message: 'Metric deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete metric', details: error.message });
+  }
+});
+
+// Report a metric's value for a period
+router.post('/:id/programs/:programId/metrics/:metricId/reports', auth, authorizeCharity('charity:edit'), async (req, res) => {
+  try {
+    const { error, value } = metricReportSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const { program, metric } = findMetric(req, res);
+    if (!metric) return;
+    
+    // Periods of one metric must not overlap, or totals would count twice
+    const overlapping = metric.reports.some(report => report.periodStart < value.periodEnd && value.periodStart < report.periodEnd);
+    if (overlapping) {
+      return res.status(409).json({ error: 'A report already covers part of this period' });
+    }
+    
+    metric.reports.push({ ...value, reportedBy: req.user._id });
+    await req.charity.save();
+    
+    const [programView] = buildProgramViews(req.charity, [program], { includeBudget: true });
+    
+    res.status(201).json({
+      message: 'Metric value reported successfully',
+      metric: programView.metrics.find(entry => entry.id.toString() === metric._id.toString())
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to report metric value', details: error.message });
+  }
+});
+
+// Delete a reported metric value
+router.delete('/:id/programs/:programId/metrics/:metricId/reports/:reportId', auth, authorizeCharity('charity:edit'), async (req, res) => {
+  try {
+    const { metric } = findMetric(req, res);
+    if (!metric) return;
+    
+    const report = metric.reports.id(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    
+    report.deleteOne();
+    await req.charity.save();
+    
+    res.json({ message: 'Report deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete report', details: error.message });
+  }
+});
+
+// Create a fundraising campaign
+router.post('/:id/campaigns', auth, authorizeCharity('campaigns:manage'), async (req, res) => {
+  try {
+    const { error, value } = createCampaignSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    if (value.programId && !req.charity.programs.id(value.programId)) {
+      return res.status(400).json({ error: 'Program not found for this charity' });
+    }
+    
+    req.charity.campaigns.push({
+      title: value.title,
+      description: value.description,
+      goalAmount: value.goalAmount,
+      currency: value.currency,
+      startDate: value.startDate,
+      endDate: value.endDate,
+      program: value.programId
+    });
+    await req.charity.save();
+    
+    const campaign = req.charity.campaigns[req.charity.campaigns.length - 1];
+    const [campaignView] = await buildCampaignViews(req.charity, [campaign]);
+    
+    res.status(201).json({
+      message: 'Campaign created successfully',
+      campaign: campaignView
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create campaign', details: error.message });
+  }
+});
+
+// Update a fundraising campaign
+router.put('/:id/campaigns/:campaignId', auth, authorizeCharity('campaigns:manage'), async (req, res) => {
+  try {
+    const { error, value } = updateCampaignSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const campaign = req.charity.campaigns.id(req.params.campaignId);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    
+    if (campaign.status === 'closed') {
+      return res.status(400).json({ error: 'Closed campaigns cannot be modified' });
+    }
+    
+    if (value.programId && !req.charity.programs.id(value.programId)) {
+      return res.status(400).json({ error: 'Program not found for this charity' });
+    }
+    
+    const startDate = value.startDate || campaign.startDate;
+    const endDate = value.endDate || campaign.endDate;
+    if (endDate <= startDate) {
+      return res.status(400).json({ error: 'endDate must be after startDate' });
+    }
+    
+    ['title', 'description', 'goalAmount', 'startDate', 'endDate'].forEach(key => {
+      if (value[key] !== undefined) {
+        campaign[key] = value[key];
+      }
+    });
+    
+    if (value.programId !== undefined) {
+      campaign.program = value.programId || undefined;
+    }
+    
+    if (value.status === 'closed') {
+      campaign.status = 'closed';
+      campaign.closedAt = new Date();
+    }
+    
+    await req.charity.save();
+    
+    const [campaignView] = await buildCampaignViews(req.charity, [campaign]);
+    
+    res.json({
+      message: 'Campaign updated successfully',
+      campaign: campaignView
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update campaign', details: error.message });
+  }
+});
+
+// Get a charity's campaigns with progress (public)
+router.get('/:id/campaigns', async (req, res) => {
+  try {
+    const charity = await Charity.findById(req.params.id);
+    
+    if (!charity || !charity.isPubliclyListed()) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    let campaigns = await buildCampaignViews(charity, charity.campaigns);
+    
+    if (req.query.state) {
+      campaigns = campaigns.filter(campaign => campaign.state === req.query.state);
+    }
+    
+    campaigns.sort((a, b) => b.startDate - a.startDate);
+    
+    res.json({ campaigns });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get campaigns' });
+  }
+});
+
+// Get a single campaign with progress (public)
+router.get('/:id/campaigns/:campaignId', async (req, res) => {
+  try {
+    const charity = await Charity.findById(req.params.id);
+    
+    if (!charity || !charity.isPubliclyListed()) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    const campaign = charity.campaigns.id(req.params.campaignId);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    
+    const [campaignView] = await buildCampaignViews(charity, [campaign]);
+    
+    res.json(campaignView);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get campaign' });
+  }
+});
+
+// ========== UPDATES AND FOLLOWERS ==========
+
+// Check that an update's program and campaign links belong to the charity
+const checkUpdateLinks = (charity, value) => {
+  if (value.programId && !charity.programs.id(value.programId)) {
+    return 'Program not found for this charity';
+  }
+  if (value.campaignId && !charity.campaigns.id(value.campaignId)) {
+    return 'Campaign not found for this charity';
+  }
+  return null;
+};
+
+// Load the update named in the URL, or respond 404
+const findUpdate = async (req, res) => {
+  const update = await CharityUpdate.findOne({ _id: req.params.updateId, charity: req.charity._id });
+  if (!update) {
+    res.status(404).json({ error: 'Update not found' });
+  }
+  return update;
+};
+
+// Get a charity's published updates (team members can also list drafts)
+router.get('/:id/updates', optionalAuth, async (req, res) => {
+  try {
+    const { error, value } = listUpdatesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const charity = await Charity.findById(req.params.id);
+    if (!charity) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    await loadCharityRole(req, charity);
+    
+    const isMember = req.charityCan('charity:view');
+    if (!isMember && !charity.isPubliclyListed()) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    const query = { charity: charity._id, status: 'published' };
+    if (isMember && value.status) {
+      query.status = value.status;
+    }
+    
+    const { page, limit } = value;
+    const updates = await CharityUpdate.find(query)
+      .sort({ publishedAt: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await CharityUpdate.countDocuments(query);
+    
+    res.json({
+      updates: updates.map(update => update.toView()),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get updates' });
+  }
+});
+
+// Get a single update (drafts are only visible to the team)
+router.get('/:id/updates/:updateId', optionalAuth, async (req, res) => {
+  try {
+    const charity = await Charity.findById(req.params.id);
+    if (!charity) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    await loadCharityRole(req, charity);
+    
+    const isMember = req.charityCan('charity:view');
+    if (!isMember && !charity.isPubliclyListed()) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    const update = await findUpdate(req, res);
+    if (!update) return;
+    
+    if (update.status !== 'published' && !isMember) {
+      return res.status(404).json({ error: 'Update not found' });
+    }
+    
+    res.json(update.toView());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get update' });
+  }
+});
+
+// Post an update (saved as a draft unless status is "published")
+router.post('/:id/updates', auth, authorizeCharity('updates:manage'), async (req, res) => {
+  try {
+    const { error, value } = createUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const linkError = checkUpdateLinks(req.charity, value);
+    if (linkError) {
+      return res.status(400).json({ error: linkError });
+    }
+    
+    const update = new CharityUpdate({
+      charity: req.charity._id,
+      author: req.user._id,
+      title: value.title,
+      body: value.body,
+      program: value.programId,
+      campaign: value.campaignId
+    });
+    update.setStatus(value.status);
+    await update.save();
+    
+    res.status(201).json({
+      message: update.status === 'published' ? 'Update published successfully' : 'Draft saved successfully',
+      update: update.toView()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create update', details: error.message });
+  }
+});
+
+// Edit, publish or unpublish an update
+router.put('/:id/updates/:updateId', auth, authorizeCharity('updates:manage'), async (req, res) => {
+  try {
+    const { error, value } = editUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const linkError = checkUpdateLinks(req.charity, value);
+    if (linkError) {
+      return res.status(400).json({ error: linkError });
+    }
+    
+    const update = await findUpdate(req, res);
+    if (!update) return;
+    
+    ['title', 'body'].forEach(key => {
+      if (value[key] !== undefined) {
+        update[key] = value[key];
+      }
+    });
+    if (value.programId !== undefined) {
+      update.program = value.programId || undefined;
+    }
+    if (value.campaignId !== undefined) {
+      update.campaign = value.campaignId || undefined;
+    }
+    if (value.status) {
+      update.setStatus(value.status);
+    }
+    
+    await update.save();
+    
+    res.json({
+      message: 'Update saved successfully',
+      update: update.toView()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to save update', details: error.message });
+  }
+});
+
+// Delete an update and its images
+router.delete('/:id/updates/:updateId', auth, authorizeCharity('updates:manage'), async (req, res) => {
+  try {
+    const update = await findUpdate(req, res);
+    if (!update) return;
+    
+    await update.deleteOne();
+    
+    try {
+      await images.deleteImages(update.images);
+    } catch (cleanupError) {
+      console.error(`Failed to delete images of update ${update._id}:`, cleanupError.message);
+    }
+    
+    res.json({ message: 'Update deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete update', details: error.message });
+  }
+});
+
+// Add an image to an update. Image files are public like all uploaded images,
+// even while the update is a draft.
+router.post('/:id/updates/:updateId/images', auth, authorizeCharity('updates:manage'), singleFileUpload('image', images.getMaxBytes()), async (req, res) => {
+  try {
+    const { error, value } = galleryImageSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const update = await findUpdate(req, res);
+    if (!update) return;
+    
+    if (update.images.length >= CharityUpdate.MAX_IMAGES) {
+      return res.status(400).json({ error: `An update can have at most ${CharityUpdate.MAX_IMAGES} images` });
+    }
+    
+    const inspected = await images.validateImage('update', req.file.buffer);
+    if (inspected.error) {
+      return res.status(inspected.status).json({ error: inspected.error });
+    }
+    
+    const imageId = new mongoose.Types.ObjectId();
+    const variants = await images.storeImage('update', imageId, req.file.buffer);
+    
+    update.images.push({
+      _id: imageId,
+      width: inspected.width,
+      height: inspected.height,
+      variants,
+      caption: value.caption,
+      uploadedBy: req.user._id
+    });
+    
+    try {
+      await update.save();
+    } catch (saveError) {
+      await images.deleteImages([{ _id: imageId, variants }]);
+      throw saveError;
+    }
+    
+    res.status(201).json({
+      message: 'Image added successfully',
+      image: images.toImageView(update.images.id(imageId))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to add image', details: error.message });
+  }
+});
+
+// Remove an image from an update
+router.delete('/:id/updates/:updateId/images/:imageId', auth, authorizeCharity('updates:manage'), async (req, res) => {
+  try {
+    const update = await findUpdate(req, res);
+    if (!update) return;
+    
+    const image = update.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    
+    const removed = image.toObject();
+    update.images.pull(image._id);
+    await update.save();
+    await images.deleteImages([removed]);
+    
+    res.json({ message: 'Image deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete image', details: error.message });
+  }
+});
+
+// Follow a charity's updates
+router.post('/:id/follow', auth, async (req, res) => {
+  try {
+    const charity = await Charity.findById(req.params.id).select('isPublic status');
+    if (!charity || !charity.isPubliclyListed()) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    await CharityFollower.follow(req.user._id, charity._id);
+    const followerCount = await CharityFollower.countDocuments({ charity: charity._id });
+    
+    res.json({ message: 'You are now following this charity', following: true, followerCount });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to follow charity', details: error.message });
+  }
+});
+
+// Stop following a charity
+router.delete('/:id/follow', auth, async (req, res) => {
+  try {
+    await CharityFollower.deleteOne({ user: req.user._id, charity: req.params.id });
+    const followerCount = await CharityFollower.countDocuments({ charity: req.params.id });
+    
+    res.json({ message: 'You are no longer following this charity', following: false, followerCount });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to unfollow charity', details: error.message });
+  }
+});
+
+// ========== WEBHOOKS ==========
+
+// Load the charity's webhook endpoint named in the URL, or respond 404
+const findWebhook = async (req, res) => {
+  const endpoint = await WebhookEndpoint.findOne({ _id: req.params.webhookId, charity: req.charity._id });
+  if (!endpoint) {
+    res.status(404).json({ error: 'Webhook not found' });
+  }
+  return endpoint;
+};
+
+// List the charity's webhook endpoints (owner only)
+router.get('/:id/webhooks', auth, authorizeCharityOwner, async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ charity: req.charity._id }).sort({ createdAt: -1 });
+    
+    res.json({ webhooks: endpoints.map(endpoint => endpoint.toView()) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get webhooks', details: error.message });
+  }
+});
+
+// Register a webhook endpoint for the charity's events (the secret is only returned here)
+router.post('/:id/webhooks', auth, authorizeCharityOwner, async (req, res) => {
+  try {
+    const { error, value } = createWebhookSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const urlError = await webhooks.checkEndpointUrl(value.url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+    
+    if (await WebhookEndpoint.countDocuments({ charity: req.charity._id }) >= MAX_WEBHOOKS_PER_CHARITY) {
+      return res.status(400).json({ error: `A charity can have at most ${MAX_WEBHOOKS_PER_CHARITY} webhook endpoints` });
+    }
+    
+    const secret = WebhookEndpoint.generateSecret();
+    const endpoint = await WebhookEndpoint.create({
+      ...value,
+      charity: req.charity._id,
+      secret,
+      createdBy: req.user._id
+    });
+    
+    await recordAudit(req, {
+      action: 'charity.webhook.create',
+      target: { type: 'Charity', id: req.charity._id },
+      after: { webhook: endpoint._id, url: endpoint.url, events: endpoint.events }
+    });
+    
+    res.status(201).json({
+      message: 'Webhook endpoint created successfully',
+      webhook: { ...endpoint.toView(), secret }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create webhook', details: error.message });
+  }
+});
+
+// Update one of the charity's webhook endpoints
+router.put('/:id/webhooks/:webhookId', auth, authorizeCharityOwner, async (req, res) => {
+  try {
+    const { error, value } = updateWebhookSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const endpoint = await findWebhook(req, res);
+    if (!endpoint) return;
+    
+    if (value.url) {
+      const urlError = await webhooks.checkEndpointUrl(value.url);
+      if (urlError) {
+        return res.status(400).json({ error: urlError });
+      }
+    }
+    
+    const before = { webhook: endpoint._id, url: endpoint.url, events: endpoint.events, isActive: endpoint.isActive };
+    Object.assign(endpoint, value);
+    await endpoint.save();
+    
+    await recordAudit(req, {
+      action: 'charity.webhook.update',
+      target: { type: 'Charity', id: req.charity._id },
+      before,
+      after: { webhook: endpoint._id, url: endpoint.url, events: endpoint.events, isActive: endpoint.isActive }
+    });
+    
+    res.json({
+      message: 'Webhook endpoint updated successfully',
+      webhook: endpoint.toView()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update webhook', details: error.message });
+  }
+});
+
+// Delete one of the charity's webhook endpoints and its delivery log
+router.delete('/:id/webhooks/:webhookId', auth, authorizeCharityOwner, async (req, res) => {
+  try {
+    const endpoint = await findWebhook(req, res);
+    if (!endpoint) return;
+    
+    await endpoint.deleteOne();
+    await WebhookDelivery.deleteMany({ endpoint: endpoint._id });
+    
+    await recordAudit(req, {
+      action: 'charity.webhook.delete',
+      target: { type: 'Charity', id: req.charity._id },
+      before: { webhook: endpoint._id, url: endpoint.url, events: endpoint.events }
+    });
+    
+    res.json({ message: 'Webhook endpoint deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete webhook', details: error.message });
+  }
+});
+
+// Get an endpoint's delivery log (newest first)
+router.get('/:id/webhooks/:webhookId/deliveries', auth, authorizeCharityOwner, async (req, res) => {
+  try {
+    const endpoint = await findWebhook(req, res);
+    if (!endpoint) return;
+    
+    const { page = 1, limit = 20 } = req.query;
+    const query = { endpoint: endpoint._id };
+    
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await WebhookDelivery.countDocuments(query);
+    
+    res.json({
+      deliveries: deliveries.map(delivery => delivery.toView()),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get webhook deliveries', details: error.message });
+  }
+});
+
+// Donate to a charity
+router.post('/:id/donations', auth, async (req, res) => {
+  try {
+    const { error, value } = createDonationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const charity = await Charity.findById(req.params.id);
+    if (!charity) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    // Only verified, public charities can receive donations
+    if (!charity.isPubliclyListed()) {
+      return res.status(400).json({ error: 'This charity is not currently accepting donations' });
+    }
+    
+    // Donations can target one of the charity's open campaigns
+    if (value.campaignId) {
+      const campaign = charity.campaigns.id(value.campaignId);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      if (!campaign.isOpen()) {
+        return res.status(400).json({ error: 'This campaign is not currently accepting donations' });
+      }
+      if (campaign.currency !== value.currency) {
+        return res.status(400).json({ error: `Donations to this campaign must be made in ${campaign.currency}` });
+      }
+    }
+    
+    const donation = new Donation({
+      donor: req.user._id,
+      charity: charity._id,
+      campaign: value.campaignId,
+      amount: value.amount,
+      currency: value.currency,
+      message: value.message,
+      isAnonymous: value.isAnonymous
+    });
+    await donation.save();
+    
+    await donation.processPayment(value.paymentSource);
+    
+    if (donation.status !== 'succeeded') {
+      return res.status(402).json({
+        error: 'Payment failed',
+        details: donation.payment.failureReason,
+        donation: {
+          id: donation._id,
+          status: donation.status
+        }
+      });
+    }
+    
+    res.status(201).json({
+      message: 'Donation completed successfully',
+      donation: {
+        id: donation._id,
+        charity: donation.charity,
+        amount: donation.amount,
+        currency: donation.currency,
+        status: donation.status,
+        transactionId: donation.payment.transactionId,
+        createdAt: donation.createdAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to process donation', details: error.message });
+  }
+});
+
+// Get donations received by a charity (owner or admin)
+router.get('/:id/donations', auth, authorizeCharity('donations:view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const query = { charity: req.charity._id };
+    
+    if (status) {
+      query.status = status;
+    }
+    
+    const donations = await Donation.find(query)
+      .populate('donor', 'email profile.displayName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await Donation.countDocuments(query);
+    
+    // Totals of successful donations per currency
+    const totals = await Donation.aggregate([
+      { $match: { charity: req.charity._id, status: 'succeeded' } },
+      { $group: { _id: '$currency', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]);
+    
+    res.json({
+      donations: donations.map(donation => donation.toCharityView()),
+      totals: totals.map(total => ({
+        currency: total._id,
+        amount: total.amount,
+        count: total.count
+      })),
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get donations' });
+  }
+});
+
+// Create a recurring pledge to a charity
+router.post('/:id/pledges', auth, async (req, res) => {
+  try {
+    const { error, value } = createPledgeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const charity = await Charity.findById(req.params.id);
+    if (!charity) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    if (!charity.isPubliclyListed()) {
+      return res.status(400).json({ error: 'This charity is not currently accepting donations' });
+    }
+    
+    const pledge = new Pledge({
+      donor: req.user._id,
+      charity: charity._id,
+      amount: value.amount,
+      currency: value.currency,
+      frequency: value.frequency,
+      paymentSource: value.paymentSource,
+      isAnonymous: value.isAnonymous,
+      nextChargeAt: value.startDate,
+      // Held while the first installment is charged below, so the scheduler can't charge it too
+      lockedUntil: value.startDate ? undefined : new Date(Date.now() + Pledge.LOCK_DURATION)
+    });
+    await pledge.save();
+    
+    // Charge the first installment right away unless it starts later
+    if (!value.startDate) {
+      const installmentDate = pledge.nextChargeAt;
+      let donation;
+      try {
+        donation = await pledge.charge();
+      } catch (chargeError) {
+        // The donor is told the pledge failed, so unless the payment went
+        // through (or may have) the scheduler mustn't charge it later
+        if (!(await Pledge.findInstallmentDonation(pledge._id, installmentDate))) {
+          await Pledge.updateOne(
+            { _id: pledge._id },
+            {
+              $set: { status: 'cancelled', cancelledAt: new Date(), cancellationReason: 'Initial payment failed' },
+              $unset: { nextAttemptAt: 1, lockedUntil: 1 }
+            }
+          );
+        }
+        throw chargeError;
+      }
+      
+      if (donation.status !== 'succeeded') {
+        await pledge.cancel('Initial payment failed');
+        return res.status(402).json({
+          error: 'Payment failed',
+          details: donation.payment.failureReason
+        });
+      }
+    }
+    
+    res.status(201).json({
+      message: 'Pledge created successfully',
+      pledge: pledge.toSummary()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create pledge', details: error.message });
+  }
+});
+
+// Get pledges made to a charity (owner or admin)
+router.get('/:id/pledges', auth, authorizeCharity('donations:view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const query = { charity: req.charity._id };
+    
+    if (status) {
+      query.status = status;
+    }
+    
+    const pledges = await Pledge.find(query)
+      .populate('donor', 'email profile.displayName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await Pledge.countDocuments(query);
+    
+    // Counts per status
+    const statusCounts = await Pledge.aggregate([
+      { $match: { charity: req.charity._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    
+    res.json({
+      pledges: pledges.map(pledge => pledge.toCharityView()),
+      statusCounts: statusCounts.reduce((counts, entry) => {
+        counts[entry._id] = entry.count;
+        return counts;
+      }, {}),
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get pledges' });
+  }
+});
+
+// Browse and search public charities
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = directoryQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    // Served from the search index, which only holds public fields of listed charities
+    const { results, total } = await CharitySearchIndex.search(value);
+    
+    res.json({
+      charities: results.map(entry => entry.toPublicView()),
+      totalPages: Math.ceil(total / value.limit),
+      currentPage: value.page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get public charities' });
+  }
+});
+
+// Archive the charity (owner only). Archiving is permanent: the charity leaves
+// the directory and its recurring pledges are cancelled, but its records are kept.
+router.post('/:id/archive', auth, authorizeCharityOwner, async (req, res) => {
+  try {
+    const { error, value } = archiveCharitySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const charity = req.charity;
+    const previousStatus = charity.status;
+    try {
+      await charity.archive(req.user, value.reason);
+    } catch (archiveError) {
+      if (archiveError.name === 'ValidationError') throw archiveError;
+      return res.status(400).json({ error: archiveError.message });
+    }
+    
+    const pledges = await Pledge.find({ charity: charity._id, status: { $in: ['active', 'paused', 'lapsed'] } });
+    for (const pledge of pledges) {
+      await pledge.cancel('Charity was archived');
+    }
+    
+    await recordAudit(req, {
+      action: 'charity.archive',
+      target: { type: 'Charity', id: charity._id },
+      before: { status: previousStatus },
+      after: { status: charity.status, reason: value.reason, cancelledPledges: pledges.length }
+    });
+    
+    res.json({
+      message: 'Charity archived successfully',
+      charity: {
+        id: charity._id,
+        status: charity.status,
+        isPublic: charity.isPublic
+      },
+      cancelledPledges: pledges.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to archive charity', details: error.message });
+  }
+});
+
+// Delete charity
+router.delete('/:id', auth, authorizeCharityOwner, async (req, res) => {
+  try {
+    await Charity.findByIdAndDelete(req.params.id);
+    
+    await recordAudit(req, {
+      action: 'charity.delete',
+      target: { type: 'Charity', id: req.charity._id },
+      before: pick(req.charity, ['owner', 'status', 'isPublic', 'createdAt'])
+    });
+    
     res.json({ message: 'Charity deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: 'Failed to delete charity' });
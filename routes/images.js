@@ -0,0 +1,30 @@
+const express = require('express');
+const images = require('../services/images');
+
+const router = express.Router();
+
+const VARIANT_NAMES = [...new Set(Object.values(images.IMAGE_KINDS).flatMap(kind => Object.keys(kind.variants)))];
+
+// Serve an uploaded image variant (public)
+router.get('/:imageId([0-9a-f]{24})/:variant', async (req, res) => {
+  try {
+    if (!VARIANT_NAMES.includes(req.params.variant)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    
+    const data = await images.readImage(req.params.imageId, req.params.variant);
+    if (!data) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    
+    // Image ids are never reused, so variants can be cached indefinitely
+    res.set('Content-Type', 'image/webp');
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.send(data);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get image' });
+  }
+});
+
+module.exports = router;
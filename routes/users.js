@@ -1,7 +1,22 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Joi = require('joi');
 const User = require('../models/User');
+const Charity = require('../models/Charity');
+const Donation = require('../models/Donation');
+const Pledge = require('../models/Pledge');
+const CharityMember = require('../models/CharityMember');
+const CharityUpdate = require('../models/CharityUpdate');
+const CharityFollower = require('../models/CharityFollower');
+const Notification = require('../models/Notification');
+const DataExport = require('../models/DataExport');
+const { buildAnnualReceipts, buildDonationReceipt, streamReceiptsPdf } = require('../services/receipts');
+const { recordAudit, pick } = require('../services/audit');
+const images = require('../services/images');
+const dataExports = require('../services/dataExport');
+const accountDeletion = require('../services/accountDeletion');
 const { auth } = require('../middleware/auth');
+const { singleFileUpload } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -37,6 +52,36 @@ const updateProfileSchema = Joi.object({
   }).optional()
 });
 
+const resumePledgeSchema = Joi.object({
+  paymentSource: Joi.string().optional()
+});
+
+const cancelPledgeSchema = Joi.object({
+  reason: Joi.string().max(500).optional()
+});
+
+const receiptQuerySchema = Joi.object({
+  format: Joi.string().valid('json', 'pdf').default('json'),
+  charity: Joi.string().hex().length(24).optional()
+});
+
+const feedQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+const notificationQuerySchema = Joi.object({
+  unread: Joi.boolean().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const updateNotificationSchema = Joi.object({
+  read: Joi.boolean().required()
+});
+
+const PLEDGE_ACTION_RESULTS = { pause: 'paused', resume: 'resumed', cancel: 'cancelled' };
+
 // Update personal information
 router.put('/personal-info', auth, async (req, res) => {
   try {
@@ -50,8 +95,16 @@ router.put('/personal-info', auth, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    // Update personal info (will be encrypted by pre-save middleware)
-    user.personalInfo = { ...user.personalInfo, ...value };
+    // Update only the submitted fields (encrypted on assignment)
+    Object.keys(value).forEach(key => {
+      if (key === 'address') {
+        Object.keys(value.address).forEach(addressKey => {
+          user.set(`personalInfo.address.${addressKey}`, value.address[addressKey]);
+        });
+      } else {
+        user.set(`personalInfo.${key}`, value[key]);
+      }
+    });
     await user.save();
     
     // Return decrypted data
@@ -93,6 +146,502 @@ router.put('/profile', auth, async (req, res) => {
   }
 });
 
+// Upload or replace the current user's avatar (multipart field "image")
+router.put('/avatar', auth, singleFileUpload('image', images.getMaxBytes()), async (req, res) => {
+  try {
+    const inspected = await images.validateImage('avatar', req.file.buffer);
+    if (inspected.error) {
+      return res.status(inspected.status).json({ error: inspected.error });
+    }
+    
+    const user = await User.findById(req.user._id);
+    const previous = user.profile.avatar;
+    const imageId = new mongoose.Types.ObjectId();
+    const variants = await images.storeImage('avatar', imageId, req.file.buffer);
+    
+    user.profile.avatar = { _id: imageId, width: inspected.width, height: inspected.height, variants, uploadedBy: user._id };
+    user.profile.profilePicture = images.imageUrl(imageId, 'medium');
+    
+    try {
+      await user.save();
+    } catch (saveError) {
+      await images.deleteImages([{ _id: imageId, variants }]);
+      throw saveError;
+    }
+    
+    if (previous) {
+      await images.deleteImages([previous]);
+    }
+    
+    res.json({
+      message: 'Avatar uploaded successfully',
+      avatar: images.toImageView(user.profile.avatar)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to upload avatar', details: error.message });
+  }
+});
+
+// Remove the current user's avatar
+router.delete('/avatar', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const previous = user.profile.avatar;
+    if (!previous) {
+      return res.status(404).json({ error: 'No avatar uploaded' });
+    }
+    
+    user.profile.avatar = undefined;
+    user.profile.profilePicture = undefined;
+    await user.save();
+    await images.deleteImages([previous]);
+    
+    res.json({ message: 'Avatar removed successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove avatar', details: error.message });
+  }
+});
+
+// Get current user's donations
+router.get('/me/donations', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const query = { donor: req.user._id };
+    
+    if (status) {
+      query.status = status;
+    }
+    
+    const donations = await Donation.find(query)
+      .populate('charity', 'basicInfo.name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await Donation.countDocuments(query);
+    
+    res.json({
+      donations: donations.map(donation => ({
+        id: donation._id,
+        charity: donation.charity ? {
+          id: donation.charity._id,
+          name: donation.charity.getDecryptedData().basicInfo?.name
+        } : null,
+        amount: donation.amount,
+        currency: donation.currency,
+        status: donation.status,
+        receiptNumber: donation.receipt?.number,
+        message: donation.message,
+        isAnonymous: donation.isAnonymous,
+        createdAt: donation.createdAt
+      })),
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get donations' });
+  }
+});
+
+// Get consolidated tax receipts for a calendar year (one per charity)
+router.get('/me/receipts/:year', auth, async (req, res) => {
+  try {
+    const { error, value } = receiptQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const year = parseInt(req.params.year);
+    if (!/^\d{4}$/.test(req.params.year) || year > new Date().getUTCFullYear()) {
+      return res.status(400).json({ error: 'Invalid receipt year' });
+    }
+    
+    const receipts = await buildAnnualReceipts(req.user, year, value.charity);
+    
+    if (receipts.length === 0) {
+      return res.status(404).json({ error: `No donations found for ${year}` });
+    }
+    
+    // Receipts contain decrypted data; never let them be cached
+    res.set('Cache-Control', 'no-store');
+    
+    if (value.format === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="donation-receipts-${year}.pdf"`);
+      return streamReceiptsPdf(receipts, res);
+    }
+    
+    res.json({ year, receipts });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to generate receipts', details: error.message });
+  }
+});
+
+// Get the receipt for a single donation
+router.get('/me/donations/:donationId/receipt', auth, async (req, res) => {
+  try {
+    const { error, value } = receiptQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const donation = await Donation.findOne({ _id: req.params.donationId, donor: req.user._id });
+    if (!donation) {
+      return res.status(404).json({ error: 'Donation not found' });
+    }
+    
+    if (donation.status !== 'succeeded' || !donation.receipt?.number) {
+      return res.status(400).json({ error: 'No receipt has been issued for this donation' });
+    }
+    
+    const receipt = await buildDonationReceipt(req.user, donation);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    
+    res.set('Cache-Control', 'no-store');
+    
+    if (value.format === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="receipt-${receipt.receiptNumber}.pdf"`);
+      return streamReceiptsPdf([receipt], res);
+    }
+    
+    res.json({ receipt });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to generate receipt', details: error.message });
+  }
+});
+
+// Get current user's pledges
+router.get('/me/pledges', auth, async (req, res) => {
+  try {
+    const query = { donor: req.user._id };
+    
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    
+    const pledges = await Pledge.find(query).sort({ createdAt: -1 });
+    
+    res.json({ pledges: pledges.map(pledge => pledge.toSummary()) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get pledges' });
+  }
+});
+
+// Pause, resume or cancel one of the current user's pledges
+router.put('/me/pledges/:pledgeId/:action(pause|resume|cancel)', auth, async (req, res) => {
+  try {
+    const { action } = req.params;
+    
+    let value = {};
+    if (action !== 'pause') {
+      const schema = action === 'resume' ? resumePledgeSchema : cancelPledgeSchema;
+      const result = schema.validate(req.body);
+      if (result.error) {
+        return res.status(400).json({ error: result.error.details[0].message });
+      }
+      value = result.value;
+    }
+    
+    const pledge = await Pledge.findOne({ _id: req.params.pledgeId, donor: req.user._id });
+    if (!pledge) {
+      return res.status(404).json({ error: 'Pledge not found' });
+    }
+    
+    if (action === 'resume') {
+      const charity = await Charity.findById(pledge.charity).select('status isPublic');
+      if (!charity || !charity.isPubliclyListed()) {
+        return res.status(400).json({ error: 'This charity is not currently accepting donations' });
+      }
+    }
+    
+    try {
+      if (action === 'pause') {
+        await pledge.pause();
+      } else if (action === 'resume') {
+        await pledge.resume(value.paymentSource);
+      } else {
+        await pledge.cancel(value.reason);
+      }
+    } catch (transitionError) {
+      return res.status(400).json({ error: transitionError.message });
+    }
+    
+    res.json({
+      message: `Pledge ${PLEDGE_ACTION_RESULTS[action]} successfully`,
+      pledge: pledge.toSummary()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update pledge', details: error.message });
+  }
+});
+
+// Get pending invitations to join charity teams sent to the current user's email
+router.get('/me/invitations', auth, async (req, res) => {
+  try {
+    const invitations = await CharityMember.find({
+      email: req.user.email.toLowerCase(),
+      status: 'invited',
+      invitationExpires: { $gt: new Date() }
+    })
+      .populate('charity', 'basicInfo.name')
+      .sort({ createdAt: -1 });
+    
+    res.json({
+      invitations: invitations.map(invitation => ({
+        id: invitation._id,
+        charity: invitation.charity ? {
+          id: invitation.charity._id,
+          name: invitation.charity.decryptField('basicInfo.name')
+        } : null,
+        role: invitation.role,
+        invitationExpires: invitation.invitationExpires,
+        createdAt: invitation.createdAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get invitations' });
+  }
+});
+
+// Get the charities the user follows (publicly listed ones only)
+router.get('/me/following', auth, async (req, res) => {
+  try {
+    const charityIds = await CharityFollower.getFollowedCharityIds(req.user._id);
+    const charities = await Charity.find({ _id: { $in: charityIds }, ...Charity.publicFilter() })
+      .select('basicInfo.name logo');
+    
+    res.json({
+      charities: charities.map(charity => ({
+        id: charity._id,
+        name: charity.decryptField('basicInfo.name'),
+        logo: charity.logo
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get followed charities' });
+  }
+});
+
+// Get published updates from the charities the user follows, newest first
+router.get('/me/feed', auth, async (req, res) => {
+  try {
+    const { error, value } = feedQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    // Charities that were suspended or unlisted since drop out of the feed
+    const followedIds = await CharityFollower.getFollowedCharityIds(req.user._id);
+    const charities = await Charity.find({ _id: { $in: followedIds }, ...Charity.publicFilter() })
+      .select('basicInfo.name logo');
+    const charitiesById = new Map(charities.map(charity => [charity._id.toString(), charity]));
+    
+    const query = { charity: { $in: charities.map(charity => charity._id) }, status: 'published' };
+    const { page, limit } = value;
+    
+    const updates = await CharityUpdate.find(query)
+      .sort({ publishedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await CharityUpdate.countDocuments(query);
+    
+    res.json({
+      updates: updates.map(update => {
+        const charity = charitiesById.get(update.charity.toString());
+        return {
+          ...update.toView(),
+          charity: {
+            id: charity._id,
+            name: charity.decryptField('basicInfo.name'),
+            logo: charity.logo
+          }
+        };
+      }),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get feed', details: error.message });
+  }
+});
+
+// Get the user's in-app notifications, newest first
+router.get('/me/notifications', auth, async (req, res) => {
+  try {
+    const { error, value } = notificationQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const query = { user: req.user._id };
+    if (value.unread !== undefined) {
+      query.readAt = value.unread ? null : { $ne: null };
+    }
+    
+    const { page, limit } = value;
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+    
+    res.json({
+      notifications: notifications.map(notification => notification.toView()),
+      unreadCount,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get notifications' });
+  }
+});
+
+// Mark every notification as read
+router.post('/me/notifications/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    
+    res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+// Mark a notification as read or unread
+router.put('/me/notifications/:notificationId', auth, async (req, res) => {
+  try {
+    const { error, value } = updateNotificationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const notification = await Notification.findOne({ _id: req.params.notificationId, user: req.user._id });
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    
+    notification.readAt = value.read ? notification.readAt || new Date() : undefined;
+    await notification.save();
+    
+    res.json(notification.toView());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
+
+// Request an export of everything held about the user (built in the background)
+router.post('/me/export', auth, async (req, res) => {
+  try {
+    const inProgress = await DataExport.findOne({ user: req.user._id, status: { $in: ['pending', 'processing'] } });
+    if (inProgress) {
+      return res.status(409).json({
+        error: 'An export is already being prepared',
+        export: inProgress.toView()
+      });
+    }
+    
+    const dataExport = await dataExports.requestExport(req.user._id, req.user);
+    
+    await recordAudit(req, {
+      action: 'user.data_export.request',
+      target: { type: 'User', id: req.user._id },
+      after: { export: dataExport._id }
+    });
+    
+    res.status(202).json({
+      message: 'Your export is being prepared. You will be notified when it is ready.',
+      export: dataExport.toView()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to request export', details: error.message });
+  }
+});
+
+// Get the user's data exports, with download links for finished ones
+router.get('/me/exports', auth, async (req, res) => {
+  try {
+    const userExports = await DataExport.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(20);
+    
+    res.json({
+      exports: userExports.map(dataExport => ({
+        ...dataExport.toView(),
+        download: dataExport.status === 'ready' ? dataExports.createDownloadUrl(dataExport) : undefined
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get exports' });
+  }
+});
+
+// Download an export through a signed URL (from the export list)
+router.get('/me/exports/:exportId/download', async (req, res) => {
+  try {
+    const { expires, signature } = req.query;
+    if (!dataExports.verifyDownloadSignature(req.params.exportId, expires, signature)) {
+      return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+    
+    const dataExport = await DataExport.findById(req.params.exportId);
+    if (!dataExport || dataExport.status !== 'ready') {
+      return res.status(404).json({ error: 'Export not found or no longer available' });
+    }
+    
+    const archive = await dataExports.readExport(dataExport);
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+    
+    res.set('Cache-Control', 'no-store');
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="data-export-${date}.zip"`);
+    res.send(archive);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to download export', details: error.message });
+  }
+});
+
+// Get pending offers of charity ownership made to the user
+router.get('/me/ownership-transfers', auth, async (req, res) => {
+  try {
+    const charities = await Charity.find({
+      'ownershipTransfer.to': req.user._id,
+      'ownershipTransfer.expiresAt': { $gt: new Date() }
+    })
+      .select('basicInfo.name ownershipTransfer')
+      .populate('ownershipTransfer.initiatedBy', 'email profile.displayName')
+      .sort({ 'ownershipTransfer.initiatedAt': -1 });
+    
+    res.json({
+      ownershipTransfers: charities.map(charity => ({
+        charity: {
+          id: charity._id,
+          name: charity.decryptField('basicInfo.name')
+        },
+        initiatedBy: charity.ownershipTransfer.initiatedBy ? {
+          id: charity.ownershipTransfer.initiatedBy._id,
+          email: charity.ownershipTransfer.initiatedBy.email,
+          displayName: charity.ownershipTransfer.initiatedBy.profile?.displayName
+        } : null,
+        previousOwnerRole: charity.ownershipTransfer.previousOwnerRole,
+        initiatedAt: charity.ownershipTransfer.initiatedAt,
+        expiresAt: charity.ownershipTransfer.expiresAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get ownership transfers' });
+  }
+});
+
 // Get user profile (public view)
 router.get('/:id/profile', async (req, res) => {
   try {
@@ -114,13 +663,34 @@ router.get('/:id/profile', async (req, res) => {
   }
 });
 
-// Delete user account
+// Delete user account. The account is deactivated straight away and deleted
+// after a grace period; logging in again before then cancels the deletion.
 router.delete('/account', auth, async (req, res) => {
   try {
-    await User.findByIdAndDelete(req.user._id);
-    res.json({ message: 'Account deleted successfully' });
+    const charities = await accountDeletion.findBlockingCharities(req.user._id);
+    if (charities.length > 0) {
+      return res.status(409).json({
+        error: 'Transfer or archive the charities you own before deleting your account',
+        charities
+      });
+    }
+    
+    const user = await User.findById(req.user._id);
+    const scheduledFor = await accountDeletion.scheduleAccountDeletion(user, req.user);
+    
+    await recordAudit(req, {
+      action: 'user.deletion.schedule',
+      target: { type: 'User', id: req.user._id },
+      before: pick(req.user, ['email', 'accountType', 'createdAt']),
+      after: { scheduledFor }
+    });
+    
+    res.json({
+      message: 'Account scheduled for deletion. Log in again before the deletion date to cancel.',
+      deletion: { scheduledFor }
+    });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to delete account' });
+    res.status(500).json({ error: 'Failed to delete account', details: error.message });
   }
 });
 
@@ -28,11 +28,20 @@ async function getAdminToken() {
   const password = await prompt('Enter admin password: ');
   
   try {
-    const response = await axios.post(`${BASE_URL}/api/auth/login`, {
+    let response = await axios.post(`${BASE_URL}/api/auth/login`, {
       email,
       password
     });
     
+    // Accounts with two-factor authentication need a second step
+    if (response.data.twoFactorRequired) {
+      const code = await prompt('Enter authenticator or recovery code: ');
+      response = await axios.post(`${BASE_URL}/api/auth/login/2fa`, {
+        challengeToken: response.data.challengeToken,
+        code
+      });
+    }
+    
     if (!response.data.user.isAdmin) {
       throw new Error('User is not an admin');
     }
@@ -51,14 +60,16 @@ async function generateSingleCode(token) {
   console.log('==============================');
   
   const description = await prompt('Enter description (optional): ');
-  const customCode = await prompt('Enter custom code (8 chars, optional): ');
+  const customCode = await prompt('Enter custom code (7 chars, check character is added; optional): ');
   const daysValid = await prompt('Enter days valid (default 30): ') || '30';
+  const maxUses = await prompt('Enter number of uses (default 1): ') || '1';
   
   const expiresAt = new Date();
   expiresAt.setDate(expiresAt.getDate() + parseInt(daysValid));
   
   const requestData = {
     expiresAt: expiresAt.toISOString(),
+    maxUses: parseInt(maxUses),
     ...(description && { description }),
     ...(customCode && { code: customCode.toUpperCase() })
   };
@@ -72,6 +83,7 @@ async function generateSingleCode(token) {
     console.log('====================================');
     console.log(`Code: ${response.data.code.code}`);
     console.log(`Expires: ${new Date(response.data.code.expiresAt).toLocaleDateString()}`);
+    console.log(`Uses: ${response.data.code.maxUses}`);
     console.log(`Description: ${response.data.code.description || 'None'}`);
     console.log(`ID: ${response.data.code.id}\n`);
     
@@ -138,8 +150,20 @@ async function viewCodeStats(token) {
     console.log(`Total Codes: ${stats.total}`);
     console.log(`Active Codes: ${stats.active}`);
     console.log(`Used Codes: ${stats.used}`);
+    console.log(`Partially Used Codes: ${stats.partiallyUsed}`);
     console.log(`Expired Codes: ${stats.expired}`);
-    console.log(`Unused Codes: ${stats.unused}\n`);
+    console.log(`Unused Codes: ${stats.unused}`);
+    console.log(`Scheduled Codes: ${stats.scheduled}`);
+    console.log(`Total Redemptions: ${stats.redemptions}\n`);
+    
+    if (response.data.usage.length > 0) {
+      console.log('Most Used Codes:');
+      console.log('----------------');
+      response.data.usage.slice(0, 10).forEach(code => {
+        console.log(`${code.code} | ${code.useCount}/${code.maxUses} used | ${code.description || 'No description'}`);
+      });
+      console.log('');
+    }
     
   } catch (error) {
     console.error('❌ Failed to get statistics:', error.response?.data?.error || error.message);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const CharityCode = require('../models/CharityCode');
+const CharityCodeRedemption = require('../models/CharityCodeRedemption');
+
+// Moves redemptions of single-use charity codes from the old usedBy field
+// into the charitycoderedemptions collection and sets each code's useCount.
+// Safe to run more than once.
+//
+// Usage: node scripts/migrate-charity-code-redemptions.js
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/charity-app');
+  await CharityCodeRedemption.syncIndexes();
+  
+  let migrated = 0;
+  let failed = 0;
+  
+  // usedBy is no longer in the schema, so read the raw documents
+  const cursor = CharityCode.collection.find({ 'usedBy.user': { $exists: true } });
+  for (let code = await cursor.next(); code; code = await cursor.next()) {
+    try {
+      await CharityCodeRedemption.updateOne(
+        { code: code._id, user: code.usedBy.user },
+        { $setOnInsert: { code: code._id, user: code.usedBy.user, redeemedAt: code.usedBy.usedAt || code.updatedAt } },
+        { upsert: true }
+      );
+      const useCount = await CharityCodeRedemption.countDocuments({ code: code._id });
+      await CharityCode.collection.updateOne(
+        { _id: code._id },
+        { $set: { useCount, isUsed: useCount >= (code.maxUses || 1) }, $unset: { usedBy: 1 } }
+      );
+      migrated += 1;
+    } catch (error) {
+      failed += 1;
+      console.error(`❌ ${code._id}: ${error.message}`);
+    }
+  }
+  
+  console.log(`✅ Migrated ${migrated} code redemptions${failed ? `, ${failed} failed` : ''}`);
+  
+  await mongoose.disconnect();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Charity = require('../models/Charity');
+const CharitySearchIndex = require('../models/CharitySearchIndex');
+
+// Rebuilds the public charity search index from the charities collection:
+// adds or refreshes every publicly listed charity and removes entries for
+// charities that are no longer listed or no longer exist.
+//
+// Usage: node scripts/rebuild-search-index.js
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/charity-app');
+  await CharitySearchIndex.syncIndexes();
+  
+  let indexed = 0;
+  let failed = 0;
+  
+  const cursor = Charity.find(Charity.publicFilter()).cursor();
+  for (let charity = await cursor.next(); charity; charity = await cursor.next()) {
+    try {
+      await CharitySearchIndex.syncCharity(charity);
+      indexed += 1;
+    } catch (error) {
+      failed += 1;
+      console.error(`❌ ${charity._id}: ${error.message}`);
+    }
+  }
+  
+  // Drop entries whose charity is gone or no longer listed
+  const listedIds = await Charity.find(Charity.publicFilter()).distinct('_id');
+  const removed = await CharitySearchIndex.deleteMany({ charity: { $nin: listedIds } });
+  
+  console.log(`✅ Indexed ${indexed} charities, removed ${removed.deletedCount} stale entries${failed ? `, ${failed} failed` : ''}`);
+  
+  await mongoose.disconnect();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Rebuild failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
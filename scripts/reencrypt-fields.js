@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const EncryptionUtil = require('../utils/encryption');
+const { expandPath } = require('../models/plugins/encryptedFields');
+const { reencryptDocument } = require('../services/documents');
+const User = require('../models/User');
+const Charity = require('../models/Charity');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+
+// Re-encrypts every encrypted field on User, Charity and WebhookEndpoint with the current key
+// (ENCRYPTION_CURRENT_KEY_ID), encrypts legacy plaintext fields and backfills
+// blind indexes (BLIND_INDEX_KEY). The CharityDocuments pass re-encrypts the
+// uploaded charity documents in storage. Progress is checkpointed in the
+// migration_state collection, so an interrupted run resumes where it stopped.
+// An old key can only be removed from ENCRYPTION_KEYS once every pass has
+// finished without failures.
+//
+// Usage: node scripts/reencrypt-fields.js [--model User|Charity|WebhookEndpoint|CharityDocuments] [--batch-size 100] [--dry-run] [--restart]
+
+const MODELS = { User, Charity, WebhookEndpoint };
+const DOCUMENTS_PASS = 'CharityDocuments';
+const PASSES = [...Object.keys(MODELS), DOCUMENTS_PASS];
+const MAX_RECORDED_FAILURES = 100;
+const MAX_ATTEMPTS = 3;
+
+// Parse command line options
+function parseArgs(argv) {
+  const options = { models: PASSES, batchSize: 100, dryRun: false, restart: false };
+  
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--model':
+        options.models = [argv[++i]];
+        break;
+      case '--batch-size':
+        options.batchSize = parseInt(argv[++i]);
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--restart':
+        options.restart = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  
+  options.models.forEach(name => {
+    if (!PASSES.includes(name)) {
+      throw new Error(`Unknown model: ${name}. Expected one of ${PASSES.join(', ')}`);
+    }
+  });
+  if (!(options.batchSize > 0)) {
+    throw new Error('--batch-size must be a positive number');
+  }
+  
+  return options;
+}
+
+// Build the $set update for one raw document. Values of legacy plaintext
+// fields that can't be decrypted are assumed to be plaintext and encrypted.
+// When a model is given, missing or stale blind indexes are backfilled too.
+function buildUpdate(doc, fields, legacyPlaintextFields = [], Model = null) {
+  const update = {};
+  const failures = [];
+  
+  fields.forEach(pattern => {
+    expandPath(doc, pattern.split('.')).forEach(({ path, value }) => {
+      if (typeof value !== 'string' || !EncryptionUtil.needsReEncryption(value)) return;
+      
+      try {
+        update[path] = EncryptionUtil.reEncrypt(value);
+      } catch (error) {
+        if (legacyPlaintextFields.includes(pattern) && !EncryptionUtil.isVersioned(value)) {
+          update[path] = EncryptionUtil.encrypt(value);
+        } else {
+          failures.push({ path, error: error.message });
+        }
+      }
+    });
+  });
+  
+  (Model ? Model.BLIND_INDEX_FIELDS : []).forEach(path => {
+    if (failures.some(failure => failure.path === path)) return;
+    
+    // Hash the re-encrypted value if there is one; legacy ciphertext isn't recognised as encrypted
+    const [entry] = expandPath(doc, path.split('.'));
+    const value = update[path] || (entry && entry.value);
+    const [current] = expandPath(doc, `${path}BlindIndex`.split('.'));
+    
+    try {
+      const index = Model.blindIndexFor(path, value);
+      if (index !== ((current && current.value) || null)) {
+        update[`${path}BlindIndex`] = index;
+      }
+    } catch (error) {
+      failures.push({ path: `${path}BlindIndex`, error: error.message });
+    }
+  });
+  
+  return { update, failures };
+}
+
+// Re-encrypt one document, retrying if it changes underneath us
+async function processDocument(Model, doc, dryRun) {
+  let current = doc;
+  
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const { update, failures } = buildUpdate(current, Model.ENCRYPTED_FIELDS, Model.LEGACY_PLAINTEXT_FIELDS, Model);
+    
+    if (dryRun || Object.keys(update).length === 0) {
+      return { updated: Object.keys(update).length > 0, failures };
+    }
+    
+    // Only write if the document hasn't been saved since we read it
+    const result = await Model.collection.updateOne(
+      { _id: current._id, updatedAt: current.updatedAt },
+      { $set: update }
+    );
+    
+    if (result.matchedCount === 1) {
+      return { updated: true, failures };
+    }
+    
+    current = await Model.collection.findOne({ _id: current._id });
+    if (!current) {
+      return { updated: false, failures: [] };
+    }
+  }
+  
+  return { updated: false, failures: [{ path: '*', error: 'Document kept changing during re-encryption' }] };
+}
+
+// Re-encrypt the stored files of a charity's documents
+async function processStoredDocuments(charity, dryRun) {
+  let updated = false;
+  const failures = [];
+  
+  for (const document of charity.documents || []) {
+    if (!document.storageKey) continue;
+    
+    try {
+      if (await reencryptDocument(document, { dryRun })) {
+        updated = true;
+      }
+    } catch (error) {
+      failures.push({ path: `documents.${document._id}`, error: error.message });
+    }
+  }
+  
+  return { updated, failures };
+}
+
+// Re-encrypt every document of a model (or, for the documents pass, every
+// charity's stored files) in resumable batches
+async function migrateModel(name, options) {
+  const isDocumentsPass = name === DOCUMENTS_PASS;
+  const Model = isDocumentsPass ? Charity : MODELS[name];
+  const filter = isDocumentsPass ? { 'documents.storageKey': { $exists: true } } : {};
+  const stateCollection = mongoose.connection.collection('migration_state');
+  const stateId = `reencrypt:${name}:${EncryptionUtil.getCurrentKeyId()}`;
+  
+  if (options.restart) {
+    await stateCollection.deleteOne({ _id: stateId });
+  }
+  
+  const state = (await stateCollection.findOne({ _id: stateId })) || {
+    _id: stateId,
+    lastId: null,
+    processed: 0,
+    updated: 0,
+    failed: 0,
+    failures: [],
+    startedAt: new Date()
+  };
+  
+  if (state.completedAt && !options.dryRun) {
+    console.log(`✅ ${name}: already re-encrypted with key "${EncryptionUtil.getCurrentKeyId()}" (use --restart to run again)`);
+    return state;
+  }
+  
+  const total = await Model.collection.countDocuments(filter);
+  console.log(`\n🔑 ${name}: re-encrypting to key "${EncryptionUtil.getCurrentKeyId()}"${options.dryRun ? ' (dry run)' : ''}`);
+  if (state.lastId) {
+    console.log(`   Resuming after ${state.lastId} (${state.processed}/${total} done)`);
+  }
+  
+  while (true) {
+    const query = state.lastId ? { ...filter, _id: { $gt: state.lastId } } : filter;
+    const docs = await Model.collection.find(query).sort({ _id: 1 }).limit(options.batchSize).toArray();
+    if (docs.length === 0) break;
+    
+    for (const doc of docs) {
+      const { updated, failures } = isDocumentsPass
+        ? await processStoredDocuments(doc, options.dryRun)
+        : await processDocument(Model, doc, options.dryRun);
+      
+      state.processed += 1;
+      if (updated) state.updated += 1;
+      if (failures.length > 0) {
+        state.failed += 1;
+        failures.forEach(failure => {
+          if (state.failures.length < MAX_RECORDED_FAILURES) {
+            state.failures.push({ id: doc._id, ...failure });
+          }
+        });
+      }
+      state.lastId = doc._id;
+    }
+    
+    if (!options.dryRun) {
+      await stateCollection.replaceOne({ _id: stateId }, state, { upsert: true });
+    }
+    
+    console.log(`   ${state.processed}/${total} processed, ${state.updated} updated, ${state.failed} with failures`);
+  }
+  
+  state.completedAt = new Date();
+  if (!options.dryRun) {
+    await stateCollection.replaceOne({ _id: stateId }, state, { upsert: true });
+  }
+  
+  if (state.failures.length > 0) {
+    console.log(`⚠️  ${name}: ${state.failed} documents had fields that could not be re-encrypted:`);
+    state.failures.forEach(failure => {
+      console.log(`   ${failure.id} ${failure.path}: ${failure.error}`);
+    });
+  } else {
+    console.log(`✅ ${name}: done`);
+  }
+  
+  return state;
+}
+
+// Main function
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  
+  // Fail fast if keys are missing or invalid
+  EncryptionUtil.reloadKeys();
+  
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/charity-app');
+  
+  let failed = 0;
+  for (const name of options.models) {
+    const state = await migrateModel(name, options);
+    failed += state.failed;
+  }
+  
+  await mongoose.disconnect();
+  
+  console.log(failed > 0
+    ? `\n⚠️  Finished with ${failed} failed documents. Fix the keys and rerun with --restart to retry them.`
+    : '\n🎉 All encrypted fields use the current key.');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Re-encryption failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, buildUpdate };
@@ -9,6 +9,18 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const charityRoutes = require('./routes/charities');
 const adminRoutes = require('./routes/admin');
+const imageRoutes = require('./routes/images');
+const scheduler = require('./services/scheduler');
+const { processOutbox } = require('./services/notifications');
+const { processWebhookOutbox } = require('./services/webhooks');
+const { processPendingExports, expireExports } = require('./services/dataExport');
+const { processDueDeletions } = require('./services/accountDeletion');
+const { getPaymentProvider } = require('./services/payments');
+const Pledge = require('./models/Pledge');
+const Charity = require('./models/Charity');
+
+// Fail at startup rather than on the first donation if no usable payment provider is configured
+getPaymentProvider();
 
 const app = express();
 
@@ -27,9 +39,25 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Scheduled jobs
+scheduler.register('charge-due-pledges', 60 * 1000, () => Pledge.chargeDue());
+scheduler.register('close-ended-campaigns', 5 * 60 * 1000, () => Charity.closeEndedCampaigns());
+scheduler.register('deliver-notifications', 60 * 1000, () => processOutbox());
+scheduler.register('deliver-webhooks', 60 * 1000, () => processWebhookOutbox());
+scheduler.register('build-data-exports', 60 * 1000, () => processPendingExports());
+scheduler.register('expire-data-exports', 60 * 60 * 1000, () => expireExports());
+scheduler.register('delete-accounts', 60 * 60 * 1000, () => processDueDeletions());
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/charity-app')
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    
+    // Start background jobs (set DISABLE_SCHEDULER=true to run them elsewhere)
+    if (process.env.DISABLE_SCHEDULER !== 'true') {
+      scheduler.start();
+    }
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -37,6 +65,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/charities', charityRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/images', imageRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -61,72 +90,3 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
-
-// utils/encryption.js
-const crypto = require('crypto');
-
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'your-32-character-encryption-key';
-const ALGORITHM = 'aes-256-gcm';
-
-class EncryptionUtil {
-  static encrypt(text) {
-    if (!text) return null;
-    
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipher(ALGORITHM, ENCRYPTION_KEY);
-    cipher.setAAD(Buffer.from('charity-app', 'utf8'));
-    
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    const authTag = cipher.getAuthTag();
-    
-    return {
-      encrypted,
-      iv: iv.toString('hex'),
-      authTag: authTag.toString('hex')
-    };
-  }
-
-  static decrypt(encryptedData) {
-    if (!encryptedData || !encryptedData.encrypted) return null;
-    
-    try {
-      const decipher = crypto.createDecipher(ALGORITHM, ENCRYPTION_KEY);
-      decipher.setAAD(Buffer.from('charity-app', 'utf8'));
-      decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-      
-      let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      return decrypted;
-    } catch (error) {
-      console.error('Decryption error:', error);
-      return null;
-    }
-  }
-
-  // Simple encryption for less sensitive data
-  static simpleEncrypt(text) {
-    if (!text) return null;
-    const cipher = crypto.createCipher('aes192', ENCRYPTION_KEY);
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return encrypted;
-  }
-
-  static simpleDecrypt(encrypted) {
-    if (!encrypted) return null;
-    try {
-      const decipher = crypto.createDecipher('aes192', ENCRYPTION_KEY);
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      return decrypted;
-    } catch (error) {
-      console.error('Simple decryption error:', error);
-      return null;
-    }
-  }
-}
-
-module.exports = EncryptionUtil;
@@ -0,0 +1,145 @@
+const User = require('../models/User');
+const Charity = require('../models/Charity');
+const CharityMember = require('../models/CharityMember');
+const Donation = require('../models/Donation');
+const Pledge = require('../models/Pledge');
+const AuditLog = require('../models/AuditLog');
+const { sendTemplate } = require('./mailer');
+
+// Account deletion, shared by self-service and admin deletion. Deleting an
+// account first deactivates it for a grace period; users who asked for the
+// deletion themselves can cancel it by logging in. Accounts that still own
+// charities can't be deleted: each charity has to be transferred or archived.
+//
+// Once the grace period is over the account is deleted and its personal data
+// scrubbed: memberships and invitations are removed, recurring pledges are
+// cancelled, donation records are kept for the charities' books but made
+// anonymous, and archived charities lose their owner reference. Follows,
+// notifications, data exports and the avatar go with the user document (see
+// the User model). Audit log entries are kept, as the log is append-only.
+//
+// Configuration:
+//   ACCOUNT_DELETION_GRACE_DAYS  days before a scheduled deletion is carried out (default 30, 0 for the next run)
+
+const getGracePeriodDays = () => {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+  return Number.isNaN(days) || days < 0 ? 30 : days;
+};
+
+// Charities the user owns that would be orphaned by deleting the account
+const findBlockingCharities = async (userId) => {
+  const charities = await Charity.find({ owner: userId, status: { $ne: 'archived' } })
+    .select('basicInfo.name status ownershipTransfer');
+  return charities.map(charity => ({
+    id: charity._id,
+    name: charity.decryptField('basicInfo.name'),
+    status: charity.status,
+    pendingOwnershipTransfer: Boolean(charity.getPendingOwnershipTransfer())
+  }));
+};
+
+// Deactivate the account and schedule its deletion. Resolves to the deletion date.
+const scheduleAccountDeletion = async (user, requestedBy, reason) => {
+  if ((await findBlockingCharities(user._id)).length > 0) {
+    throw new Error('Transfer or archive the charities this account owns before deleting it');
+  }
+
+  const scheduledFor = new Date(Date.now() + getGracePeriodDays() * 24 * 60 * 60 * 1000);
+  user.scheduleDeletion(requestedBy, scheduledFor, reason);
+  await user.save();
+
+  // Offers of ownership can't be accepted by an inactive account
+  await Charity.updateMany({ 'ownershipTransfer.to': user._id }, { $unset: { ownershipTransfer: 1 } });
+
+  try {
+    await sendTemplate(user.email, 'accountDeletionScheduled', {
+      deletionDate: scheduledFor.toISOString().slice(0, 10),
+      canCancelByLogin: user.canCancelDeletionByLogin()
+    });
+  } catch (mailError) {
+    console.error('Failed to send account deletion email:', mailError.message);
+  }
+
+  return scheduledFor;
+};
+
+// Restore an account that is scheduled for deletion
+const cancelAccountDeletion = (user) => {
+  user.cancelDeletion();
+  return user.save();
+};
+
+// Permanently delete the account and scrub the user's personal data. The
+// account is only deleted if its deletion is still due when it's removed (it
+// may have been cancelled by logging in since it was loaded), and nothing is
+// scrubbed before that. Resolves to whether the account was deleted.
+const purgeAccount = async (user, now = new Date()) => {
+  if ((await findBlockingCharities(user._id)).length > 0) {
+    throw new Error('Account still owns charities that are not archived');
+  }
+
+  const deleted = await User.findOneAndDelete({ _id: user._id, 'deletion.scheduledFor': { $lte: now } });
+  if (!deleted) {
+    return false;
+  }
+
+  const deletion = deleted.deletion?.toObject ? deleted.deletion.toObject() : deleted.deletion;
+
+  await Charity.updateMany({ owner: user._id, status: 'archived' }, { $unset: { owner: 1 } });
+  await CharityMember.deleteMany({ $or: [{ user: user._id }, { email: user.email }] });
+
+  const pledges = await Pledge.find({ donor: user._id, status: { $ne: 'cancelled' } });
+  for (const pledge of pledges) {
+    await pledge.cancel('Donor account deleted');
+  }
+  await Pledge.updateMany({ donor: user._id }, { $set: { isAnonymous: true }, $unset: { paymentSource: 1 } });
+  await Donation.updateMany({ donor: user._id }, { $set: { isAnonymous: true }, $unset: { message: 1 } });
+
+  try {
+    await AuditLog.append({
+      action: 'user.deletion.complete',
+      target: { type: 'User', id: user._id },
+      before: {
+        accountType: user.accountType,
+        requestedBy: deletion?.requestedBy,
+        requestedAt: deletion?.requestedAt,
+        scheduledFor: deletion?.scheduledFor
+      },
+      after: null
+    });
+  } catch (error) {
+    console.error('Failed to record audit entry "user.deletion.complete":', error.message);
+  }
+
+  return true;
+};
+
+// Carry out deletions whose grace period is over (run periodically)
+const processDueDeletions = async (limit = 20, now = new Date()) => {
+  const result = { deleted: 0, failed: 0 };
+  const users = await User.find({ 'deletion.scheduledFor': { $lte: now } })
+    .sort({ 'deletion.scheduledFor': 1 })
+    .limit(limit);
+
+  for (const user of users) {
+    try {
+      if (await purgeAccount(user, now)) {
+        result.deleted += 1;
+      }
+    } catch (error) {
+      console.error(`Failed to delete account ${user._id}:`, error.message);
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  getGracePeriodDays,
+  findBlockingCharities,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  processDueDeletions
+};
@@ -0,0 +1,67 @@
+const AuditLog = require('../models/AuditLog');
+const EncryptionUtil = require('../utils/encryption');
+
+// Records admin mutations and sensitive owner actions in the audit log.
+// Snapshots are redacted before they are stored: secrets and identifiers are
+// replaced by a marker, as is anything that is stored encrypted.
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values never belong in the audit log
+const SENSITIVE_KEY = /password|token|secret|recoverycodes|bankinginfo|accountnumber|routingnumber|taxid|registrationnumber|blindindex|personalinfo/i;
+
+// Copy of a snapshot with sensitive values replaced
+const redact = (value) => {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') {
+    return EncryptionUtil.isVersioned(value) ? REDACTED : value;
+  }
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (typeof value.toHexString === 'function') return value.toString();
+  if (value instanceof Map) return redact(Object.fromEntries(value));
+  if (Array.isArray(value)) return value.map(redact);
+
+  return Object.keys(value).reduce((copy, key) => {
+    copy[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(value[key]);
+    return copy;
+  }, {});
+};
+
+// Only the given keys of a document or plain object
+const pick = (source, keys) => {
+  const object = source && typeof source.toObject === 'function' ? source.toObject({ flattenMaps: true }) : source;
+  if (!object) return null;
+  return keys.reduce((picked, key) => {
+    if (object[key] !== undefined) picked[key] = object[key];
+    return picked;
+  }, {});
+};
+
+// Append an audit entry for the request's user (or the given actor, for
+// unauthenticated requests). Failures are logged rather than thrown: the action
+// has already happened and the response must reflect it.
+const recordAudit = async (req, { action, target, before = null, after = null, actor = req.user }) => {
+  try {
+    return await AuditLog.append({
+      actor: actor?._id,
+      actorEmail: actor?.email,
+      actorRole: actor?.accountType,
+      action,
+      target,
+      before: redact(before),
+      after: redact(after),
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error(`Failed to record audit entry "${action}":`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  recordAudit,
+  redact,
+  pick,
+  REDACTED
+};
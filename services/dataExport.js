@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Charity = require('../models/Charity');
+const CharityCodeRedemption = require('../models/CharityCodeRedemption');
+const CharityMember = require('../models/CharityMember');
+const CharityFollower = require('../models/CharityFollower');
+const Donation = require('../models/Donation');
+const Pledge = require('../models/Pledge');
+const Notification = require('../models/Notification');
+const EncryptionUtil = require('../utils/encryption');
+const ZipUtil = require('../utils/zip');
+const CsvUtil = require('../utils/csv');
+const { getStorage } = require('./storage');
+const { toImageView } = require('./images');
+const { notify } = require('./notifications');
+
+// Personal data exports. An export is queued by the user (or an admin on
+// their behalf), built in the background into a ZIP with export.json plus CSV
+// files of the tabular sections, and stored encrypted until it expires.
+// Archives are downloaded through short-lived signed URLs.
+//
+// Configuration:
+//   EXPORT_RETENTION_HOURS  how long a finished archive is kept (default 72)
+//   EXPORT_URL_TTL          lifetime of signed download URLs in seconds (default 900)
+//   EXPORT_URL_SECRET       HMAC key for signing download URLs (falls back to JWT_SECRET)
+
+const getRetentionHours = () => parseInt(process.env.EXPORT_RETENTION_HOURS) || 72;
+const getUrlTtl = () => parseInt(process.env.EXPORT_URL_TTL) || 900;
+
+const getSigningSecret = () => {
+  const secret = process.env.EXPORT_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('No URL signing secret configured. Set EXPORT_URL_SECRET.');
+  }
+  return secret;
+};
+
+const sign = (exportId, expires) => crypto
+  .createHmac('sha256', getSigningSecret())
+  .update(`export:${exportId}:${expires}`)
+  .digest('hex');
+
+// Signed, expiring download path for a finished export
+const createDownloadUrl = (dataExport) => {
+  const expires = Math.floor(Date.now() / 1000) + getUrlTtl();
+  return {
+    url: `/api/users/me/exports/${dataExport._id}/download?expires=${expires}&signature=${sign(dataExport._id, expires)}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+// Check a download URL's signature and expiry
+const verifyDownloadSignature = (exportId, expires, signature) => {
+  if (!/^\d+$/.test(String(expires)) || !/^[0-9a-f]{64}$/.test(String(signature))) {
+    return false;
+  }
+  if (parseInt(expires) < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(exportId, expires), 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+};
+
+// Sessions are stored as refresh tokens; export when each was issued, never the token
+const describeSessions = (refreshTokens) => (refreshTokens || []).map(token => {
+  const claims = jwt.decode(token) || {};
+  return {
+    issuedAt: claims.iat ? new Date(claims.iat * 1000) : null,
+    expiresAt: claims.exp ? new Date(claims.exp * 1000) : null,
+    twoFactorVerified: Boolean(claims.mfa)
+  };
+});
+
+// Everything held about a user. Resolves to the JSON document and its CSV tables.
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const [charities, redemptions, memberships, follows, donations, pledges, notifications] = await Promise.all([
+    Charity.find({ owner: userId }),
+    CharityCodeRedemption.find({ user: userId }).populate('code', 'code description').sort({ redeemedAt: 1 }),
+    CharityMember.find({ user: userId }).populate('charity', 'basicInfo.name'),
+    CharityFollower.find({ user: userId }).populate('charity', 'basicInfo.name'),
+    Donation.find({ donor: userId }).sort({ createdAt: 1 }),
+    Pledge.find({ donor: userId }).sort({ createdAt: 1 }),
+    Notification.find({ user: userId }).sort({ createdAt: 1 })
+  ]);
+
+  const charityName = (charity) => (charity ? charity.decryptField('basicInfo.name') : null);
+  const profile = user.profile ? user.profile.toObject() : {};
+
+  const data = {
+    exportedAt: new Date(),
+    account: {
+      id: user._id,
+      email: user.email,
+      accountType: user.accountType,
+      emailVerified: user.emailVerified,
+      isActive: user.isActive,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      lastLogin: user.lastLogin,
+      passwordChangedAt: user.passwordChangedAt,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    },
+    personalInfo: user.getDecryptedPersonalInfo(),
+    profile: { ...profile, avatar: toImageView(user.profile?.avatar) },
+    charityAuthorization: {
+      canCreateCharity: Boolean(user.charityAuthorization?.canCreateCharity),
+      authorizedAt: user.charityAuthorization?.authorizedAt
+    },
+    sessions: describeSessions(user.refreshTokens),
+    codeRedemptions: redemptions.map(redemption => ({
+      code: redemption.code?.code,
+      description: redemption.code?.description,
+      redeemedAt: redemption.redeemedAt
+    })),
+    charities: charities.map(charity => charity.getDecryptedData()),
+    memberships: memberships.map(membership => ({
+      charity: membership.charity?._id,
+      charityName: charityName(membership.charity),
+      role: membership.role,
+      status: membership.status,
+      joinedAt: membership.joinedAt,
+      respondedAt: membership.respondedAt
+    })),
+    following: follows.map(follow => ({
+      charity: follow.charity?._id,
+      charityName: charityName(follow.charity),
+      followedAt: follow.createdAt
+    })),
+    donations: donations.map(donation => ({
+      id: donation._id,
+      charity: donation.charity,
+      campaign: donation.campaign,
+      pledge: donation.pledge,
+      amount: donation.amount,
+      currency: donation.currency,
+      status: donation.status,
+      message: donation.message,
+      isAnonymous: donation.isAnonymous,
+      receiptNumber: donation.receipt?.number,
+      createdAt: donation.createdAt
+    })),
+    pledges: pledges.map(pledge => pledge.toSummary()),
+    notifications: notifications.map(notification => notification.toView())
+  };
+
+  const tables = {
+    'donations.csv': CsvUtil.stringify(data.donations,
+      ['id', 'charity', 'campaign', 'pledge', 'amount', 'currency', 'status', 'message', 'isAnonymous', 'receiptNumber', 'createdAt']),
+    'pledges.csv': CsvUtil.stringify(data.pledges,
+      ['id', 'charity', 'amount', 'currency', 'frequency', 'status', 'installmentsCharged', 'totalCharged', 'lastChargedAt', 'createdAt']),
+    'charities.csv': CsvUtil.stringify(data.charities.map(charity => ({
+      id: charity._id,
+      name: charity.basicInfo?.name,
+      status: charity.status,
+      isPublic: charity.isPublic,
+      createdAt: charity.createdAt
+    })), ['id', 'name', 'status', 'isPublic', 'createdAt']),
+    'memberships.csv': CsvUtil.stringify(data.memberships, ['charity', 'charityName', 'role', 'status', 'joinedAt']),
+    'code-redemptions.csv': CsvUtil.stringify(data.codeRedemptions, ['code', 'description', 'redeemedAt']),
+    'sessions.csv': CsvUtil.stringify(data.sessions, ['issuedAt', 'expiresAt', 'twoFactorVerified'])
+  };
+
+  return { data, tables };
+};
+
+// Build, encrypt and store the archive for a claimed export
+const buildExport = async (dataExport) => {
+  try {
+    const { data, tables } = await collectUserData(dataExport.user);
+    const archive = ZipUtil.create([
+      { name: 'export.json', data: JSON.stringify(data, null, 2) },
+      ...Object.entries(tables).map(([name, csv]) => ({ name, data: csv }))
+    ]);
+
+    const storageKey = `exports/${dataExport.user}/${dataExport._id}.zip`;
+    await getStorage().put(storageKey, EncryptionUtil.encryptBuffer(archive));
+
+    dataExport.set({
+      status: 'ready',
+      storageKey,
+      size: archive.length,
+      checksum: crypto.createHash('sha256').update(archive).digest('hex'),
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + getRetentionHours() * 60 * 60 * 1000),
+      lockedUntil: undefined
+    });
+    await dataExport.save();
+
+    await notify([dataExport.user], 'data_export.ready', { expiresAt: dataExport.expiresAt });
+  } catch (error) {
+    console.error(`Failed to build data export ${dataExport._id}:`, error.message);
+    dataExport.set({ status: 'failed', error: error.message, lockedUntil: undefined });
+    await dataExport.save();
+  }
+  return dataExport;
+};
+
+// Build every waiting export, one at a time. Returns counts for logging.
+const processPendingExports = async (limit = 10) => {
+  const result = { ready: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const dataExport = await DataExport.claimNext();
+    if (!dataExport) break;
+
+    await buildExport(dataExport);
+    result[dataExport.status === 'ready' ? 'ready' : 'failed'] += 1;
+  }
+
+  return result;
+};
+
+// Start building queued exports without holding up the request; anything
+// left over is picked up by the scheduled job
+const processInBackground = () => {
+  processPendingExports().catch(error => {
+    console.error('Failed to process data exports:', error.message);
+  });
+};
+
+// Queue an export of a user's data
+const requestExport = async (userId, requestedBy) => {
+  const dataExport = await DataExport.create({ user: userId, requestedBy: requestedBy._id });
+  processInBackground();
+  return dataExport;
+};
+
+// Read and decrypt a finished archive, verifying it hasn't changed
+const readExport = async (dataExport) => {
+  const stored = await getStorage().get(dataExport.storageKey);
+  if (!stored) {
+    throw new Error('Export file is missing from storage');
+  }
+
+  const archive = EncryptionUtil.decryptBuffer(stored);
+  if (crypto.createHash('sha256').update(archive).digest('hex') !== dataExport.checksum) {
+    throw new Error('Export checksum does not match');
+  }
+  return archive;
+};
+
+// Delete archives past their expiry. Returns counts for logging.
+const expireExports = async (now = new Date()) => {
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: now } });
+
+  for (const dataExport of expired) {
+    try {
+      await getStorage().delete(dataExport.storageKey);
+      dataExport.set({ status: 'expired', storageKey: undefined });
+      await dataExport.save();
+    } catch (error) {
+      console.error(`Failed to expire data export ${dataExport._id}:`, error.message);
+    }
+  }
+
+  return { expired: expired.length };
+};
+
+module.exports = {
+  requestExport,
+  processPendingExports,
+  readExport,
+  expireExports,
+  createDownloadUrl,
+  verifyDownloadSignature
+};
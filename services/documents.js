@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const EncryptionUtil = require('../utils/encryption');
+const FileTypeUtil = require('../utils/fileType');
+const { getStorage } = require('./storage');
+
+// Charity legal documents. Files are encrypted before they reach the storage
+// backend and their SHA-256 checksum is checked again on every download.
+// Downloads go through short-lived signed URLs so they work as plain links.
+//
+// Configuration:
+//   DOCUMENT_MAX_BYTES   upload size limit (default 10 MB)
+//   DOCUMENT_URL_TTL     lifetime of signed download URLs in seconds (default 300)
+//   DOCUMENT_URL_SECRET  HMAC key for signing download URLs (falls back to JWT_SECRET)
+
+const ALLOWED_MIME_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+const DOCUMENT_TYPES = ['registration_certificate', 'annual_return', 'tax_exemption', 'financial_statement', 'governing_document', 'other'];
+const MAX_DOCUMENTS_PER_CHARITY = 50;
+
+const getMaxBytes = () => parseInt(process.env.DOCUMENT_MAX_BYTES) || 10 * 1024 * 1024;
+const getUrlTtl = () => parseInt(process.env.DOCUMENT_URL_TTL) || 300;
+
+const getSigningSecret = () => {
+  const secret = process.env.DOCUMENT_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('No URL signing secret configured. Set DOCUMENT_URL_SECRET.');
+  }
+  return secret;
+};
+
+const sign = (charityId, documentId, expires) => crypto
+  .createHmac('sha256', getSigningSecret())
+  .update(`document:${charityId}:${documentId}:${expires}`)
+  .digest('hex');
+
+const checksum = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Check an uploaded file's real type. Returns { error } for a file that isn't
+// allowed, or { mimeType } of the detected type.
+const validateDocument = (file) => {
+  const detected = FileTypeUtil.detectAllowed(file.buffer, ALLOWED_MIME_TYPES);
+  if (!detected) {
+    return { error: `Unsupported file type. Allowed types: ${ALLOWED_MIME_TYPES.join(', ')}` };
+  }
+  return { error: null, mimeType: detected.mimeType };
+};
+
+// Encrypt and store a validated file. Returns the document metadata to save on the charity.
+const storeDocument = async (charityId, file, mimeType) => {
+  const storageKey = `charities/${charityId}/documents/${crypto.randomUUID()}`;
+  await getStorage().put(storageKey, EncryptionUtil.encryptBuffer(file.buffer));
+
+  return {
+    mimeType,
+    size: file.buffer.length,
+    checksum: checksum(file.buffer),
+    storageKey
+  };
+};
+
+// Read and decrypt a stored document, verifying it hasn't changed since upload
+const readDocument = async (document) => {
+  const stored = await getStorage().get(document.storageKey);
+  if (!stored) {
+    throw new Error('Document file is missing from storage');
+  }
+
+  const data = EncryptionUtil.decryptBuffer(stored);
+  if (checksum(data) !== document.checksum) {
+    throw new Error('Document checksum does not match');
+  }
+  return data;
+};
+
+// Re-encrypt a stored document with the current key (after key rotation). The
+// file is only replaced once the checksums of both the old and the new
+// encrypted file have been verified, and is read back and verified again. Resolves to whether it needed re-encrypting.
+const reencryptDocument = async (document, { dryRun = false } = {}) => {
+  const stored = await getStorage().get(document.storageKey);
+  if (!stored) {
+    throw new Error('Document file is missing from storage');
+  }
+  if (EncryptionUtil.getBufferKeyId(stored) === EncryptionUtil.getCurrentKeyId()) {
+    return false;
+  }
+
+  const data = EncryptionUtil.decryptBuffer(stored);
+  if (checksum(data) !== document.checksum) {
+    throw new Error('Document checksum does not match');
+  }
+  if (dryRun) {
+    return true;
+  }
+
+  const reencrypted = EncryptionUtil.encryptBuffer(data);
+  if (checksum(EncryptionUtil.decryptBuffer(reencrypted)) !== document.checksum) {
+    throw new Error('Re-encrypted document checksum does not match');
+  }
+  await getStorage().put(document.storageKey, reencrypted);
+  await readDocument(document);
+  return true;
+};
+
+// Remove stored files (best effort; a missing file is not an error)
+const deleteDocuments = async (documents) => {
+  const keys = documents.map(document => document.storageKey).filter(Boolean);
+  await Promise.all(keys.map(key => getStorage().delete(key)));
+};
+
+// Signed, expiring download path for a document
+const createDownloadUrl = (charityId, documentId) => {
+  const expires = Math.floor(Date.now() / 1000) + getUrlTtl();
+  const signature = sign(charityId, documentId, expires);
+  return {
+    url: `/api/charities/${charityId}/documents/${documentId}/download?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+// Check a download URL's signature and expiry
+const verifyDownloadSignature = (charityId, documentId, expires, signature) => {
+  if (!/^\d+$/.test(String(expires)) || !/^[0-9a-f]{64}$/.test(String(signature))) {
+    return false;
+  }
+  if (parseInt(expires) < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(charityId, documentId, expires), 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+};
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  DOCUMENT_TYPES,
+  MAX_DOCUMENTS_PER_CHARITY,
+  getMaxBytes,
+  validateDocument,
+  storeDocument,
+  readDocument,
+  reencryptDocument,
+  deleteDocuments,
+  createDownloadUrl,
+  verifyDownloadSignature
+};
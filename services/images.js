@@ -0,0 +1,120 @@
+const sharp = require('sharp');
+const FileTypeUtil = require('../utils/fileType');
+const { getStorage } = require('./storage');
+
+// Image uploads (charity logos, gallery images, update images and user avatars). Uploads are
+// checked by content and dimensions, then re-encoded as WebP in a few sizes;
+// re-encoding also strips metadata such as EXIF location data. Images are
+// public and stored unencrypted.
+//
+// Configuration:
+//   IMAGE_MAX_BYTES  upload size limit (default 5 MB)
+
+const ALLOWED_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const MAX_DIMENSION = 8000;
+
+// Minimum upload size and the longest side of each variant, per kind of image
+const IMAGE_KINDS = {
+  logo: { minWidth: 64, minHeight: 64, variants: { small: 64, medium: 256, large: 512 } },
+  gallery: { minWidth: 320, minHeight: 240, variants: { thumbnail: 320, medium: 800, large: 1600 } },
+  update: { minWidth: 320, minHeight: 240, variants: { thumbnail: 320, medium: 800, large: 1600 } },
+  avatar: { minWidth: 64, minHeight: 64, variants: { small: 64, medium: 256 } }
+};
+
+const MAX_GALLERY_IMAGES = 20;
+
+const getMaxBytes = () => parseInt(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024;
+
+const storageKey = (imageId, variant) => `images/${imageId}/${variant}.webp`;
+
+// Public URL of one variant of an image
+const imageUrl = (imageId, variant) => `/api/images/${imageId}/${variant}`;
+
+// Check an upload's type and dimensions. Resolves to { error, status } for an
+// unacceptable image, or { width, height } of the image as displayed.
+const validateImage = async (kind, buffer) => {
+  const config = IMAGE_KINDS[kind];
+
+  if (!FileTypeUtil.detectAllowed(buffer, ALLOWED_MIME_TYPES)) {
+    return { error: `Unsupported image type. Allowed types: ${ALLOWED_MIME_TYPES.join(', ')}`, status: 415 };
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_DIMENSION * MAX_DIMENSION }).metadata();
+  } catch (error) {
+    return { error: 'Image could not be read', status: 400 };
+  }
+
+  // Rotated JPEGs report their stored dimensions; use the displayed ones
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  if (width < config.minWidth || height < config.minHeight) {
+    return { error: `Image must be at least ${config.minWidth}x${config.minHeight} pixels`, status: 400 };
+  }
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    return { error: `Image must be at most ${MAX_DIMENSION}x${MAX_DIMENSION} pixels`, status: 400 };
+  }
+
+  return { error: null, width, height };
+};
+
+// Store the resized variants of a validated upload under the image's id.
+// Returns the variants to save in the image subdocument.
+const storeImage = async (kind, imageId, buffer) => {
+  const variants = [];
+  try {
+    for (const [name, size] of Object.entries(IMAGE_KINDS[kind].variants)) {
+      const { data, info } = await sharp(buffer, { limitInputPixels: MAX_DIMENSION * MAX_DIMENSION })
+        .rotate()
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toBuffer({ resolveWithObject: true });
+
+      await getStorage().put(storageKey(imageId, name), data);
+      variants.push({ name, width: info.width, height: info.height, size: info.size });
+    }
+  } catch (error) {
+    await deleteImages([{ _id: imageId, variants }]);
+    throw error;
+  }
+
+  return variants;
+};
+
+// Remove the stored variants of images
+const deleteImages = async (images) => {
+  const keys = images.flatMap(image =>
+    (image.variants || []).map(variant => storageKey(image._id, variant.name)));
+  await Promise.all(keys.map(key => getStorage().delete(key)));
+};
+
+// Read one stored variant (null if it doesn't exist)
+const readImage = (imageId, variant) => getStorage().get(storageKey(imageId, variant));
+
+// Public description of an image with the URL of each variant
+const toImageView = (image) => image ? {
+  id: image._id,
+  width: image.width,
+  height: image.height,
+  caption: image.caption,
+  urls: (image.variants || []).reduce((urls, variant) => {
+    urls[variant.name] = imageUrl(image._id, variant.name);
+    return urls;
+  }, {})
+} : null;
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  IMAGE_KINDS,
+  MAX_GALLERY_IMAGES,
+  getMaxBytes,
+  imageUrl,
+  validateImage,
+  storeImage,
+  deleteImages,
+  readImage,
+  toImageView
+};
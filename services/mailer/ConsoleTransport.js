@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const MailTransport = require('./MailTransport');
+
+// Prints messages to stdout. For local development only.
+class ConsoleTransport extends MailTransport {
+  get name() {
+    return 'console';
+  }
+
+  async send(message) {
+    const messageId = crypto.randomUUID();
+
+    console.log('========== OUTGOING EMAIL ==========');
+    console.log(`To: ${message.to}`);
+    console.log(`From: ${message.from}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('====================================');
+
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleTransport;
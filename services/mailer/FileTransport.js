@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const MailTransport = require('./MailTransport');
+
+// Writes each message as a JSON file (MAIL_FILE_DIR, defaults to a system temp dir).
+// Useful for local development and tests that need to read sent mail.
+class FileTransport extends MailTransport {
+  get name() {
+    return 'file';
+  }
+
+  get directory() {
+    return this.options.directory || process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'charity-app-mail');
+  }
+
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    const sentAt = new Date();
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(
+      path.join(this.directory, `${sentAt.getTime()}-${messageId}.json`),
+      JSON.stringify({ messageId, sentAt, ...message }, null, 2)
+    );
+
+    return { messageId };
+  }
+}
+
+module.exports = FileTransport;
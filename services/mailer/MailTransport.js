@@ -0,0 +1,18 @@
+// Base class for mail transports. Concrete transports must implement send().
+class MailTransport {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  get name() {
+    throw new Error('Mail transport must define a name');
+  }
+
+  // Send a message: { from, to, subject, text, html }
+  // Resolves to { messageId }
+  async send(message) {
+    throw new Error(`${this.name} does not implement send()`);
+  }
+}
+
+module.exports = MailTransport;
@@ -0,0 +1,70 @@
+const MailTransport = require('./MailTransport');
+const ConsoleTransport = require('./ConsoleTransport');
+const FileTransport = require('./FileTransport');
+const templates = require('./templates');
+
+// Registered transport factories, keyed by name
+const transports = {
+  console: (options) => new ConsoleTransport(options),
+  file: (options) => new FileTransport(options)
+};
+
+let activeTransport = null;
+
+// Register an additional transport, e.g. registerTransport('smtp', opts => new SmtpTransport(opts))
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+// Get the configured transport (MAIL_TRANSPORT, defaults to console)
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = factory({});
+  }
+
+  return activeTransport;
+};
+
+// Override the active transport (useful for tests)
+const setTransport = (transport) => {
+  if (transport && !(transport instanceof MailTransport)) {
+    throw new Error('Mail transport must extend MailTransport');
+  }
+  activeTransport = transport;
+};
+
+// Send a message
+const sendMail = ({ to, subject, text, html }) => getTransport().send({
+  from: process.env.MAIL_FROM || 'no-reply@charity-app.local',
+  to,
+  subject,
+  text,
+  html
+});
+
+// Render a template and send it
+const sendTemplate = (to, templateName, data) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+  return sendMail({ to, ...template(data) });
+};
+
+module.exports = {
+  MailTransport,
+  ConsoleTransport,
+  FileTransport,
+  registerTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+  sendTemplate
+};
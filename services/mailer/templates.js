@@ -0,0 +1,50 @@
+// Email templates. Each returns { subject, text, html }.
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const verifyEmail = ({ link, expiresInHours }) => ({
+  subject: 'Verify your email address',
+  text: `Welcome! Please verify your email address by opening the link below:\n\n${link}\n\nThis link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.`,
+  html: `<p>Welcome! Please verify your email address by clicking the link below:</p><p><a href="${escapeHtml(link)}">Verify email</a></p><p>This link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.</p>`
+});
+
+const passwordReset = ({ link, expiresInMinutes }) => ({
+  subject: 'Reset your password',
+  text: `We received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.`,
+  html: `<p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${escapeHtml(link)}">Reset password</a></p><p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.</p>`
+});
+
+const passwordChanged = () => ({
+  subject: 'Your password was changed',
+  text: 'The password for your account was just changed and all other sessions were signed out. If this was not you, reset your password immediately and contact support.',
+  html: '<p>The password for your account was just changed and all other sessions were signed out.</p><p>If this was not you, reset your password immediately and contact support.</p>'
+});
+
+const charityInvitation = ({ charityName, role, inviterName, link, expiresInDays }) => ({
+  subject: `You're invited to join ${charityName}`,
+  text: `${inviterName} invited you to join ${charityName} as ${role}. Sign in with this email address and open the link below to accept or decline:\n\n${link}\n\nThis invitation expires in ${expiresInDays} days.`,
+  html: `<p>${escapeHtml(inviterName)} invited you to join <strong>${escapeHtml(charityName)}</strong> as ${escapeHtml(role)}.</p><p>Sign in with this email address and click the link below to accept or decline:</p><p><a href="${escapeHtml(link)}">View invitation</a></p><p>This invitation expires in ${expiresInDays} days.</p>`
+});
+
+const ownershipTransfer = ({ charityName, ownerName, link, expiresInDays }) => ({
+  subject: `${ownerName} wants to transfer ${charityName} to you`,
+  text: `${ownerName} has asked you to take over ownership of ${charityName}. Sign in and open the link below to accept or decline:\n\n${link}\n\nThis request expires in ${expiresInDays} days.`,
+  html: `<p>${escapeHtml(ownerName)} has asked you to take over ownership of <strong>${escapeHtml(charityName)}</strong>.</p><p>Sign in and click the link below to accept or decline:</p><p><a href="${escapeHtml(link)}">View request</a></p><p>This request expires in ${expiresInDays} days.</p>`
+});
+
+const accountDeletionScheduled = ({ deletionDate, canCancelByLogin }) => {
+  const next = canCancelByLogin
+    ? 'If you change your mind, just log in before then and your account will be restored.'
+    : 'If you think this is a mistake, contact support before then.';
+  return {
+    subject: 'Your account is scheduled for deletion',
+    text: `Your account has been deactivated and will be permanently deleted on ${deletionDate}, along with your personal data. ${next}`,
+    html: `<p>Your account has been deactivated and will be permanently deleted on <strong>${escapeHtml(deletionDate)}</strong>, along with your personal data.</p><p>${next}</p>`
+  };
+};
+
+module.exports = { escapeHtml, verifyEmail, passwordReset, passwordChanged, charityInvitation, ownershipTransfer, accountDeletionScheduled };
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+const SmsTransport = require('./SmsTransport');
+
+// Prints messages to stdout. For local development only.
+class ConsoleSmsTransport extends SmsTransport {
+  get name() {
+    return 'console';
+  }
+
+  async send(message) {
+    const messageId = crypto.randomUUID();
+
+    console.log('========== OUTGOING SMS ==========');
+    console.log(`To: ${message.to}`);
+    console.log(`From: ${message.from}`);
+    console.log('');
+    console.log(message.text);
+    console.log('==================================');
+
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleSmsTransport;
@@ -0,0 +1,18 @@
+// Base class for SMS transports. Concrete transports must implement send().
+class SmsTransport {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  get name() {
+    throw new Error('SMS transport must define a name');
+  }
+
+  // Send a message: { from, to, text }
+  // Resolves to { messageId }
+  async send(message) {
+    throw new Error(`${this.name} does not implement send()`);
+  }
+}
+
+module.exports = SmsTransport;
@@ -0,0 +1,212 @@
+const Notification = require('../../models/Notification');
+const User = require('../../models/User');
+const CharityMember = require('../../models/CharityMember');
+const { sendMail } = require('../mailer');
+const SmsTransport = require('./SmsTransport');
+const ConsoleSmsTransport = require('./ConsoleSmsTransport');
+const FileSmsTransport = require('./FileSmsTransport');
+const templates = require('./templates');
+
+// Central notification service. notify() stores a notification per recipient
+// (their in-app inbox) with an email and/or SMS delivery depending on the
+// user's notification preferences, then tries to deliver it straight away.
+// Deliveries that fail stay in the outbox and processOutbox() retries them.
+//
+// Email goes through the mailer (MAIL_TRANSPORT). SMS uses SMS_TRANSPORT
+// (console or file, defaults to console) and is sent from SMS_FROM.
+
+// Registered SMS transport factories, keyed by name
+const smsTransports = {
+  console: (options) => new ConsoleSmsTransport(options),
+  file: (options) => new FileSmsTransport(options)
+};
+
+let activeSmsTransport = null;
+
+// Register an additional SMS transport, e.g. registerSmsTransport('twilio', opts => new TwilioTransport(opts))
+const registerSmsTransport = (name, factory) => {
+  smsTransports[name] = factory;
+};
+
+// Get the configured SMS transport
+const getSmsTransport = () => {
+  if (!activeSmsTransport) {
+    const name = process.env.SMS_TRANSPORT || 'console';
+    const factory = smsTransports[name];
+
+    if (!factory) {
+      throw new Error(`Unknown SMS transport: ${name}`);
+    }
+
+    activeSmsTransport = factory({});
+  }
+
+  return activeSmsTransport;
+};
+
+// Override the active SMS transport (useful for tests)
+const setSmsTransport = (transport) => {
+  if (transport && !(transport instanceof SmsTransport)) {
+    throw new Error('SMS transport must extend SmsTransport');
+  }
+  activeSmsTransport = transport;
+};
+
+const render = (type, data) => {
+  const template = templates[type];
+  if (!template) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+  return template(data);
+};
+
+const getPhone = (user) => {
+  try {
+    return user.decryptField('personalInfo.phone') || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Channels a user wants this notification on
+const getChannels = (user, rendered) => {
+  const preferences = user.profile?.preferences?.notifications || {};
+  const channels = [];
+  if (rendered.email && preferences.email !== false) {
+    channels.push('email');
+  }
+  if (rendered.sms && preferences.sms === true && getPhone(user)) {
+    channels.push('sms');
+  }
+  return channels;
+};
+
+// Send one delivery. Resolves to { messageId } or { error }.
+const send = async (delivery, user, rendered) => {
+  try {
+    if (delivery.channel === 'email') {
+      if (!rendered.email) throw new Error('Notification has no email content');
+      return await sendMail({ to: user.email, ...rendered.email });
+    }
+
+    const phone = getPhone(user);
+    if (!phone) throw new Error('User has no phone number');
+    return await getSmsTransport().send({
+      from: process.env.SMS_FROM || 'CharityApp',
+      to: phone,
+      text: rendered.sms
+    });
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+// Attempt every due delivery of a notification, then release its lock
+const deliver = async (notification, now = new Date()) => {
+  const due = notification.deliveries.filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= now);
+
+  if (due.length > 0) {
+    const user = await User.findById(notification.user).select('email isActive personalInfo.phone profile.preferences');
+    const rendered = render(notification.type, notification.data);
+
+    for (const delivery of due) {
+      const result = user && user.isActive
+        ? await send(delivery, user, rendered)
+        : { error: 'User not found or inactive' };
+      notification.recordAttempt(delivery, result);
+    }
+  }
+
+  notification.lockedUntil = undefined;
+  return notification.save();
+};
+
+// Notify users (ids, duplicates ignored). Inactive users are skipped.
+// Failures are logged rather than thrown: notifications are a side effect of
+// an action that has already happened. Resolves to the stored notifications.
+const notify = async (userIds, type, data = {}) => {
+  try {
+    const rendered = render(type, data);
+    const ids = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+    if (ids.length === 0) return [];
+
+    const users = await User.find({ _id: { $in: ids }, isActive: true })
+      .select('email personalInfo.phone profile.preferences');
+
+    // Locked so the outbox worker leaves them alone while they're sent below
+    const lockedUntil = new Date(Date.now() + Notification.LOCK_DURATION);
+    const notifications = await Notification.insertMany(users.map(user => ({
+      user: user._id,
+      type,
+      data,
+      title: rendered.title,
+      body: rendered.body,
+      link: rendered.link,
+      deliveries: getChannels(user, rendered).map(channel => ({ channel })),
+      lockedUntil
+    })));
+
+    for (const notification of notifications) {
+      try {
+        await deliver(notification);
+      } catch (error) {
+        console.error(`Failed to deliver notification ${notification._id}:`, error.message);
+      }
+    }
+
+    return notifications;
+  } catch (error) {
+    console.error(`Failed to send "${type}" notification:`, error.message);
+    return [];
+  }
+};
+
+// Notify a charity's owner and the team members whose role grants a permission
+const notifyCharityTeam = async (charity, permission, type, data = {}) => {
+  try {
+    const userIds = await CharityMember.findUserIdsWithPermission(charity, permission);
+    return await notify(userIds, type, data);
+  } catch (error) {
+    console.error(`Failed to send "${type}" notification to the team of charity ${charity._id}:`, error.message);
+    return [];
+  }
+};
+
+// Retry due deliveries, one notification at a time. Returns counts for logging.
+const processOutbox = async (limit = 100) => {
+  const result = { processed: 0, sent: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const notification = await Notification.claimDue();
+    if (!notification) break;
+
+    const before = notification.deliveries.map(delivery => delivery.status);
+    try {
+      await deliver(notification);
+    } catch (error) {
+      // Leave the lock to expire so the notification is retried later
+      console.error(`Failed to deliver notification ${notification._id}:`, error.message);
+    }
+
+    result.processed += 1;
+    notification.deliveries.forEach((delivery, index) => {
+      if (before[index] !== 'pending') return;
+      if (delivery.status === 'sent') result.sent += 1;
+      if (delivery.status === 'failed') result.failed += 1;
+    });
+  }
+
+  return result;
+};
+
+module.exports = {
+  SmsTransport,
+  ConsoleSmsTransport,
+  FileSmsTransport,
+  registerSmsTransport,
+  getSmsTransport,
+  setSmsTransport,
+  notify,
+  notifyCharityTeam,
+  processOutbox
+};
@@ -0,0 +1,94 @@
+const { escapeHtml } = require('../mailer/templates');
+
+// Notification templates. Each takes the notification's data and returns
+// { title, body, link } for the in-app inbox, plus the email ({ subject, text,
+// html }) and SMS text to send, or null for channels the notification doesn't use.
+
+const formatAmount = (amount, currency) => `${(amount / 100).toFixed(2)} ${currency}`;
+
+const STATUS_LABELS = {
+  submitted: 'submitted for review',
+  in_review: 'in review',
+  changes_requested: 'waiting for changes',
+  rejected: 'rejected',
+  verified: 'verified',
+  suspended: 'suspended',
+  inactive: 'deactivated'
+};
+
+// Email and SMS defaults: the title as subject, the body as text
+const build = ({ title, body, link, email = true, sms = true }) => ({
+  title,
+  body,
+  link,
+  email: email ? {
+    subject: title,
+    text: link ? `${body}\n\n${link}` : body,
+    html: `<p>${escapeHtml(body)}</p>${link ? `<p><a href="${escapeHtml(link)}">View details</a></p>` : ''}`
+  } : null,
+  sms: sms ? body : null
+});
+
+const templates = {
+  // To the user who redeemed a charity code
+  'charity_code.redeemed': () => build({
+    title: 'You can now register a charity',
+    body: 'Your charity code was accepted. You can now create your charity profile.',
+    sms: false
+  }),
+
+  // To the admin who created the code
+  'charity_code.used': ({ code, redeemedBy, remainingUses }) => build({
+    title: `Charity code ${code} was used`,
+    body: `The charity code ${code} was redeemed by ${redeemedBy}.${remainingUses ? ` ${remainingUses} use${remainingUses === 1 ? '' : 's'} left.` : ''}`,
+    sms: false
+  }),
+
+  // To the charity's owner and admins
+  'charity.status_changed': ({ charityId, charityName, status, note }) => build({
+    title: `${charityName} is now ${STATUS_LABELS[status] || status}`,
+    body: `The status of ${charityName} changed to ${STATUS_LABELS[status] || status}.${note ? ` Note from the reviewer: ${note}` : ''}`,
+    link: `/charities/${charityId}/verification`
+  }),
+
+  // To the donor
+  'donation.succeeded': ({ charityName, amount, currency, receiptNumber }) => build({
+    title: `Thank you for your donation to ${charityName}`,
+    body: `Your donation of ${formatAmount(amount, currency)} to ${charityName} was received.${receiptNumber ? ` Receipt number: ${receiptNumber}.` : ''}`,
+    link: '/donations',
+    sms: false
+  }),
+
+  'donation.failed': ({ charityName, amount, currency }) => build({
+    title: `Your donation to ${charityName} failed`,
+    body: `Your donation of ${formatAmount(amount, currency)} to ${charityName} could not be processed. No money was taken.`,
+    link: '/donations'
+  }),
+
+  // To charity team members who can see donations
+  'donation.received': ({ charityId, charityName, amount, currency, donorName }) => build({
+    title: `New donation to ${charityName}`,
+    body: `${donorName || 'A donor'} donated ${formatAmount(amount, currency)} to ${charityName}.`,
+    link: `/charities/${charityId}/donations`,
+    sms: false
+  }),
+
+  // To the user whose data export finished
+  'data_export.ready': ({ expiresAt }) => build({
+    title: 'Your data export is ready',
+    body: `The export of your personal data is ready to download until ${new Date(expiresAt).toUTCString()}.`,
+    link: '/account/exports',
+    sms: false
+  }),
+
+  // To an existing user invited to a charity's team. The invitation email
+  // itself (with the acceptance link) is sent separately.
+  'charity.invitation': ({ charityName, role, inviterName }) => build({
+    title: `You're invited to join ${charityName}`,
+    body: `${inviterName} invited you to join ${charityName} as ${role}.`,
+    link: '/invitations',
+    email: false
+  })
+};
+
+module.exports = templates;
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+
+// Test payment sources understood by the fake provider
+const FAKE_SOURCES = {
+  SUCCESS: 'fake_card_ok',
+  DECLINED: 'fake_card_declined',
+  INSUFFICIENT_FUNDS: 'fake_card_insufficient_funds'
+};
+
+// In-memory provider for local development and tests. Any source succeeds
+// except the declined test sources above; no real money is moved.
+class FakePaymentProvider extends PaymentProvider {
+  constructor(options = {}) {
+    super(options);
+    this.charges = new Map();
+  }
+
+  get name() {
+    return 'fake';
+  }
+
+  async charge({ amount, currency, source = FAKE_SOURCES.SUCCESS, metadata = {} }) {
+    if (source === FAKE_SOURCES.DECLINED) {
+      return { success: false, failureReason: 'Card declined' };
+    }
+    if (source === FAKE_SOURCES.INSUFFICIENT_FUNDS) {
+      return { success: false, failureReason: 'Insufficient funds' };
+    }
+
+    const transactionId = `fake_ch_${crypto.randomBytes(12).toString('hex')}`;
+    this.charges.set(transactionId, { amount, currency, source, metadata, refunded: 0 });
+
+    return { success: true, transactionId };
+  }
+
+  async refund({ transactionId, amount }) {
+    const charge = this.charges.get(transactionId);
+    if (!charge) {
+      return { success: false, failureReason: 'Unknown transaction' };
+    }
+
+    const refundAmount = amount || charge.amount - charge.refunded;
+    if (charge.refunded + refundAmount > charge.amount) {
+      return { success: false, failureReason: 'Refund exceeds charged amount' };
+    }
+
+    charge.refunded += refundAmount;
+    return { success: true, refundId: `fake_re_${crypto.randomBytes(12).toString('hex')}` };
+  }
+}
+
+FakePaymentProvider.SOURCES = FAKE_SOURCES;
+
+module.exports = FakePaymentProvider;
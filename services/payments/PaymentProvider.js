@@ -0,0 +1,25 @@
+// Base class for payment providers. Concrete providers must implement
+// charge() and refund(); amounts are always in minor units (cents).
+class PaymentProvider {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  get name() {
+    throw new Error('Payment provider must define a name');
+  }
+
+  // Charge a payment source.
+  // Resolves to { success, transactionId, failureReason }
+  async charge({ amount, currency, source, metadata }) {
+    throw new Error(`${this.name} does not implement charge()`);
+  }
+
+  // Refund a previous charge (full refund when amount is omitted).
+  // Resolves to { success, refundId, failureReason }
+  async refund({ transactionId, amount }) {
+    throw new Error(`${this.name} does not implement refund()`);
+  }
+}
+
+module.exports = PaymentProvider;
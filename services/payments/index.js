@@ -0,0 +1,56 @@
+const PaymentProvider = require('./PaymentProvider');
+const FakePaymentProvider = require('./FakePaymentProvider');
+
+// Registered provider factories, keyed by name
+const providers = {
+  fake: (options) => new FakePaymentProvider(options)
+};
+
+let activeProvider = null;
+
+// Register an additional provider, e.g. registerProvider('stripe', opts => new StripeProvider(opts))
+const registerProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+// Get the configured provider (PAYMENT_PROVIDER). Outside production it defaults
+// to the fake provider; in production, where the fake provider would mark
+// donations as paid without moving any money, it must be set to a real one.
+const getPaymentProvider = () => {
+  if (!activeProvider) {
+    const isProduction = process.env.NODE_ENV === 'production';
+    const name = process.env.PAYMENT_PROVIDER || (isProduction ? null : 'fake');
+    if (!name) {
+      throw new Error('No payment provider configured. Set PAYMENT_PROVIDER.');
+    }
+    if (name === 'fake' && isProduction) {
+      throw new Error('The fake payment provider cannot be used in production');
+    }
+
+    const factory = providers[name];
+
+    if (!factory) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+
+    activeProvider = factory({});
+  }
+
+  return activeProvider;
+};
+
+// Override the active provider (useful for tests)
+const setPaymentProvider = (provider) => {
+  if (provider && !(provider instanceof PaymentProvider)) {
+    throw new Error('Payment provider must extend PaymentProvider');
+  }
+  activeProvider = provider;
+};
+
+module.exports = {
+  PaymentProvider,
+  FakePaymentProvider,
+  registerProvider,
+  getPaymentProvider,
+  setPaymentProvider
+};
@@ -0,0 +1,171 @@
+const PDFDocument = require('pdfkit');
+const mongoose = require('mongoose');
+const Charity = require('../models/Charity');
+const Donation = require('../models/Donation');
+
+// Receipts are assembled from encrypted records on every request and are
+// never persisted in decrypted form.
+
+const formatAmount = (amount, currency) => `${(amount / 100).toFixed(2)} ${currency}`;
+
+const formatAddress = (address) => {
+  if (!address) return null;
+  const parts = [address.street, address.city, address.state, address.zipCode, address.country]
+    .filter(Boolean);
+  return parts.length ? parts.join(', ') : null;
+};
+
+// Decrypted issuer details for a charity
+const getIssuer = (charity) => {
+  const decrypted = charity.getDecryptedData();
+  return {
+    id: charity._id,
+    legalName: decrypted.basicInfo?.name,
+    taxId: decrypted.legalInfo?.taxId || null,
+    registeredAddress: decrypted.legalInfo?.registeredAddress || null
+  };
+};
+
+// Decrypted recipient details for a donor
+const getRecipient = (user) => {
+  const personalInfo = user.getDecryptedPersonalInfo() || {};
+  const name = [personalInfo.firstName, personalInfo.lastName].filter(Boolean).join(' ');
+  return {
+    name: name || user.profile?.displayName || user.email,
+    email: user.email
+  };
+};
+
+const toGift = (donation) => ({
+  donationId: donation._id,
+  receiptNumber: donation.receipt?.number,
+  date: donation.createdAt,
+  amount: donation.amount,
+  currency: donation.currency
+});
+
+// Sum gift amounts per currency
+const totalByCurrency = (gifts) => gifts.reduce((totals, gift) => {
+  totals[gift.currency] = (totals[gift.currency] || 0) + gift.amount;
+  return totals;
+}, {});
+
+// Build consolidated receipts (one per charity) for a donor's gifts in a calendar year
+const buildAnnualReceipts = async (user, year, charityId) => {
+  const query = {
+    donor: user._id,
+    status: 'succeeded',
+    createdAt: {
+      $gte: new Date(Date.UTC(year, 0, 1)),
+      $lt: new Date(Date.UTC(year + 1, 0, 1))
+    }
+  };
+
+  if (charityId) {
+    query.charity = new mongoose.Types.ObjectId(charityId);
+  }
+
+  const donations = await Donation.find(query).sort({ createdAt: 1 });
+
+  const donationsByCharity = new Map();
+  donations.forEach(donation => {
+    const key = donation.charity.toString();
+    if (!donationsByCharity.has(key)) {
+      donationsByCharity.set(key, []);
+    }
+    donationsByCharity.get(key).push(donation);
+  });
+
+  const charities = await Charity.find({ _id: { $in: Array.from(donationsByCharity.keys()) } });
+  const recipient = getRecipient(user);
+
+  return charities.map(charity => {
+    const gifts = donationsByCharity.get(charity._id.toString()).map(toGift);
+    return {
+      type: 'annual',
+      year,
+      issuer: getIssuer(charity),
+      recipient,
+      gifts,
+      totals: totalByCurrency(gifts),
+      generatedAt: new Date()
+    };
+  });
+};
+
+// Build the receipt for a single donation
+const buildDonationReceipt = async (user, donation) => {
+  const charity = await Charity.findById(donation.charity);
+  if (!charity) return null;
+
+  const gift = toGift(donation);
+  return {
+    type: 'donation',
+    receiptNumber: gift.receiptNumber,
+    issuer: getIssuer(charity),
+    recipient: getRecipient(user),
+    gifts: [gift],
+    totals: totalByCurrency([gift]),
+    generatedAt: new Date()
+  };
+};
+
+const renderReceipt = (doc, receipt) => {
+  const title = receipt.type === 'annual'
+    ? `Official Donation Receipt - Tax Year ${receipt.year}`
+    : `Official Donation Receipt #${receipt.receiptNumber}`;
+
+  doc.fontSize(18).text(title);
+  doc.moveDown();
+
+  doc.fontSize(12).text(receipt.issuer.legalName || 'Unnamed charity');
+  if (receipt.issuer.taxId) {
+    doc.fontSize(10).text(`Tax ID: ${receipt.issuer.taxId}`);
+  }
+  const issuerAddress = formatAddress(receipt.issuer.registeredAddress);
+  if (issuerAddress) {
+    doc.fontSize(10).text(issuerAddress);
+  }
+  doc.moveDown();
+
+  doc.fontSize(10).text(`Received from: ${receipt.recipient.name}`);
+  doc.text(`Email: ${receipt.recipient.email}`);
+  doc.moveDown();
+
+  doc.fontSize(12).text('Gifts');
+  doc.fontSize(10);
+  receipt.gifts.forEach(gift => {
+    const date = new Date(gift.date).toISOString().slice(0, 10);
+    doc.text(`${date}    ${gift.receiptNumber || '-'}    ${formatAmount(gift.amount, gift.currency)}`);
+  });
+  doc.moveDown();
+
+  Object.entries(receipt.totals).forEach(([currency, amount]) => {
+    doc.fontSize(12).text(`Total: ${formatAmount(amount, currency)}`);
+  });
+  doc.moveDown();
+
+  doc.fontSize(8).text(
+    'No goods or services were provided in exchange for these contributions. ' +
+    `Generated ${receipt.generatedAt.toISOString()}.`
+  );
+};
+
+// Stream receipts as a PDF, one page per receipt
+const streamReceiptsPdf = (receipts, stream) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+  doc.pipe(stream);
+
+  receipts.forEach((receipt, index) => {
+    if (index > 0) doc.addPage();
+    renderReceipt(doc, receipt);
+  });
+
+  doc.end();
+};
+
+module.exports = {
+  buildAnnualReceipts,
+  buildDonationReceipt,
+  streamReceiptsPdf
+};
@@ -0,0 +1,76 @@
+// Minimal in-process job scheduler. Each job runs on its own interval and
+// never overlaps with a previous run of itself.
+const jobs = new Map();
+let started = false;
+
+const runJob = async (job) => {
+  if (job.running) return;
+  
+  job.running = true;
+  job.lastRunAt = new Date();
+  try {
+    const result = await job.handler();
+    job.lastResult = result;
+    job.lastError = null;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`Scheduled job "${job.name}" failed:`, error.message);
+  } finally {
+    job.running = false;
+  }
+};
+
+const startJob = (job) => {
+  job.timer = setInterval(() => runJob(job), job.intervalMs);
+  // Don't keep the process alive just for scheduled jobs
+  if (job.timer.unref) job.timer.unref();
+};
+
+// Register a job to run every intervalMs milliseconds
+const register = (name, intervalMs, handler) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+  
+  const job = { name, intervalMs, handler, running: false, timer: null };
+  jobs.set(name, job);
+  
+  if (started) startJob(job);
+};
+
+// Start all registered jobs
+const start = () => {
+  if (started) return;
+  started = true;
+  jobs.forEach(startJob);
+};
+
+// Stop all jobs (running handlers are allowed to finish)
+const stop = () => {
+  started = false;
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+// Run a job immediately, outside its interval
+const runNow = (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job "${name}"`);
+  }
+  return runJob(job);
+};
+
+// Status of all jobs
+const getStatus = () => Array.from(jobs.values()).map(job => ({
+  name: job.name,
+  intervalMs: job.intervalMs,
+  running: job.running,
+  lastRunAt: job.lastRunAt,
+  lastResult: job.lastResult,
+  lastError: job.lastError
+}));
+
+module.exports = { register, start, stop, runNow, getStatus };
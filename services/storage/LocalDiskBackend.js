@@ -0,0 +1,48 @@
+const fs = require('fs/promises');
+const path = require('path');
+const StorageBackend = require('./StorageBackend');
+
+// Stores files under a local directory (STORAGE_DIR, defaults to ./storage).
+class LocalDiskBackend extends StorageBackend {
+  get name() {
+    return 'local';
+  }
+
+  get directory() {
+    return path.resolve(this.options.directory || process.env.STORAGE_DIR || 'storage');
+  }
+
+  // Resolve a key to a path, refusing keys that would escape the storage directory
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, data) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write then rename so readers never see a partial file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalDiskBackend;
@@ -0,0 +1,28 @@
+// Base class for file storage backends. Concrete backends must implement
+// put(), get() and delete(). Keys are opaque, slash-separated strings.
+class StorageBackend {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  get name() {
+    throw new Error('Storage backend must define a name');
+  }
+
+  // Store data under a key, replacing anything already there
+  async put(key, data) {
+    throw new Error(`${this.name} does not implement put()`);
+  }
+
+  // Read the data stored under a key. Resolves to a Buffer, or null if missing.
+  async get(key) {
+    throw new Error(`${this.name} does not implement get()`);
+  }
+
+  // Remove the data stored under a key (no-op if missing)
+  async delete(key) {
+    throw new Error(`${this.name} does not implement delete()`);
+  }
+}
+
+module.exports = StorageBackend;
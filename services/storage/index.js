@@ -0,0 +1,46 @@
+const StorageBackend = require('./StorageBackend');
+const LocalDiskBackend = require('./LocalDiskBackend');
+
+// Registered backend factories, keyed by name
+const backends = {
+  local: (options) => new LocalDiskBackend(options)
+};
+
+let activeBackend = null;
+
+// Register an additional backend, e.g. registerBackend('s3', opts => new S3Backend(opts))
+const registerBackend = (name, factory) => {
+  backends[name] = factory;
+};
+
+// Get the configured backend (STORAGE_BACKEND, defaults to local)
+const getStorage = () => {
+  if (!activeBackend) {
+    const name = process.env.STORAGE_BACKEND || 'local';
+    const factory = backends[name];
+
+    if (!factory) {
+      throw new Error(`Unknown storage backend: ${name}`);
+    }
+
+    activeBackend = factory({});
+  }
+
+  return activeBackend;
+};
+
+// Override the active backend (useful for tests)
+const setStorage = (backend) => {
+  if (backend && !(backend instanceof StorageBackend)) {
+    throw new Error('Storage backend must extend StorageBackend');
+  }
+  activeBackend = backend;
+};
+
+module.exports = {
+  StorageBackend,
+  LocalDiskBackend,
+  registerBackend,
+  getStorage,
+  setStorage
+};
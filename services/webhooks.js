@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+// Outbound webhooks. emitEvent() queues a delivery for every active endpoint
+// subscribed to the event and sends them in the background; failed deliveries
+// are retried by processWebhookOutbox().
+//
+// Each request is a JSON POST of { id, event, createdAt, data } with headers:
+//   X-Webhook-Id         event id (the same for every endpoint; use it to drop duplicates)
+//   X-Webhook-Event      event name
+//   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed by the endpoint secret>
+//
+// Configuration:
+//   WEBHOOK_TIMEOUT_MS           request timeout (default 10000)
+//   WEBHOOK_ALLOW_HTTP           allow plain http endpoint URLs (default: https only)
+//   WEBHOOK_ALLOW_PRIVATE_HOSTS  allow endpoints on private or loopback addresses (for local development)
+
+const getTimeout = () => parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// URL schemes accepted for endpoint URLs
+const getAllowedSchemes = () => (process.env.WEBHOOK_ALLOW_HTTP === 'true' ? ['https', 'http'] : ['https']);
+
+// Addresses endpoints may not resolve to, so webhooks can't reach internal services
+const privateAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address, family) => {
+  const mapped = family === 6 && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return privateAddresses.check(mapped[1], 'ipv4');
+  return privateAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Resolves to an error message if the URL may not receive deliveries, or null
+const checkEndpointUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'Invalid endpoint URL';
+  }
+  if (!getAllowedSchemes().includes(parsed.protocol.slice(0, -1))) {
+    return `Endpoint URL must use ${getAllowedSchemes().join(' or ')}`;
+  }
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true') {
+    return null;
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(parsed.hostname.replace(/^\[|\]$/g, ''), { all: true });
+    if (addresses.some(({ address, family }) => isPrivateAddress(address, family))) {
+      return 'Endpoint URL resolves to a private address';
+    }
+  } catch (error) {
+    return `Endpoint host could not be resolved: ${parsed.hostname}`;
+  }
+  return null;
+};
+
+// dns.lookup() for deliveries that refuses private addresses at connect time, so a
+// host that passed checkEndpointUrl() can't be re-pointed at an internal service
+// before the request is made (DNS rebinding). The connection uses the address
+// checked here.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS !== 'true' &&
+        addresses.some(({ address, family }) => isPrivateAddress(address, family))) {
+      return callback(Object.assign(new Error('Endpoint URL resolves to a private address'), { code: 'EPRIVATEHOST' }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// POST a body without following redirects. Resolves to the response status.
+const post = (url, headers, body) => new Promise((resolve, reject) => {
+  const client = new URL(url).protocol === 'http:' ? http : https;
+  const request = client.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: publicLookup,
+    signal: AbortSignal.timeout(getTimeout())
+  }, response => {
+    // The response body isn't used; release the connection
+    response.resume();
+    resolve(response.statusCode);
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+// Signature header value for a request body
+const sign = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+// Send one attempt. Resolves to the attempt's outcome for recordAttempt().
+const attempt = async (delivery, endpoint) => {
+  const attemptedAt = new Date();
+  const started = Date.now();
+  const outcome = (fields) => ({ attemptedAt, durationMs: Date.now() - started, ...fields });
+
+  const urlError = await checkEndpointUrl(endpoint.url);
+  if (urlError) {
+    return outcome({ error: urlError });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+
+  try {
+    const status = await post(endpoint.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'CharityApp-Webhooks/1.0',
+      'X-Webhook-Id': delivery.eventId,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Signature': sign(endpoint.decryptField('secret'), timestamp, body)
+    }, body);
+
+    if (status < 200 || status >= 300) {
+      return outcome({ responseStatus: status, error: `Endpoint responded with HTTP ${status}` });
+    }
+    return outcome({ responseStatus: status });
+  } catch (error) {
+    return outcome({ error: error.name === 'AbortError' ? 'Request timed out' : error.message });
+  }
+};
+
+// Attempt a claimed delivery and save the result
+const deliver = async (delivery) => {
+  const endpoint = await WebhookEndpoint.findById(delivery.endpoint);
+
+  if (!endpoint || !endpoint.isActive) {
+    // Nothing left to send to; stop retrying
+    delivery.recordAttempt({ attemptedAt: new Date(), error: 'Endpoint was deleted or disabled', durationMs: 0 });
+    delivery.status = 'failed';
+  } else {
+    delivery.recordAttempt(await attempt(delivery, endpoint));
+  }
+
+  return delivery.save();
+};
+
+const deliverInBackground = (deliveries) => {
+  (async () => {
+    for (const delivery of deliveries) {
+      try {
+        await deliver(delivery);
+      } catch (error) {
+        console.error(`Failed to deliver webhook ${delivery._id}:`, error.message);
+      }
+    }
+  })();
+};
+
+// Queue an event for every subscribed endpoint: platform-wide endpoints, and
+// for charity events the charity's own endpoints. Deliveries are sent in the
+// background so slow endpoints don't hold up the request. Failures are logged
+// rather than thrown. Resolves to the queued deliveries.
+const emitEvent = async (event, data, { charityId } = {}) => {
+  try {
+    const scope = charityId ? [{ charity: null }, { charity: charityId }] : [{ charity: null }];
+    const endpoints = await WebhookEndpoint.find({ events: event, isActive: true, $or: scope }).select('_id');
+    if (endpoints.length === 0) return [];
+
+    const eventId = `evt_${crypto.randomUUID()}`;
+    const createdAt = new Date();
+    // Locked so the outbox worker leaves them alone while they're sent below
+    const lockedUntil = new Date(Date.now() + WebhookDelivery.LOCK_DURATION);
+
+    const deliveries = await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+      endpoint: endpoint._id,
+      event,
+      eventId,
+      payload: JSON.parse(JSON.stringify({ id: eventId, event, createdAt, data })),
+      lockedUntil
+    })));
+
+    deliverInBackground(deliveries);
+    return deliveries;
+  } catch (error) {
+    console.error(`Failed to queue "${event}" webhooks:`, error.message);
+    return [];
+  }
+};
+
+// Send a delivery again now, whatever its status. Resolves to the saved delivery.
+const redeliver = async (delivery) => {
+  delivery.resetForRedelivery();
+  await delivery.save();
+  return deliver(delivery);
+};
+
+// Retry due deliveries, one at a time. Returns counts for logging.
+const processWebhookOutbox = async (limit = 100) => {
+  const result = { succeeded: 0, retrying: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const delivery = await WebhookDelivery.claimDue();
+    if (!delivery) break;
+
+    try {
+      await deliver(delivery);
+      if (delivery.status === 'succeeded') result.succeeded += 1;
+      else if (delivery.status === 'failed') result.failed += 1;
+      else result.retrying += 1;
+    } catch (error) {
+      // Leave the lock to expire so the delivery is retried later
+      console.error(`Failed to deliver webhook ${delivery._id}:`, error.message);
+      result.retrying += 1;
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  EVENTS: WebhookEndpoint.EVENTS,
+  CHARITY_EVENTS: WebhookEndpoint.CHARITY_EVENTS,
+  getAllowedSchemes,
+  checkEndpointUrl,
+  sign,
+  emitEvent,
+  redeliver,
+  processWebhookOutbox
+};
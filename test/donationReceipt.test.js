@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.ENCRYPTION_KEYS = process.env.ENCRYPTION_KEYS || `k1:${Buffer.alloc(32, 1).toString('base64')}`;
+process.env.BLIND_INDEX_KEY = process.env.BLIND_INDEX_KEY || Buffer.alloc(32, 2).toString('base64');
+
+const Donation = require('../models/Donation');
+const Counter = require('../models/Counter');
+const Charity = require('../models/Charity');
+const CharitySearchIndex = require('../models/CharitySearchIndex');
+
+// Record the writes Mongoose sends to the donations collection, after its
+// casting (which strips updates to immutable paths unless told otherwise).
+// `matched` is what updateOne reports, to simulate a concurrent write.
+const recordWrites = (t, { matched = true, stored = null } = {}) => {
+  const writes = [];
+  t.mock.method(Donation.collection, 'insertOne', async (doc) => {
+    writes.push({ op: 'insertOne', doc });
+    return { acknowledged: true, insertedId: doc._id };
+  });
+  t.mock.method(Donation.collection, 'updateOne', async (filter, update) => {
+    writes.push({ op: 'updateOne', filter, update });
+    const count = matched ? 1 : 0;
+    return { acknowledged: true, matchedCount: count, modifiedCount: count };
+  });
+  t.mock.method(Donation.collection, 'findOne', async () => stored);
+  return writes;
+};
+
+const stubDependencies = (t) => {
+  let sequence = 0;
+  t.mock.method(Counter, 'next', async () => ++sequence);
+  t.mock.method(CharitySearchIndex, 'refreshFunding', async () => {});
+  t.mock.method(Charity, 'findById', () => ({ select: async () => null }));
+  return () => sequence;
+};
+
+const newDonation = () => new Donation({
+  donor: new mongoose.Types.ObjectId(),
+  charity: new mongoose.Types.ObjectId(),
+  amount: 2500
+});
+
+test('paying a saved donation writes its receipt to the database', async (t) => {
+  const writes = recordWrites(t);
+  const sequence = stubDependencies(t);
+
+  const donation = newDonation();
+  await donation.save();
+  assert.strictEqual(writes[0].doc.receipt, undefined);
+
+  await donation.processPayment();
+
+  const receiptWrites = writes.filter(write => write.op === 'updateOne' && write.update.$set?.receipt);
+  assert.strictEqual(receiptWrites.length, 1);
+  assert.deepStrictEqual(receiptWrites[0].filter, { _id: donation._id, 'receipt.number': { $exists: false } });
+
+  const { receipt } = receiptWrites[0].update.$set;
+  assert.match(receipt.number, /^[0-9A-F]{6}-000001$/);
+  assert.strictEqual(receipt.sequence, 1);
+  assert.strictEqual(donation.receipt.number, receipt.number);
+  assert.strictEqual(sequence(), 1);
+
+  // The payment itself is saved without touching the receipt
+  const paymentWrite = writes[writes.length - 1];
+  assert.strictEqual(paymentWrite.update.$set.status, 'succeeded');
+  assert.ok(!Object.keys(paymentWrite.update.$set).some(path => path.startsWith('receipt')));
+});
+
+test('a donation paid at once gets its receipt with the first insert', async (t) => {
+  const writes = recordWrites(t);
+  stubDependencies(t);
+
+  const donation = newDonation();
+  await donation.issueReceipt();
+  await donation.save();
+
+  assert.strictEqual(writes.length, 1);
+  assert.match(writes[0].doc.receipt.number, /^[0-9A-F]{6}-000001$/);
+});
+
+test('issuing a receipt keeps the one stored first', async (t) => {
+  const donation = newDonation();
+  const stored = {
+    _id: donation._id,
+    receipt: { number: 'ABCDEF-000007', sequence: 7, issuedAt: new Date() }
+  };
+  const writes = recordWrites(t, { matched: false, stored });
+  const sequence = stubDependencies(t);
+
+  await donation.save();
+  await donation.issueReceipt();
+  assert.strictEqual(donation.receipt.number, 'ABCDEF-000007');
+  assert.ok(!donation.isModified('receipt'));
+
+  // Issuing again neither writes nor uses up a sequence number
+  const writeCount = writes.length;
+  await donation.issueReceipt();
+  assert.strictEqual(writes.length, writeCount);
+  assert.strictEqual(sequence(), 1);
+});
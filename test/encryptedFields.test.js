@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.ENCRYPTION_KEYS = process.env.ENCRYPTION_KEYS || `k1:${Buffer.alloc(32, 1).toString('base64')}`;
+process.env.BLIND_INDEX_KEY = process.env.BLIND_INDEX_KEY || Buffer.alloc(32, 2).toString('base64');
+
+const Charity = require('../models/Charity');
+
+const storedCharity = (taxId) => Charity.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  legalInfo: { taxId: new Charity({ legalInfo: { taxId } }).legalInfo.taxId }
+});
+
+test('ciphertext copied from another record is encrypted again', () => {
+  const other = storedCharity('12-3456789');
+  const charity = storedCharity('98-7654321');
+
+  charity.set('legalInfo.taxId', other.legalInfo.taxId);
+
+  assert.notStrictEqual(charity.legalInfo.taxId, other.legalInfo.taxId);
+  assert.strictEqual(charity.decryptField('legalInfo.taxId'), other.legalInfo.taxId);
+});
+
+test('setting a field to its own stored value keeps it', () => {
+  const charity = storedCharity('98-7654321');
+  const stored = charity.legalInfo.taxId;
+
+  charity.set('legalInfo.taxId', stored);
+
+  assert.strictEqual(charity.legalInfo.taxId, stored);
+  assert.strictEqual(charity.decryptField('legalInfo.taxId'), '98-7654321');
+});
+
+test('update queries encrypt ciphertext-looking values and index them as given', async (t) => {
+  const other = storedCharity('12-3456789');
+  let written;
+  t.mock.method(Charity.collection, 'updateOne', async (filter, update) => {
+    written = update;
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  });
+
+  await Charity.updateOne({ _id: other._id }, { $set: { 'legalInfo.taxId': other.legalInfo.taxId } });
+
+  assert.notStrictEqual(written.$set['legalInfo.taxId'], other.legalInfo.taxId);
+  assert.notStrictEqual(written.$set['legalInfo.taxIdBlindIndex'], Charity.blindIndexFor('legalInfo.taxId', '12-3456789'));
+  assert.ok(written.$set['legalInfo.taxIdBlindIndex']);
+});
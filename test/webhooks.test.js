@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const http = require('http');
+
+process.env.ENCRYPTION_KEYS = process.env.ENCRYPTION_KEYS || `k1:${Buffer.alloc(32, 1).toString('base64')}`;
+process.env.BLIND_INDEX_KEY = process.env.BLIND_INDEX_KEY || Buffer.alloc(32, 2).toString('base64');
+process.env.WEBHOOK_ALLOW_HTTP = 'true';
+
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { redeliver } = require('../services/webhooks');
+
+// Local endpoint that counts the requests it receives
+const startServer = async () => {
+  const server = http.createServer((req, res) => {
+    server.requests += 1;
+    req.resume();
+    res.end();
+  });
+  server.requests = 0;
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+};
+
+const sendTo = async (url) => {
+  const endpoint = new WebhookEndpoint({ url, events: [WebhookEndpoint.EVENTS[0]], secret: 'whsec_test' });
+  WebhookEndpoint.findById = async () => endpoint;
+
+  const delivery = new WebhookDelivery({
+    endpoint: endpoint._id,
+    event: WebhookEndpoint.EVENTS[0],
+    eventId: 'evt_test',
+    payload: { id: 'evt_test' }
+  });
+  delivery.save = async function() { return this; };
+  return redeliver(delivery);
+};
+
+test('deliveries do not connect to a host that resolves to a private address after the check', async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  // Public when the URL is checked, loopback when the connection is made
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    const address = { address: '127.0.0.1', family: 4 };
+    return options.all ? callback(null, [address]) : callback(null, address.address, address.family);
+  });
+
+  const delivery = await sendTo(`http://rebind.example:${server.address().port}/hook`);
+
+  assert.strictEqual(server.requests, 0);
+  assert.notStrictEqual(delivery.status, 'succeeded');
+  assert.strictEqual(delivery.log[0].error, 'Endpoint URL resolves to a private address');
+});
+
+test('deliveries to private hosts are sent when they are allowed', async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+  process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+  t.after(() => delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS);
+
+  const delivery = await sendTo(`http://localhost:${server.address().port}/hook`);
+
+  assert.strictEqual(server.requests, 1);
+  assert.strictEqual(delivery.status, 'succeeded');
+  assert.strictEqual(delivery.lastResponseStatus, 200);
+});
@@ -0,0 +1,33 @@
+// CSV output (RFC 4180) for exports opened in spreadsheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    return typeof value.toHexString === 'function' ? value.toString() : JSON.stringify(value);
+  }
+  return String(value);
+};
+
+const escapeCell = (value) => {
+  let text = formatValue(value);
+  // Keep spreadsheets from evaluating text as a formula
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class CsvUtil {
+  // CSV text from rows of objects; columns are the keys to include, in order
+  static stringify(rows, columns) {
+    const lines = [columns.map(escapeCell).join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(column => escapeCell(row[column])).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+  }
+}
+
+module.exports = CsvUtil;
@@ -1,67 +1,259 @@
 const crypto = require('crypto');
 
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY;
+// Field encryption using AES-256-GCM with a random IV per value.
+//
+// Ciphertext format: enc:<keyId>:<iv>:<authTag>:<ciphertext> (base64 parts).
+// Binary data (e.g. uploaded files) uses the same keys with a binary layout:
+// "enc:<keyId>:" followed by the raw IV, auth tag and ciphertext.
+// The key id lets several keys decrypt at once while only the current key
+// encrypts, so keys can be rotated and old values re-encrypted in the background
+// (see scripts/reencrypt-fields.js).
+//
+// Configuration:
+//   ENCRYPTION_KEYS            comma-separated <keyId>:<key> pairs; keys are 32 bytes,
+//                              base64 or hex encoded (e.g. "2025b:...,2025a:...")
+//   ENCRYPTION_CURRENT_KEY_ID  key used for new values (defaults to the first key listed)
+//   LEGACY_ENCRYPTION_KEY      passphrase used by the old createCipher-based scheme,
+//                              only needed until all data has been re-encrypted
+//                              (falls back to ENCRYPTION_KEY)
+//   BLIND_INDEX_KEY            32 byte HMAC key for blind indexes (base64 or hex). Unlike
+//                              encryption keys it can't be rotated without rebuilding
+//                              every index, so keep it separate.
 const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc';
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const AAD = Buffer.from('charity-app', 'utf8');
+
+let keyring = null;
+let blindIndexKey = null;
+
+const parseKey = (keyId, encoded) => {
+  const key = /^[0-9a-f]{64}$/i.test(encoded)
+    ? Buffer.from(encoded, 'hex')
+    : Buffer.from(encoded, 'base64');
+
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`Encryption key "${keyId}" must be ${KEY_LENGTH} bytes`);
+  }
+  return key;
+};
+
+const loadKeyring = () => {
+  const keys = new Map();
+
+  (process.env.ENCRYPTION_KEYS || '').split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) {
+        throw new Error('ENCRYPTION_KEYS entries must look like <keyId>:<key>');
+      }
+      const keyId = entry.slice(0, separator);
+      keys.set(keyId, parseKey(keyId, entry.slice(separator + 1)));
+    });
+
+  if (keys.size === 0) {
+    throw new Error('No encryption keys configured. Set ENCRYPTION_KEYS.');
+  }
+
+  const currentKeyId = process.env.ENCRYPTION_CURRENT_KEY_ID || keys.keys().next().value;
+  if (!keys.has(currentKeyId)) {
+    throw new Error(`Current encryption key "${currentKeyId}" is not in ENCRYPTION_KEYS`);
+  }
+
+  return { keys, currentKeyId };
+};
+
+const getKeyring = () => {
+  if (!keyring) {
+    keyring = loadKeyring();
+  }
+  return keyring;
+};
 
 class EncryptionUtil {
+  // Reload keys from the environment (after rotation, or in tests)
+  static reloadKeys() {
+    keyring = null;
+    blindIndexKey = null;
+    return getKeyring().currentKeyId;
+  }
+
+  static getCurrentKeyId() {
+    return getKeyring().currentKeyId;
+  }
+
   static encrypt(text) {
-    if (!text) return null;
-    
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipher(ALGORITHM, ENCRYPTION_KEY);
-    cipher.setAAD(Buffer.from('charity-app', 'utf8'));
-    
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
+    if (text === null || text === undefined || text === '') return null;
+
+    const { keys, currentKeyId } = getKeyring();
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+    cipher.setAAD(AAD);
+
+    const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
     const authTag = cipher.getAuthTag();
-    
-    return {
-      encrypted,
-      iv: iv.toString('hex'),
-      authTag: authTag.toString('hex')
-    };
+
+    return [
+      PREFIX,
+      currentKeyId,
+      iv.toString('base64'),
+      authTag.toString('base64'),
+      encrypted.toString('base64')
+    ].join(':');
   }
 
-  static decrypt(encryptedData) {
-    if (!encryptedData || !encryptedData.encrypted) return null;
-    
+  static decrypt(value) {
+    if (!value) return null;
+
+    if (!this.isVersioned(value)) {
+      return this.legacyDecrypt(value);
+    }
+
     try {
-      const decipher = crypto.createDecipher(ALGORITHM, ENCRYPTION_KEY);
-      decipher.setAAD(Buffer.from('charity-app', 'utf8'));
-      decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-      
-      let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      return decrypted;
+      const [, keyId, iv, authTag, encrypted] = value.split(':');
+      const key = getKeyring().keys.get(keyId);
+      if (!key) {
+        throw new Error(`Unknown encryption key "${keyId}"`);
+      }
+
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+      decipher.setAAD(AAD);
+      decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+      return Buffer.concat([
+        decipher.update(Buffer.from(encrypted, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
     } catch (error) {
-      console.error('Decryption error:', error);
+      console.error('Decryption error:', error.message);
       return null;
     }
   }
 
-  // Simple encryption for less sensitive data
-  static simpleEncrypt(text) {
-    if (!text) return null;
-    const cipher = crypto.createCipher('aes192', ENCRYPTION_KEY);
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return encrypted;
+  // Encrypt a buffer with the current key
+  static encryptBuffer(buffer) {
+    const { keys, currentKeyId } = getKeyring();
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+    cipher.setAAD(AAD);
+
+    const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+    return Buffer.concat([
+      Buffer.from(`${PREFIX}:${currentKeyId}:`, 'utf8'),
+      iv,
+      cipher.getAuthTag(),
+      encrypted
+    ]);
   }
 
-  static simpleDecrypt(encrypted) {
-    if (!encrypted) return null;
+  // Decrypt a buffer produced by encryptBuffer. Throws if it has been tampered with.
+  static decryptBuffer(buffer) {
+    const prefix = Buffer.from(`${PREFIX}:`, 'utf8');
+    const separator = buffer.indexOf(':', prefix.length);
+    if (!buffer.subarray(0, prefix.length).equals(prefix) || separator < 0) {
+      throw new Error('Data is not in the encrypted format');
+    }
+
+    const keyId = buffer.subarray(prefix.length, separator).toString('utf8');
+    const key = getKeyring().keys.get(keyId);
+    if (!key) {
+      throw new Error(`Unknown encryption key "${keyId}"`);
+    }
+
+    const ivStart = separator + 1;
+    const tagStart = ivStart + IV_LENGTH;
+    const dataStart = tagStart + AUTH_TAG_LENGTH;
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.subarray(ivStart, tagStart));
+    decipher.setAAD(AAD);
+    decipher.setAuthTag(buffer.subarray(tagStart, dataStart));
+
+    return Buffer.concat([decipher.update(buffer.subarray(dataStart)), decipher.final()]);
+  }
+
+  // Key id a buffer from encryptBuffer was encrypted with (null if it isn't in that format)
+  static getBufferKeyId(buffer) {
+    const prefix = Buffer.from(`${PREFIX}:`, 'utf8');
+    const separator = buffer.indexOf(':', prefix.length);
+    if (!buffer.subarray(0, prefix.length).equals(prefix) || separator < 0) {
+      return null;
+    }
+    return buffer.subarray(prefix.length, separator).toString('utf8');
+  }
+
+  // Check if a value uses the versioned format
+  static isVersioned(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`) && value.split(':').length === 5;
+  }
+
+  // Key id a versioned value was encrypted with (null for legacy values)
+  static getKeyId(value) {
+    return this.isVersioned(value) ? value.split(':')[1] : null;
+  }
+
+  // Check if a stored value should be re-encrypted with the current key
+  static needsReEncryption(value) {
+    if (!value) return false;
+    return this.getKeyId(value) !== this.getCurrentKeyId();
+  }
+
+  // Re-encrypt a stored value with the current key. Throws if it can't be decrypted.
+  static reEncrypt(value) {
+    const plaintext = this.decrypt(value);
+    if (plaintext === null) {
+      throw new Error('Value could not be decrypted');
+    }
+    return this.encrypt(plaintext);
+  }
+
+  // Decrypt values written by the old createCipher('aes192') scheme.
+  // crypto.createDecipher was removed in Node 22, so migrate before upgrading.
+  static legacyDecrypt(encrypted, { silent = false } = {}) {
+    const legacyKey = process.env.LEGACY_ENCRYPTION_KEY || process.env.ENCRYPTION_KEY;
+
     try {
-      const decipher = crypto.createDecipher('aes192', ENCRYPTION_KEY);
+      if (!legacyKey) {
+        throw new Error('LEGACY_ENCRYPTION_KEY is not set');
+      }
+      if (typeof crypto.createDecipher !== 'function') {
+        throw new Error('Legacy decryption is not supported on this Node.js version');
+      }
+
+      const decipher = crypto.createDecipher('aes192', legacyKey);
       let decrypted = decipher.update(encrypted, 'hex', 'utf8');
       decrypted += decipher.final('utf8');
       return decrypted;
     } catch (error) {
-      console.error('Simple decryption error:', error);
+      if (!silent) {
+        console.error('Legacy decryption error:', error.message);
+      }
       return null;
     }
   }
+
+  // Keyed HMAC of a (normalized) value, for exact-match lookups on encrypted fields
+  static blindIndex(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (!blindIndexKey) {
+      if (!process.env.BLIND_INDEX_KEY) {
+        throw new Error('No blind index key configured. Set BLIND_INDEX_KEY.');
+      }
+      blindIndexKey = parseKey('BLIND_INDEX_KEY', process.env.BLIND_INDEX_KEY);
+    }
+
+    return crypto.createHmac('sha256', blindIndexKey).update(String(value), 'utf8').digest('hex');
+  }
+
+  // Generate a new random key, encoded for ENCRYPTION_KEYS
+  static generateKey() {
+    return crypto.randomBytes(KEY_LENGTH).toString('base64');
+  }
 }
 
-module.exports = EncryptionUtil;
\ No newline at end of file
+module.exports = EncryptionUtil;
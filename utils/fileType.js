@@ -0,0 +1,34 @@
+// Detects file types from their leading bytes ("magic numbers") instead of
+// trusting the client's Content-Type or file extension.
+const SIGNATURES = [
+  { mimeType: 'application/pdf', extension: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { mimeType: 'image/png', extension: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', extension: 'jpg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', extension: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  // RIFF....WEBP
+  { mimeType: 'image/webp', extension: 'webp', bytes: [0x52, 0x49, 0x46, 0x46], also: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } }
+];
+
+const matchesAt = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+class FileTypeUtil {
+  // Detected { mimeType, extension }, or null if the type isn't recognised
+  static sniff(buffer) {
+    if (!Buffer.isBuffer(buffer)) return null;
+
+    const signature = SIGNATURES.find(entry =>
+      matchesAt(buffer, entry.bytes, entry.at) &&
+      (!entry.also || matchesAt(buffer, entry.also.bytes, entry.also.offset)));
+
+    return signature ? { mimeType: signature.mimeType, extension: signature.extension } : null;
+  }
+
+  // Check that a buffer is one of the allowed MIME types. Returns the detected type or null.
+  static detectAllowed(buffer, allowedMimeTypes) {
+    const detected = this.sniff(buffer);
+    return detected && allowedMimeTypes.includes(detected.mimeType) ? detected : null;
+  }
+}
+
+module.exports = FileTypeUtil;
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// compatible with common authenticator apps.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TotpUtil {
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  static base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  // Generate a new random secret (base32, 160 bits)
+  static generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  // Current time step
+  static getStep(time = Date.now()) {
+    return Math.floor(time / 1000 / STEP_SECONDS);
+  }
+
+  // HOTP value (RFC 4226) for a given step
+  static generate(secret, step = this.getStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+  }
+
+  // Verify a code, allowing +/- window steps of clock drift.
+  // Returns the matched step (so callers can reject replays) or null.
+  static verify(secret, code, { window = 1, time = Date.now() } = {}) {
+    if (!secret || !/^\d{6}$/.test(String(code))) return null;
+
+    const currentStep = this.getStep(time);
+    const expected = Buffer.from(String(code));
+
+    for (let offset = -window; offset <= window; offset++) {
+      const step = currentStep + offset;
+      const candidate = Buffer.from(this.generate(secret, step));
+      if (crypto.timingSafeEqual(candidate, expected)) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  // otpauth:// URI for QR codes
+  static keyUri(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+}
+
+module.exports = TotpUtil;